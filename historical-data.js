@@ -0,0 +1,45 @@
+﻿// ====================================================================
+// 過去の市場データ (バックテスト用)
+// ====================================================================
+// 1970年から2024年までの暦年ごとの値 (年%)。ネットワークを使わずに読み込めるよう静的に同梱している。
+// いずれも公表されている年次の値から求めた概算値で、小数第1位に丸めてある。
+// - worldEquity: 先進国株式 (MSCI World, 米ドル建て・配当込み) を年末の円ドル相場で円換算したリターン
+// - japanEquity: 日本株式 (TOPIX) の年末値の騰落率に、当時の配当利回りの目安を加えたリターン
+// - bonds: 国内債券。前年末の10年国債利回りと、利回りの変化による価格変動 (修正デュレーション7年) から推計したリターン
+// - cpi: 消費者物価指数 (総合) の前年比
+
+const HISTORICAL_MARKET_DATA = {
+    firstYear: 1970,
+    worldEquity: [
+        -1.9, 4.2, 17.4, -21.4, -19.1, 35.0, 8.9, -17.5, -5.3, 36.6,
+        6.3, 3.2, 17.2, 20.3, 13.3, 12.0, 13.5, -11.4, 26.3, 33.4,
+        -21.6, 9.5, -6.0, 10.6, -6.2, 24.3, 27.8, 29.8, 10.9, 9.8,
+        -3.0, -4.4, -26.6, 18.7, 11.5, 24.2, 21.1, 4.4, -52.7, 32.9,
+        -2.6, -10.2, 29.3, 54.7, 19.9, -0.9, 4.8, 18.2, -11.1, 26.5,
+        9.5, 36.0, -6.7, 33.3, 32.2,
+    ],
+    japanEquity: [
+        -15.2, 36.4, 103.4, -21.7, -7.2, 18.2, 20.7, -3.2, 25.5, 4.2,
+        8.8, 16.7, 5.4, 24.6, 26.1, 16.2, 48.9, 11.5, 37.2, 22.8,
+        -38.9, -0.2, -22.8, 11.0, 9.2, 2.1, -5.9, -19.2, -6.7, 59.5,
+        -24.1, -18.2, -16.9, 25.2, 11.5, 44.9, 3.3, -10.8, -40.4, 7.0,
+        1.0, -16.9, 20.0, 53.5, 10.1, 11.9, 0.1, 21.7, -15.8, 17.2,
+        6.8, 12.4, -3.0, 27.1, 19.7,
+    ],
+    bonds: [
+        6.3, 5.7, 11.5, -2.4, 4.5, 8.5, 7.8, 24.7, 5.6, -13.2,
+        11.3, 12.4, 11.2, 11.5, 14.5, 10.0, 11.6, 1.7, 12.0, -1.5,
+        -2.7, 16.7, 10.4, 15.3, -5.8, 14.4, 6.0, 9.1, 1.2, 4.1,
+        2.4, 3.0, 4.9, -2.6, 1.4, 0.7, 0.1, 3.1, 3.6, 0.5,
+        2.7, 1.8, 2.4, 1.5, 3.5, 0.3, 2.1, 0.0, 0.4, 0.1,
+        -0.3, -0.3, -2.4, -0.9, -2.8,
+    ],
+    cpi: [
+        7.7, 6.3, 4.9, 11.7, 23.2, 11.7, 9.4, 8.1, 4.2, 3.7,
+        7.7, 4.9, 2.8, 1.9, 2.3, 2.0, 0.6, 0.1, 0.7, 2.3,
+        3.1, 3.3, 1.6, 1.3, 0.7, -0.1, 0.1, 1.8, 0.6, -0.3,
+        -0.7, -0.7, -0.9, -0.3, 0.0, -0.3, 0.3, 0.0, 1.4, -1.4,
+        -0.7, -0.3, 0.0, 0.4, 2.7, 0.8, -0.1, 0.5, 1.0, 0.5,
+        0.0, -0.2, 2.5, 3.2, 2.7,
+    ],
+};
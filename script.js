@@ -4,36 +4,111 @@
 
 const APP_DATA_KEY = 'futureflow_app_data_v1';
 const MAX_PREDICTION_MONTHS = 1200; // 100年 (30年制限を撤廃)
+const ACCOUNT_TYPES = {
+    cash: '現金・預金',
+    investment: '投資 (証券口座)',
+    retirement: '年金 (iDeCo・DC)',
+    liability: '負債 (カード・借入)',
+};
+
+const SCHEMA_VERSION = 5; // 保存データの形式のバージョン (形式を変えたら上げて、MIGRATIONS に移行処理を追加する)
+const BACKUP_KEY_PREFIX = `${APP_DATA_KEY}_backup_v`; // 移行前のバックアップの保存先 (移行前のバージョンごとに1つ)
+const IMPORT_BACKUP_KEY = `${APP_DATA_KEY}_backup_import`; // インポートで上書きする前のデータの保存先 (直前の1回分)
 
-let appData = {
-    accounts: [], // [{ id: string, name: string }]
-    families: [], // [{ id: string, name: string, age: number, birthMonth: number (1-12) }]
+/**
+ * 初期データを作成する。
+ * @returns {Object} 初期データ
+ */
+const createDefaultAppData = () => ({
+    schemaVersion: SCHEMA_VERSION,
+    accounts: [], // [{ id: string, name: string, type: 'cash' | 'investment' | 'retirement' | 'liability' }]
+    families: [], // [{ id: string, name: string, age: number, birthMonth: number (1-12), birthYear?: number, joinYM?: string, leaveYM?: string, leaveReason?: string, monthlyCost?: number, relation?: 'spouse' | 'child' | 'other' }] (先頭の家族が世帯主, relation は世帯主から見た続柄)
     recurringExpenses: [], // [{ id: string, name: string, amount: number, intervalYears: number (1-5), startYM: string ('YYYY-MM') }]
-    loans: [], // [{ id: string, name: string, monthlyAmount: number, startYM: string, endYM: string }]
-    futureEvents: [], // [{ id: string, name: string, amount: number, familyId: string, targetAge: number, targetMonth: number (1-12) }]
-    monthlyBalances: [], // [{ month: string ('YYYY-MM'), total: number, accounts: { accountId: number } }]
+    loans: [], // [{ id, name, monthlyAmount, startYM, endYM }] (月額固定) または [{ id, name, kind: 'amortizing', principal, annualRate, termYears, method, startYM, rateChanges, prepayments, mortgageDeduction, danshin, danshinInsuredId, danshinDisability }]
+    futureEvents: [], // [{ id: string, name: string, amount: number, kind: 'expense' | 'income', timing: 'age' | 'date', familyId: string, targetAge: number, targetMonth: number (1-12), ym: string, repeatYears: number, untilAge: number, untilYM: string, inflate: boolean }]
+    monthlyBalances: [], // [{ month: string ('YYYY-MM'), total: number, accounts: { accountId: number }, types?: { accountId: 記録時の口座の種類 } }] (記録後は書き換えない)
+    parents: [], // 離れて暮らす親 [{ id, name, age, birthMonth, monthlySupport, careStartAge, careLevel, careMonthly, shareRate, endAge }]
+    insurancePolicies: [], // [{ id, name, insuredId, type: 'life' | 'disability' | 'income', amount, monthlyBenefit, premiumMonthly, endAge }]
+    scenarios: [], // 比較用に保存したシナリオ [{ id, name, settings, families, loans, recurring }]
+    forecastSnapshots: [], // 保存した予測 [{ id, createdAt, trigger: 'auto' | 'manual', baseMonth, labels, total, cash, investment, flows: { FORECAST_CATEGORIES のキー: number[] } }]
     settings: {
         predictionYears: 30, // 予測期間（年）
         // monthlyIncome / yearlyBonus は廃止し、familyIncomesに移行
-        familyIncomes: {}, // { familyId: { monthly: number, bonus: number, salaryIncrease: number, retirementYM: string, severance: number, pension: number } }
+        familyIncomes: {}, // { familyId: { monthly: number, bonus: number, salaryGrowthType: 'amount' | 'percent' | 'curve', salaryIncrease: number, salaryGrowthRate: number, retirementAge: number, severance: number, pensionType: 'employee' | 'national' | 'manual', pensionManualMonthly: number, phases: [{ id, type, startYM, endYM, monthly, bonus }], ... } }
         currentLivingCost: 250000, // 現在の生活費 (円/月) - インフレ計算の基準
         inflationRate: 1.0, // インフレ率（年%）
+        educationInflationRate: null,  // 教育費の上昇率 (年%, null なら一般のインフレ率)
+        healthcareInflationRate: null, // 医療・介護費の上昇率 (年%, null なら一般のインフレ率)
+        housingInflationRate: null,    // 住まいの税・管理費・修繕費の上昇率 (年%, null なら一般のインフレ率)
+        pensionSlideRate: 0.4,         // マクロ経済スライドのスライド調整率 (年%, 年金の伸びを物価より抑える)
+        goalTargetAmount: 20000000,    // 目標の逆算: 目標年齢での総資産の目標額
+        goalTargetAge: 65,             // 目標の逆算: 目標額に届かせる世帯主の年齢
         investmentMonthly: 30000, // 毎月の積立額 (円)
         investmentYield: 4.0, // 運用利回り（年%）
-        educationMode: 'public', // 教育プラン: 'public' (公立), 'private' (私立)
+        educationPlans: {},      // 子供ごとの教育プラン { familyId: createEducationPlan() の形 }
         childIndependenceAge: 22, // 子供の自立年齢
         costReductionRate: 20, // 子供自立後の生活費削減率 (%)
         licenseReturnAge: 75, // 免許返納年齢（車両費停止）
+        carTaxAnnual: 0,      // 自動車税・軽自動車税 (円/年, 毎年 CAR_TAX_MONTH に払う)
         univHousingType: 'home', // 大学時の居住: 'home' (自宅), 'away' (自宅外)
         univAllowance: 100000,   // 自宅外時の仕送り (月額)
+        monteCarloEnabled: false,      // モンテカルロ・シミュレーションを行うか
+        monteCarloTrials: 1000,        // 試行回数
+        investmentVolatility: 15.0,    // 運用リターンの変動率（年率標準偏差%）
+        monteCarloRandomInflation: false, // インフレ率もランダムに変動させるか
+        inflationVolatility: 1.0,      // インフレ率の変動幅（年率標準偏差%）
+        backtestAllocation: { worldEquity: 60, japanEquity: 20, bonds: 20 }, // バックテストでの運用資産の配分 (%)
+        idecoMonthly: 0,               // 毎月の積立額のうち iDeCo への掛金 (円)
+        withdrawalOrder: 'taxable,nisa,ideco', // 資金不足時に取り崩す口座の順序
+        withdrawalStrategy: 'deficit', // 老後の取り崩し戦略 (WITHDRAWAL_STRATEGIES のキー)
+        withdrawalStartAge: null,      // 取り崩し開始年齢 (null なら世帯主の退職年齢)
+        withdrawalRate: 4.0,           // 定率・ガードレール戦略の取り崩し率 (年%)
+        withdrawalAmount: 2400000,     // 定額戦略の年間取り崩し額 (現在価値)
+        bucketYears: 3,                // バケット戦略で現金として確保する年数
+        guardrailBand: 20,             // ガードレールの許容幅 (初期取り崩し率に対する%)
+        guardrailAdjustment: 10,       // ガードレールに触れたときの支出の増減率 (%)
+        cashReserve: {                 // 現預金の配分 (積立より先に確保する生活防衛資金と、超えた分を投資に回す上限)
+            floorType: 'none',         // CASH_FLOOR_TYPES のキー (既定は設定しない。設定すると積立の時期が変わるため)
+            floorMonths: 6,            // 直近の平均支出の何か月分を確保するか
+            floorAmount: 3000000,      // 金額で指定する場合の下限 (円)
+            ceiling: 0,                // 現預金の上限 (円, 0 なら上限なし)
+        },
+        healthcare: {                  // 医療・介護 (年齢による医療費・介護費)
+            enabled: false,            // 既定では見込まない (現在の生活費に含まれる医療費のまま)
+            members: {},               // { familyId: { medicalLevel (%), careStartAge, careLevel, careMonthly } } (未設定は getHealthcareProfile の既定値)
+        },
+        housing: {                     // 住まい (賃貸と購入の比較)
+            choice: 'none',            // HOUSING_CHOICES のキー (現在の予測に使う住まい)
+            rent: { monthlyRent: 120000, increaseRate: 0, renewalYears: 2, renewalMonths: 1 },
+            buy: {
+                purchaseYM: null, price: 40000000, downPayment: 4000000, closingCostRate: 7,
+                loanRate: 1.0, loanTermYears: 35, loanMethod: 'equal_payment', mortgageDeduction: true, danshin: true,
+                propertyTaxAnnual: 120000, propertyTaxMonths: null, // 固定資産税の納期 (null なら PROPERTY_TAX_MONTHS, 空なら毎月に均等)
+                maintenanceMonthly: 15000, repairReserveMonthly: 15000, repairReserveIncreaseRate: 3,
+                valueChangeRate: -1.0,
+            },
+            downsize: { ym: null, rent: 80000 }, // 住み替え (持ち家は売却) と住み替え後の家賃
+            saleCostRate: 4,           // 売却時の仲介手数料などの割合 (%)
+        },
+        riskScenario: { enabled: false, memberId: null, type: 'death', ym: null, livingCostChange: -30 }, // 万一のリスク (死亡・就業不能) のストレスシナリオ
+        calibrationExcludedMonths: [], // 生活費の校正から除く月 (YYYY-MM)
     },
-};
+});
+
+let appData = createDefaultAppData();
 
 const RECURRING_INTERVALS = [1, 2, 3, 4, 5, 10, 15, 20];
+const CAR_TAX_MONTH = 5; // 自動車税・軽自動車税の納期 (4月1日時点の所有者に5月に課税される)
+const MONTE_CARLO_SEED = 20240101; // 再描画のたびに結果がぶれないよう乱数系列を固定する
+const MIN_MONTE_CARLO_TRIALS = 100;
+const MAX_MONTE_CARLO_TRIALS = 5000;
 
 let currentScreen = 'dashboard';
 let currentSettingTab = 'family-account';
 let simulationChart = null;
+let forecastChart = null;
+let withdrawalCharts = []; // 取り崩し戦略の比較グラフ (総資産・年間支出)
+let selectedForecastSnapshotId = null; // 予測と実績の比較で表を表示する予測
 
 // ====================================================================
 // II. データ永続化 (localStorage)
@@ -47,14 +122,14 @@ const loadData = () => {
         const storedData = localStorage.getItem(APP_DATA_KEY);
         if (storedData) {
             const parsedData = JSON.parse(storedData);
-            // 既存のデータを上書き（デフォルト値を保持するためにスプレッド演算子を使用）
-            appData = { ...appData, ...parsedData };
-            // 互換性チェック（旧データ形式から新データ形式への移行ロジックが必要な場合はここに追加）
+            // 旧形式のデータは現在の形式に移行し、足りない項目は初期値で補う
+            appData = migrateAppData(parsedData);
+            if (getSchemaVersion(parsedData) < SCHEMA_VERSION) saveData();
             console.log("データをロードしました:", appData);
         }
     } catch (error) {
         console.error("データのロード中にエラーが発生しました:", error);
-        showMessage("データのロードエラー", "保存されたデータの形式に問題があるため、初期データで開始します。");
+        showMessage("データのロードエラー", `保存されたデータの形式に問題があるため、初期データで開始します。\n${error.message}`);
     }
 };
 
@@ -70,6 +145,210 @@ const saveData = () => {
     }
 };
 
+/**
+ * 保存データの形式のバージョンを返す (バージョンを持たないデータは最初の形式 1 とみなす)。
+ * @param {Object} data - 保存データ
+ * @returns {number} バージョン
+ */
+const getSchemaVersion = (data) => data.schemaVersion || 1;
+
+/**
+ * 保存データの設定と、シナリオに保存した設定のそれぞれに fn を適用する。
+ * @param {Object} data - 保存データ
+ * @param {Function} fn - (settings, families) => void
+ */
+const forEachSettings = (data, fn) => {
+    if (data.settings) fn(data.settings, data.families || []);
+    (data.scenarios || []).forEach(sc => {
+        if (sc.settings) fn(sc.settings, sc.families || data.families || []);
+    });
+};
+
+/**
+ * 続柄 (relation) のない家族に続柄を補う。先頭の家族は世帯主とし、それ以外は以前と同じく
+ * 収入設定のない家族を子とみなす (収入設定があっても給与がなく自立年齢以下なら在学中の子とみなす)。
+ * 残りの大人のうち世帯主と最も年齢の近い家族を配偶者、それ以外をその他にする。
+ * @param {Array} families - 家族 (書き換える)
+ * @param {Object} familyIncomes - 家族別の収入設定
+ * @param {number} independenceAge - 子供の自立年齢
+ */
+const inferFamilyRelations = (families, familyIncomes, independenceAge) => {
+    const head = families[0];
+    if (!head) return;
+    const unset = families.slice(1).filter(f => !f.relation);
+    unset.forEach(f => {
+        const inc = familyIncomes[f.id];
+        if (!inc || (!(inc.monthly > 0) && (f.age || 0) <= independenceAge)) f.relation = 'child';
+    });
+    const adults = unset.filter(f => !f.relation);
+    if (adults.length > 0 && !families.some((f, idx) => idx > 0 && f.relation === 'spouse')) {
+        const gap = (f) => Math.abs((f.age || 0) - (head.age || 0));
+        adults.reduce((closest, f) => (gap(f) < gap(closest) ? f : closest)).relation = 'spouse';
+    }
+    adults.forEach(f => { if (!f.relation) f.relation = 'other'; });
+};
+
+/**
+ * 保存データの移行処理。version のデータを version + 1 の形式に書き換える。
+ * 形式を変えたときは末尾に追加し、SCHEMA_VERSION を上げる (既存の移行処理は変えない)。
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: '世帯の収入 (monthlyIncome / yearlyBonus) を世帯主の収入設定 (familyIncomes) に移す',
+        migrate: (data) => forEachSettings(data, (settings, families) => {
+            const head = families[0];
+            const monthly = settings.monthlyIncome || 0;
+            const bonus = settings.yearlyBonus || 0;
+            if (!settings.familyIncomes) settings.familyIncomes = {};
+            if (head && (monthly > 0 || bonus > 0)) {
+                const inc = settings.familyIncomes[head.id] || (settings.familyIncomes[head.id] = {});
+                // 家族ごとの収入を入力済みならそちらを優先する
+                if (!inc.monthly && !inc.bonus) {
+                    inc.monthly = monthly;
+                    inc.bonus = bonus;
+                }
+            }
+            delete settings.monthlyIncome;
+            delete settings.yearlyBonus;
+        }),
+    },
+    {
+        version: 2,
+        description: '退職年月 (retirementYM) を退職年齢 (retirementAge) に置き換える',
+        migrate: (data) => forEachSettings(data, (settings, families) => {
+            Object.entries(settings.familyIncomes || {}).forEach(([familyId, inc]) => {
+                const family = families.find(f => f.id === familyId);
+                if (inc.retirementYM && family && inc.retirementAge === undefined) {
+                    const [year, month] = inc.retirementYM.split('-').map(Number);
+                    inc.retirementAge = getAgeAt(getBirthYearMonth(family), year, month);
+                }
+                delete inc.retirementYM;
+            });
+        }),
+    },
+    {
+        version: 3,
+        description: 'ローンとシナリオの一覧を追加し、シナリオに保存したローン・定期支出を補う',
+        migrate: (data) => {
+            if (!Array.isArray(data.loans)) data.loans = [];
+            if (!Array.isArray(data.scenarios)) data.scenarios = [];
+            data.scenarios.forEach(sc => {
+                if (!Array.isArray(sc.loans)) sc.loans = [];
+                if (!Array.isArray(sc.recurring)) sc.recurring = [];
+            });
+        },
+    },
+    {
+        version: 4,
+        description: '家族の続柄・手入力の年金額・子供ごとの教育プランを補い、後から増えた設定は以前と同じ結果になる値にする',
+        migrate: (data) => {
+            const settings = data.settings || {};
+            const incomes = settings.familyIncomes || {};
+            inferFamilyRelations(data.families || [], incomes, settings.childIndependenceAge ?? 22);
+            (data.scenarios || []).forEach(sc => {
+                const scSettings = sc.settings || {};
+                if (sc.families) inferFamilyRelations(sc.families, scSettings.familyIncomes || incomes, scSettings.childIndependenceAge ?? settings.childIndependenceAge ?? 22);
+            });
+            forEachSettings(data, (settings, families) => {
+                // 年金額 (pension) は退職した月から受け取る手入力の年金額にする (0 なら年金なしのまま)
+                // 以前と同じ結果になるよう、退職年齢が60歳未満でも受給開始は退職年齢のままにする
+                Object.values(settings.familyIncomes || {}).forEach(inc => {
+                    if (inc.pension === undefined) return;
+                    if (!inc.pensionType) {
+                        inc.pensionType = 'manual';
+                        inc.pensionManualMonthly = inc.pension;
+                        if (inc.pensionStartAge === undefined) {
+                            inc.pensionStartAge = inc.retirementAge || 60;
+                        }
+                    }
+                    delete inc.pension;
+                });
+                // 世帯共通の教育方針 (educationMode) は子供ごとの教育プランにする
+                if (settings.educationMode !== undefined) {
+                    if (!settings.educationPlans) settings.educationPlans = {};
+                    families.filter(f => f.relation === 'child').forEach(f => {
+                        if (!settings.educationPlans[f.id]) settings.educationPlans[f.id] = createEducationPlan(settings.educationMode);
+                    });
+                    delete settings.educationMode;
+                }
+                // 初期値が以前の計算と異なる設定は、未設定なら見込まない値にして結果を変えない
+                if (settings.healthcare === undefined) settings.healthcare = { enabled: false };
+                if (settings.cashReserve === undefined) settings.cashReserve = { floorType: 'none' };
+                if (settings.pensionSlideRate === undefined) settings.pensionSlideRate = 0;
+            });
+        },
+    },
+];
+
+/**
+ * 初期値に保存データを重ねる。設定のような入れ子のオブジェクトは項目ごとに重ね、配列と値は保存データを優先する。
+ * @param {*} defaults - 初期値
+ * @param {*} stored - 保存データ
+ * @returns {*} 重ねた結果
+ */
+const mergeWithDefaults = (defaults, stored) => {
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isPlainObject(defaults) || !isPlainObject(stored)) return stored === undefined ? defaults : stored;
+    const merged = { ...defaults };
+    Object.keys(stored).forEach(key => {
+        merged[key] = mergeWithDefaults(defaults[key], stored[key]);
+    });
+    return merged;
+};
+
+/**
+ * 移行前のデータを localStorage に残しておく (同じバージョンからの移行は上書きする)。
+ * @param {Object} data - 移行前のデータ
+ * @param {number} version - 移行前のバージョン
+ */
+const backupBeforeMigration = (data, version) => {
+    try {
+        localStorage.setItem(`${BACKUP_KEY_PREFIX}${version}`, JSON.stringify({ backedUpAt: new Date().toISOString(), data }));
+    } catch (error) {
+        console.error("移行前のバックアップに失敗しました:", error);
+    }
+};
+
+/**
+ * インポートで上書きする前の現在のデータを localStorage に残しておく (前回のインポート前のデータは上書きする)。
+ * @param {Object} data - 現在のデータ
+ */
+const backupBeforeImport = (data) => {
+    try {
+        localStorage.setItem(IMPORT_BACKUP_KEY, JSON.stringify({ backedUpAt: new Date().toISOString(), data }));
+    } catch (error) {
+        console.error("インポート前のバックアップに失敗しました:", error);
+    }
+};
+
+/**
+ * 保存データ・インポートしたデータを現在の形式に移行し、足りない項目を初期値で補う。
+ * @param {Object} data - 保存データ (書き換えない)
+ * @returns {Object} 現在の形式のデータ
+ * @throws {Error} このアプリより新しい形式のデータのとき
+ */
+const migrateAppData = (data) => {
+    const fromVersion = getSchemaVersion(data);
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`データの形式 (v${fromVersion}) がこのアプリ (v${SCHEMA_VERSION}) より新しいため読み込めません。`);
+    }
+    const migrated = JSON.parse(JSON.stringify(data));
+    if (fromVersion < SCHEMA_VERSION) {
+        backupBeforeMigration(data, fromVersion);
+        MIGRATIONS.filter(m => m.version >= fromVersion).forEach(m => {
+            m.migrate(migrated);
+            migrated.schemaVersion = m.version + 1;
+            console.log(`データを v${m.version} から v${m.version + 1} に移行しました: ${m.description}`);
+        });
+    }
+    const defaults = createDefaultAppData();
+    const merged = mergeWithDefaults(defaults, migrated);
+    // シナリオに保存した設定も、後から増えた設定項目を初期値で補う
+    merged.scenarios = merged.scenarios.map(sc => ({ ...sc, settings: mergeWithDefaults(defaults.settings, sc.settings || {}) }));
+    return merged;
+};
+
 /**
  * UUIDを生成する。
  * @returns {string} UUID
@@ -171,6 +450,105 @@ const diffMonths = (ym1, ym2) => {
     return (date1.getFullYear() - date2.getFullYear()) * 12 + (date1.getMonth() - date2.getMonth());
 }
 
+/**
+ * 家族の生年月を、登録されている現在の年齢と誕生月から求める。
+ * @param {Object} family - { age, birthMonth }
+ * @param {Date} today - 基準日 (省略時は今日)
+ * @returns {{year: number, month: number}} 生年月
+ */
+const getBirthYearMonth = (family, today = new Date()) => {
+    const birthMonth = family.birthMonth || 1;
+    // 出生予定の家族は生まれ年を直接持つ
+    if (family.birthYear) return { year: family.birthYear, month: birthMonth };
+    const currentMonth = today.getMonth() + 1;
+    // 今年の誕生月がまだ来ていなければ、生まれ年は1年前になる
+    const year = today.getFullYear() - family.age - (currentMonth < birthMonth ? 1 : 0);
+    return { year, month: birthMonth };
+};
+
+/**
+ * 家族が指定の年月に世帯にいるかを返す (同居開始・出生予定の前と、世帯を離れた後は含まない)。
+ * @param {Object} family - { joinYM, leaveYM }
+ * @param {string} ym - YYYY-MM
+ * @returns {boolean} 世帯にいるか
+ */
+const isInHousehold = (family, ym) => (!family.joinYM || ym >= family.joinYM) && (!family.leaveYM || ym < family.leaveYM);
+
+/**
+ * 家族が世帯主の子かを返す (教育費・子育て支援・遺族年金の子の数の対象)。
+ * 大学生の子に収入設定があっても、続柄で判定するので子として数える。
+ * 続柄のない家族 (移行前のデータ) は、以前と同じく世帯主以外で収入設定のない家族を子とみなす。
+ * @param {Object} family - { id, relation }
+ * @param {Object} [familyIncomes] - 家族別の収入設定 (省略時は現在の設定)
+ * @param {string} [headId] - 世帯主の家族ID (省略時は現在の先頭の家族)
+ * @returns {boolean} 子か
+ */
+const isChild = (family, familyIncomes = appData.settings.familyIncomes || {}, headId = appData.families[0]?.id) =>
+    (family.relation ? family.relation === 'child' : family.id !== headId && !familyIncomes[family.id]);
+
+/**
+ * 指定の年月時点の満年齢を返す (誕生月に1歳加算)。
+ * @param {{year: number, month: number}} birth - 生年月
+ * @param {number} year - 年
+ * @param {number} month - 月 (1-12)
+ * @returns {number} 満年齢
+ */
+const getAgeAt = (birth, year, month) => year - birth.year - (month < birth.month ? 1 : 0);
+
+/**
+ * 指定の年月が属する学年度の4月1日時点の年齢を返す。
+ * 1〜3月生まれ (早生まれ) は同じ年の4〜12月生まれより1学年上になる。
+ * 例: 6 なら小学1年生、18 なら大学1年生 (浪人なし)
+ * @param {{year: number, month: number}} birth - 生年月
+ * @param {number} year - 年
+ * @param {number} month - 月 (1-12)
+ * @returns {number} 学齢
+ */
+const getSchoolAge = (birth, year, month) => {
+    const schoolYear = month >= 4 ? year : year - 1;
+    return schoolYear - birth.year - (birth.month >= 4 ? 1 : 0);
+};
+
+/**
+ * 家族が指定の年齢・月を迎える年 (将来イベントの発生年) を返す。
+ * @param {Object} family - { age, birthMonth }
+ * @param {number} targetAge - 年齢
+ * @param {number} targetMonth - 月 (1-12)
+ * @returns {number} 年
+ */
+const getYearAtAge = (family, targetAge, targetMonth) => {
+    const birth = getBirthYearMonth(family);
+    return birth.year + targetAge + (targetMonth < birth.month ? 1 : 0);
+};
+
+/**
+ * 将来イベントが指定の月に発生するかを返す。
+ * 年齢指定 (timing: 'age') は対象家族がその年齢になる年の発生月、年月指定 (timing: 'date') はその年月に発生し、
+ * repeatYears があれば終了の年齢・年月 (未指定なら期限なし) まで N 年ごとに繰り返す。
+ * @param {Object} evt - 将来イベント
+ * @param {string} ym - YYYY-MM
+ * @param {number | null} age - 対象家族のその月の年齢 (年月指定なら不要)
+ * @returns {boolean} 発生するか
+ */
+const isFutureEventDue = (evt, ym, age) => {
+    const repeatYears = evt.repeatYears || 0;
+    if (evt.timing === 'date') {
+        if (!evt.ym || ym < evt.ym || (evt.untilYM && ym > evt.untilYM)) return false;
+        const elapsed = diffMonths(ym, evt.ym);
+        return repeatYears > 0 ? elapsed % (repeatYears * 12) === 0 : elapsed === 0;
+    }
+    if (age === null || Number(ym.slice(5, 7)) !== evt.targetMonth) return false;
+    if (repeatYears === 0) return age === evt.targetAge;
+    return age >= evt.targetAge && age <= (evt.untilAge ?? Infinity) && (age - evt.targetAge) % repeatYears === 0;
+};
+
+/**
+ * 将来イベントの収支 (収入はプラス、支出はマイナス) を返す。
+ * @param {Object} evt - 将来イベント (kind が無い旧データは支出)
+ * @returns {number} 収支 (インフレ前)
+ */
+const getFutureEventFlow = (evt) => evt.kind === 'income' ? evt.amount : -evt.amount;
+
 /**
  * 特定の月に発生する定期支出の合計額を計算する。
  * @param {string} targetYM - YYYY-MM
@@ -227,6 +605,19 @@ const calculateCoreMonthlyChange = () => {
  * (実績変化額 + その月に支払われた定期支出) の平均 = 何もしなくても生み出せる余力
  */
 const calculateNormalizedCoreBalance = () => {
+    const coreSurpluses = getCoreSurpluses();
+    if (coreSurpluses === null) return null;
+
+    if (coreSurpluses.length === 0) return 0;
+    const avg = coreSurpluses.reduce((sum, item) => sum + item.surplus, 0) / coreSurpluses.length;
+    return Math.round(avg);
+};
+
+/**
+ * 履歴データの月ごとの基礎余力 (実績変化額 + その月に支払われた定期支出・ローン・イベント費) を求める。
+ * @returns {Array<{month: string, surplus: number}> | null} 2件目以降の実績の月ごとの基礎余力 (実績が2件未満なら null)
+ */
+const getCoreSurpluses = () => {
     const balances = [...appData.monthlyBalances].sort((a, b) => a.month.localeCompare(b.month));
     if (balances.length < 2) return null;
 
@@ -247,56 +638,196 @@ const calculateNormalizedCoreBalance = () => {
         let paidLoans = 0;
         if (appData.loans) {
             appData.loans.forEach(loan => {
-                // startYM <= current <= endYM
-                if (currentMonthYM >= loan.startYM && currentMonthYM <= loan.endYM) {
-                    paidLoans += loan.monthlyAmount;
-                }
+                paidLoans += getLoanPaymentForMonth(loan, currentMonthYM);
             });
         }
 
-        // 3. 将来イベントも同様に足し戻す
+        // 3. 将来イベントも同様に足し戻す (臨時収入は差し引く)
         let paidEvents = 0;
         const [currYear, currMonth] = currentMonthYM.split('-').map(Number);
         appData.futureEvents.forEach(evt => {
             const fam = appData.families.find(f => f.id === evt.familyId);
-            if (fam) {
-                const now = new Date();
-                const eventYear = (now.getFullYear() - fam.age) + evt.targetAge;
-                if (eventYear === currYear && evt.targetMonth === currMonth) {
-                    paidEvents += evt.amount;
-                }
+            if (evt.timing !== 'date' && !fam) return;
+            const age = fam ? getAgeAt(getBirthYearMonth(fam), currYear, currMonth) : null;
+            if (isFutureEventDue(evt, currentMonthYM, age)) {
+                paidEvents -= getFutureEventFlow(evt);
             }
         });
 
         // 基礎余力 = 実際の手残り + 払った固定費 + 払ったイベント費 + 払ったローン
-        coreSurpluses.push(actualChange + paidRecurring + paidEvents + paidLoans);
+        coreSurpluses.push({ month: currentMonthYM, surplus: actualChange + paidRecurring + paidEvents + paidLoans });
     }
 
-    if (coreSurpluses.length === 0) return 0;
-    const avg = coreSurpluses.reduce((a, b) => a + b, 0) / coreSurpluses.length;
-    return Math.round(avg);
+    return coreSurpluses;
 };
 
 // 教育費概算 (月額) - 文部科学省「子供の学習費調査」などを参考に簡易化
 const EDUCATION_COSTS = {
     // 月額換算 (塾・習い事などの学校外活動費含む概算)
-    // 公立コース: 小中高公立・大学国公立
-    // 私立コース: 小中高私立・大学私立 (理系・文系平均)
+    // 大学は学部系統別 (理系は従来の概算額と一致)
     // 参照: 文部科学省「子供の学習費調査(R3)」, 日本政策金融公庫「教育費負担の実態調査(R3)」
     public: {
         kindergarten: 25000,   // 3-5歳 (幼児教育無償化後も給食費・バス代等はかかる)
         elementary: 27000,     // 6-11歳 (学校教育費 + 学校外活動費)
         juniorHigh: 45000,     // 12-14歳 (塾費用が増加する)
         highSchool: 43000,     // 15-17歳 (公立高校授業料無償化所得制限ありだが、平均として計上)
-        university: 90000      // 18-21歳 (国公立授業料 + 通学定期/教科書等)
+        university: { humanities: 85000, science: 90000, medical: 95000 }, // 国公立授業料 + 通学定期/教科書等
+        graduate: 75000        // 国公立大学院
     },
     private: {
         kindergarten: 45000,
         elementary: 140000,    // 私立小は高額
         juniorHigh: 120000,
         highSchool: 90000,
-        university: 140000     // 私立大理系含む平均
+        university: { humanities: 120000, science: 140000, medical: 400000 }, // 私立医学部は6年で3,000万円前後
+        graduate: 110000
+    }
+};
+
+// 上乗せの教育費 (月額)
+const EDUCATION_EXTRA_COSTS = {
+    cram: {
+        elementary: 45000, // 小4〜6: 中学受験塾
+        juniorHigh: 30000, // 中3: 高校受験塾
+        highSchool: 35000, // 高2〜3: 大学受験塾・予備校
+    },
+    ronin: 70000,          // 浪人中の予備校
+};
+
+// 学校段階 (学齢 = 4月1日時点の年齢)
+const EDUCATION_STAGES = [
+    { key: 'kindergarten', label: '幼稚園', startAge: 3, years: 3 },
+    { key: 'elementary', label: '小学校', startAge: 6, years: 6 },
+    { key: 'juniorHigh', label: '中学校', startAge: 12, years: 3 },
+    { key: 'highSchool', label: '高校', startAge: 15, years: 3 },
+];
+const EDUCATION_FACULTIES = {
+    humanities: { label: '文系', years: 4 },
+    science: { label: '理系', years: 4 },
+    medical: { label: '医歯薬系', years: 6 },
+};
+const GRADUATE_COURSES = {
+    none: { label: '進学しない', years: 0 },
+    master: { label: '修士 (2年)', years: 2 },
+    doctor: { label: '博士まで (5年)', years: 5 },
+};
+const CRAM_PERIODS = {
+    elementary: { label: '中学受験 (小4〜6)', startAge: 9, endAge: 11 },
+    juniorHigh: { label: '高校受験 (中3)', startAge: 14, endAge: 14 },
+    highSchool: { label: '大学受験 (高2〜3)', startAge: 16, endAge: 17 },
+};
+
+/**
+ * 教育プランの初期値を作成する。旧設定の educationMode から移行するときはそれに合わせる。
+ * @param {string} legacyMode - 'public' | 'private' | 'public_private_univ'
+ * @returns {Object} 教育プラン
+ */
+const createEducationPlan = (legacyMode = 'public') => {
+    const type = legacyMode === 'private' ? 'private' : 'public';
+    return {
+        kindergarten: type,
+        elementary: type,
+        juniorHigh: type,
+        highSchool: type,
+        university: legacyMode === 'public' ? 'public' : 'private', // 'none' なら進学しない
+        faculty: 'science',
+        cram: [],          // CRAM_PERIODS のキー
+        roninYears: 0,
+        graduate: 'none',  // GRADUATE_COURSES のキー
+    };
+};
+
+/**
+ * 子供の教育プランを返す (未作成なら初期値)。
+ * @param {Object} s - シミュレーション設定
+ * @param {string} familyId - 家族ID
+ * @returns {Object} 教育プラン
+ */
+const getEducationPlan = (s, familyId) => (s.educationPlans && s.educationPlans[familyId]) || createEducationPlan();
+
+/**
+ * 教育プランを学齢ごとの在籍期間に展開する。浪人・大学・大学院は高校卒業後に順に続く。
+ * @param {Object} plan - 教育プラン
+ * @returns {Array} [{ key, label, type, startAge, endAge }]
+ */
+const getEducationTimeline = (plan) => {
+    const timeline = EDUCATION_STAGES
+        .filter(stage => plan[stage.key] !== 'none')
+        .map(stage => ({ key: stage.key, label: stage.label, type: plan[stage.key], startAge: stage.startAge, endAge: stage.startAge + stage.years - 1 }));
+    if (plan.university === 'none') return timeline;
+
+    let age = 18;
+    if (plan.roninYears > 0) {
+        timeline.push({ key: 'ronin', label: '浪人', type: null, startAge: age, endAge: age + plan.roninYears - 1 });
+        age += plan.roninYears;
+    }
+    const faculty = EDUCATION_FACULTIES[plan.faculty] || EDUCATION_FACULTIES.science;
+    timeline.push({ key: 'university', label: `大学 (${faculty.label})`, type: plan.university, startAge: age, endAge: age + faculty.years - 1 });
+    age += faculty.years;
+
+    const graduateYears = (GRADUATE_COURSES[plan.graduate] || GRADUATE_COURSES.none).years;
+    if (graduateYears > 0) {
+        timeline.push({ key: 'graduate', label: '大学院', type: plan.university, startAge: age, endAge: age + graduateYears - 1 });
+    }
+    return timeline;
+};
+
+/**
+ * 学齢から、教育プランにおける在籍段階を返す。
+ * @param {number} schoolAge - 学齢
+ * @param {Object} plan - 教育プラン
+ * @returns {Object | null} getEducationTimeline の要素 (在籍していなければ null)
+ */
+const getEducationStage = (schoolAge, plan) => getEducationTimeline(plan).find(stage => schoolAge >= stage.startAge && schoolAge <= stage.endAge) || null;
+
+/**
+ * 教育プランを終える学齢 (最後の在籍段階の終了学齢) を返す。
+ * @param {Object} plan - 教育プラン
+ * @returns {number} 学齢
+ */
+const getEducationEndAge = (plan) => {
+    const timeline = getEducationTimeline(plan);
+    return timeline.length > 0 ? timeline[timeline.length - 1].endAge : 0;
+};
+
+/**
+ * 教育費 (月額・現在価格) を計算する。
+ * @param {number} schoolAge - 学齢
+ * @param {Object} plan - 教育プラン
+ * @returns {number} 月額
+ */
+const getEducationCost = (schoolAge, plan) => {
+    const stage = getEducationStage(schoolAge, plan);
+    let cost = 0;
+    if (stage) {
+        if (stage.key === 'ronin') {
+            cost = EDUCATION_EXTRA_COSTS.ronin;
+        } else if (stage.key === 'university') {
+            cost = EDUCATION_COSTS[stage.type].university[plan.faculty] || EDUCATION_COSTS[stage.type].university.science;
+        } else {
+            cost = EDUCATION_COSTS[stage.type][stage.key];
+        }
+    }
+    (plan.cram || []).forEach(key => {
+        const period = CRAM_PERIODS[key];
+        if (period && schoolAge >= period.startAge && schoolAge <= period.endAge) {
+            cost += EDUCATION_EXTRA_COSTS.cram[key];
+        }
+    });
+    return cost;
+};
+
+/**
+ * 教育プランの総額 (現在価格) を計算する。
+ * @param {Object} plan - 教育プラン
+ * @returns {number} 総額
+ */
+const calcEducationPlanTotal = (plan) => {
+    let total = 0;
+    for (let age = 3; age <= getEducationEndAge(plan); age++) {
+        total += getEducationCost(age, plan) * 12;
     }
+    return total;
 };
 
 // 成長に伴う生活費追加（教育費以外：食費、通信費、被服費、小遣いなど）
@@ -314,169 +845,2033 @@ const getGrowthExpense = (age) => {
     return 0;
 };
 
-const getEducationCost = (age, mode) => {
-    // 簡易ロジック: 年齢で学校種別を判定
-    // 3-5: 幼稚園, 6-11: 小学校, 12-14: 中学校, 15-17: 高校, 18-21: 大学
-
-    // 高校まで公立・大学私立パターン
-    if (mode === 'public_private_univ') {
-        if (age >= 3 && age <= 5) return EDUCATION_COSTS.public.kindergarten;
-        if (age >= 6 && age <= 11) return EDUCATION_COSTS.public.elementary;
-        if (age >= 12 && age <= 14) return EDUCATION_COSTS.public.juniorHigh;
-        if (age >= 15 && age <= 17) return EDUCATION_COSTS.public.highSchool;
-        if (age >= 18 && age <= 21) return EDUCATION_COSTS.private.university;
-        return 0;
-    }
+// --- 子育て支援 (児童手当・高校就学支援金・大学の授業料減免) ---
 
-    const costs = EDUCATION_COSTS[mode];
-    if (age >= 3 && age <= 5) return costs.kindergarten;
-    if (age >= 6 && age <= 11) return costs.elementary;
-    if (age >= 12 && age <= 14) return costs.juniorHigh;
-    if (age >= 15 && age <= 17) return costs.highSchool;
-    if (age >= 18 && age <= 21) return costs.university;
-    return 0;
+// 児童手当 (2024年10月以降: 所得制限なし・高校生年代まで・第3子以降は増額)
+const CHILD_ALLOWANCE = {
+    underThree: 15000,      // 3歳未満 (月額)
+    standard: 10000,        // 3歳〜高校生年代 (月額)
+    thirdChild: 30000,      // 第3子以降 (月額)
+    maxSchoolAge: 17,       // 高校生年代 (18歳到達後の最初の3月末) まで
+    countMaxSchoolAge: 21,  // 第何子かの数え方: 22歳到達後の最初の3月末までの子を数える
+};
+// 高等学校等就学支援金 (年額。所得制限は世帯年収の目安)
+const HIGH_SCHOOL_SUPPORT = {
+    base: 118800,               // 公立高校授業料相当
+    private: 396000,            // 私立高校の加算後の上限
+    baseIncomeLimit: 9100000,
+    privateIncomeLimit: 5900000,
+};
+// 高等教育の修学支援新制度 (授業料減免の年額上限と世帯年収の目安による区分)
+const UNIVERSITY_WAIVER = {
+    caps: { public: 535800, private: 700000 },
+    tiers: [
+        { limit: 2700000, ratio: 1 },     // 第I区分 (住民税非課税相当)
+        { limit: 3000000, ratio: 2 / 3 }, // 第II区分
+        { limit: 3800000, ratio: 1 / 3 }, // 第III区分
+    ],
+    multiChildCount: 3, // 扶養する子が3人以上なら所得に関わらず上限まで減免 (2025年度〜)
 };
 
-const runSimulation = (customSettings = null, customFamilies = null, customLoans = null, customRecurring = null) => {
-    // 引数がなければグローバルデータを使用
-    const s = customSettings || appData.settings;
-    const fams = customFamilies || appData.families;
-    const loans = customLoans || appData.loans;
-    const recurring = customRecurring || appData.recurringExpenses;
+/**
+ * 世帯の年収 (額面・年換算) を収入設定から見積もる。給付の所得制限の判定に使う。
+ * @param {Array} members - 家族 (age を使用)
+ * @param {Object} familyIncomes - 家族別の収入設定
+ * @returns {number} 世帯年収
+ */
+const estimateHouseholdGrossIncome = (members, familyIncomes) => members.reduce((sum, m) => {
+    const inc = familyIncomes[m.id];
+    if (!inc || m.age >= (inc.retirementAge || 60)) return sum;
+    return sum + toGrossAmount(inc, (inc.monthly || 0) * 12 + (inc.bonus || 0));
+}, 0);
 
-    const balances = [...appData.monthlyBalances].sort((a, b) => a.month.localeCompare(b.month));
-    const predictionYears = s.predictionYears;
-    const maxMonths = Math.min(predictionYears * 12, MAX_PREDICTION_MONTHS);
+/**
+ * 子供の人数・年齢・出生順と教育プランから、子育て支援の給付額 (月額) を計算する。
+ * @param {Array} members - 家族 ({ id, relation, schoolAge, age, birth } 続柄・学齢・生年月が必要, 続柄が子の家族だけを数える)
+ * @param {Function} getPlan - familyId から教育プランを返す関数
+ * @param {number} householdIncome - 世帯年収 (現在価値)
+ * @returns {{childAllowance: number, highSchoolSupport: number, tuitionWaiver: number, total: number}} 月額
+ */
+const calcChildBenefits = (members, getPlan, householdIncome) => {
+    const children = members
+        .filter(m => isChild(m) && m.age >= 0 && m.schoolAge <= CHILD_ALLOWANCE.countMaxSchoolAge)
+        .sort((a, b) => (a.birth.year - b.birth.year) || (a.birth.month - b.birth.month));
+
+    let childAllowance = 0;
+    let highSchoolSupport = 0;
+    let tuitionWaiver = 0;
+
+    children.forEach((child, order) => {
+        // 児童手当: 第何子かは22歳年度末までの子の中での出生順
+        if (child.schoolAge <= CHILD_ALLOWANCE.maxSchoolAge) {
+            if (order >= 2) childAllowance += CHILD_ALLOWANCE.thirdChild;
+            else childAllowance += child.age < 3 ? CHILD_ALLOWANCE.underThree : CHILD_ALLOWANCE.standard;
+        }
 
-    // 実績がない場合でもシミュレーションできるように、デフォルト値を設定
-    // 実績があれば最新の残高をスタートにする
-    let currentTotal = 0;
-    let latestMonth = new Date().toISOString().slice(0, 7);
+        const stage = getEducationStage(child.schoolAge, getPlan(child.id));
+        if (!stage) return;
 
-    if (balances.length > 0) {
-        const latestBalance = balances[balances.length - 1];
-        currentTotal = latestBalance.total;
-        latestMonth = latestBalance.month;
-    }
+        if (stage.key === 'highSchool' && householdIncome < HIGH_SCHOOL_SUPPORT.baseIncomeLimit) {
+            const isPrivateAddition = stage.type === 'private' && householdIncome < HIGH_SCHOOL_SUPPORT.privateIncomeLimit;
+            highSchoolSupport += (isPrivateAddition ? HIGH_SCHOOL_SUPPORT.private : HIGH_SCHOOL_SUPPORT.base) / 12;
+        }
 
-    let currentInvestment = 0; // 運用資産
+        if (stage.key === 'university') {
+            const tier = UNIVERSITY_WAIVER.tiers.find(t => householdIncome <= t.limit);
+            const ratio = children.length >= UNIVERSITY_WAIVER.multiChildCount ? 1 : (tier ? tier.ratio : 0);
+            tuitionWaiver += UNIVERSITY_WAIVER.caps[stage.type] * ratio / 12;
+        }
+    });
 
-    // 日付管理
-    const startDate = addMonth(parseYearMonth(latestMonth));
-    let currentMonthDate = startDate;
-    let crashMonth = null;
+    return { childAllowance, highSchoolSupport, tuitionWaiver, total: childAllowance + highSchoolSupport + tuitionWaiver };
+};
 
-    const result = {
-        labels: [latestMonth],
-        data: [currentTotal],     // 総資産 (現金 + 投資)
-        investmentData: [0],      // 投資資産の内訳
-        incomeData: [0],          // 収入履歴 (ツールチップ用)
-        expenseData: [0],         // 支出履歴 (ツールチップ用)
-    };
+/**
+ * 現在の家族構成で受け取れる子育て支援の給付額 (月額) を計算する。
+ * @returns {Object} calcChildBenefits の結果
+ */
+const getCurrentChildBenefits = () => {
+    const s = appData.settings;
+    const familyIncomes = s.familyIncomes || {};
+    const now = new Date();
+    const members = appData.families.filter(f => isInHousehold(f, formatDateToYM(now))).map(f => {
+        const birth = getBirthYearMonth(f, now);
+        return { id: f.id, age: f.age, relation: f.relation, birth, schoolAge: getSchoolAge(birth, now.getFullYear(), now.getMonth() + 1) };
+    });
+    return calcChildBenefits(members, (id) => getEducationPlan(s, id), estimateHouseholdGrossIncome(appData.families, familyIncomes));
+};
 
-    // シミュレーション用家族年齢管理 (初期化)
-    // Deep Copy to avoid mutating original objects during simulation
-    const simFamilies = JSON.parse(JSON.stringify(fams));
+// --- 税・社会保険 (額面 → 手取り) ---
+
+// 所得税の速算表 (課税所得の上限・税率・控除額)
+const INCOME_TAX_BRACKETS = [
+    { limit: 1950000, rate: 0.05, deduction: 0 },
+    { limit: 3300000, rate: 0.10, deduction: 97500 },
+    { limit: 6950000, rate: 0.20, deduction: 427500 },
+    { limit: 9000000, rate: 0.23, deduction: 636000 },
+    { limit: 18000000, rate: 0.33, deduction: 1536000 },
+    { limit: 40000000, rate: 0.40, deduction: 2796000 },
+    { limit: Infinity, rate: 0.45, deduction: 4796000 },
+];
+const RECONSTRUCTION_TAX_RATE = 0.021; // 復興特別所得税 (所得税額の2.1%)
+const RESIDENT_TAX_RATE = 0.10;        // 住民税所得割 (市町村6% + 道府県4%)
+const RESIDENT_TAX_PER_CAPITA = 6000;  // 住民税均等割 + 森林環境税 (年額)
+const RESIDENT_TAX_EXEMPT_INCOME = 450000; // 住民税非課税となる合計所得 (単身の目安)
+const RESIDENT_TAX_START_MONTH = 6;    // 前年所得に対する住民税は6月から翌年5月までの12回で天引きされる (特別徴収)
+const RESIDENT_TAX_ASSESSMENT_MONTH = 12; // この月の末で当年の所得を締め、翌年度 (6月から) の住民税を確定する
+
+// 会社員の社会保険料 (本人負担分, 協会けんぽ全国平均ベース)
+const SOCIAL_INSURANCE = {
+    healthRate: 0.05,           // 健康保険 (10.0%の折半)
+    careRate: 0.008,            // 介護保険 (40-64歳, 1.6%の折半)
+    pensionRate: 0.0915,        // 厚生年金 (18.3%の折半, 70歳まで)
+    employmentRate: 0.0055,     // 雇用保険 (一般の事業)
+    healthMonthlyCap: 1390000,  // 健康保険の標準報酬月額上限
+    pensionMonthlyCap: 650000,  // 厚生年金の標準報酬月額上限
+    healthBonusCap: 5730000,    // 健康保険の標準賞与額 (年度累計) 上限
+    pensionBonusCap: 3000000,   // 厚生年金の標準賞与額上限 (1回150万円 × 年2回と仮定)
+};
 
-    // ベース収支パラメータ
-    const monthlyIncome = s.monthlyIncome || 0;
-    const monthlyBonus = (s.yearlyBonus || 0) / 12; // 平準化して加算
+// 年金生活者の国民健康保険・介護保険 (概算)
+const PENSIONER_INSURANCE = {
+    healthRate: 0.09,        // 国保 所得割 (基礎控除後の所得に対する率)
+    healthPerCapita: 50000,  // 国保 均等割 (年額)
+    careAnnual: 75000,       // 65歳以上の介護保険料 (年額)
+};
 
-    // 初期生活費 (インフレ前)
-    // ★修正: ユーザー入力値(s.currentLivingCost)は「現在の子供の状態」を含んでいる。
-    // そのため、「子供の成長コスト」を変動させるには、まず「子供コスト抜きのベース生活費」を逆算する必要がある。
-    // Base = Input - InitialGrowthCost
-    // Monthly = Base * Inf + CurrentGrowthCost * Inf
+// 所得控除額 (所得税 / 住民税)
+const DEDUCTIONS = {
+    basic: { incomeTax: 580000, residentTax: 430000 },             // 基礎控除
+    spouse: { incomeTax: 380000, residentTax: 330000 },            // 配偶者控除 (配偶者特別控除の満額部分を含む)
+    dependent: { incomeTax: 380000, residentTax: 330000 },         // 一般の扶養親族 (16-18歳, 23-69歳)
+    specified: { incomeTax: 630000, residentTax: 450000 },         // 特定扶養親族 (19-22歳)
+    elderlyCohabiting: { incomeTax: 580000, residentTax: 450000 }, // 同居老親等 (70歳以上)
+};
+const DEPENDENT_SALARY_LIMIT = 1230000;  // 扶養親族とみなす給与収入の上限
+const SPOUSE_FULL_SALARY_LIMIT = 1600000; // 配偶者(特別)控除が満額となる配偶者の給与収入の上限
+const SPOUSE_SALARY_LIMIT = 2010000;     // 配偶者特別控除がなくなる配偶者の給与収入
+const SPOUSE_CLAIMANT_INCOME_LIMIT = 10000000; // 配偶者控除を受けられる本人の合計所得の上限
 
-    let initialGrowthCostSum = 0;
-    simFamilies.forEach(f => {
-        // 本人以外(simFamilies[0]除く) かつ 子供年齢
-        // ※simFamilies[0]は世帯主(親)と仮定
-        if (f !== simFamilies[0] && f.age <= s.childIndependenceAge) {
-            initialGrowthCostSum += getGrowthExpense(f.age);
-        }
-    });
+/**
+ * 給与所得控除額を計算する。
+ * @param {number} salary - 給与収入 (年額)
+ * @returns {number} 控除額
+ */
+const calcSalaryIncomeDeduction = (salary) => {
+    if (salary <= 1900000) return Math.min(salary, 650000);
+    if (salary <= 3600000) return salary * 0.3 + 80000;
+    if (salary <= 6600000) return salary * 0.2 + 440000;
+    if (salary <= 8500000) return salary * 0.1 + 1100000;
+    return 1950000;
+};
 
-    // ベース生活費（大人だけの生活費 + 固定的な家計費）
-    // もしマイナスになる（入力が少なすぎる）場合は最低0にする
-    const baseLivingCost = Math.max(0, (s.currentLivingCost || 250000) - initialGrowthCostSum);
+/**
+ * 公的年金等控除額を計算する (年金以外の所得が1,000万円以下の場合)。
+ * @param {number} pension - 公的年金収入 (年額)
+ * @param {number} age - 年齢
+ * @returns {number} 控除額
+ */
+const calcPublicPensionDeduction = (pension, age) => {
+    const minimum = age >= 65 ? 1100000 : 600000;
+    let deduction;
+    if (pension <= 4100000) deduction = pension * 0.25 + 275000;
+    else if (pension <= 7700000) deduction = pension * 0.15 + 685000;
+    else if (pension <= 10000000) deduction = pension * 0.05 + 1455000;
+    else deduction = 1955000;
+    return Math.min(pension, Math.max(minimum, deduction));
+};
 
-    // 内訳集計用変数 (生涯累計)
-    let totalLivingCost = 0;
-    let totalEduCost = 0;
-    let totalLoanCost = 0;
-    let totalRecurringCost = 0;
-    let totalInvestCost = 0;
+/**
+ * 合計所得に応じた基礎控除額を取得する。
+ * @param {number} totalIncome - 合計所得
+ * @returns {{incomeTax: number, residentTax: number}} 控除額
+ */
+const getBasicDeduction = (totalIncome) => {
+    if (totalIncome <= 23500000) return DEDUCTIONS.basic;
+    if (totalIncome <= 24000000) return { incomeTax: 480000, residentTax: 430000 };
+    if (totalIncome <= 24500000) return { incomeTax: 320000, residentTax: 290000 };
+    if (totalIncome <= 25000000) return { incomeTax: 160000, residentTax: 150000 };
+    return { incomeTax: 0, residentTax: 0 };
+};
 
-    for (let i = 0; i < maxMonths; i++) {
-        const currentMonthYM = formatDateToYM(currentMonthDate);
-        const currentYearNum = currentMonthDate.getFullYear();
-        const currentMonthNum = currentMonthDate.getMonth() + 1;
+/**
+ * 課税所得から所得税額 (復興特別所得税込み) を計算する。
+ * @param {number} taxableIncome - 課税所得
+ * @returns {number} 所得税額
+ */
+const calcIncomeTax = (taxableIncome) => {
+    if (taxableIncome <= 0) return 0;
+    const bracket = INCOME_TAX_BRACKETS.find(b => taxableIncome <= b.limit);
+    const baseTax = taxableIncome * bracket.rate - bracket.deduction;
+    return Math.max(0, baseTax * (1 + RECONSTRUCTION_TAX_RATE));
+};
 
-        // 経過年数
-        const yearsPassed = Math.floor(i / 12);
+/**
+ * 社会保険料 (本人負担分) を計算する。
+ * 給与があれば会社員の健康保険・厚生年金・雇用保険、なければ国民健康保険・介護保険として概算する。
+ * @param {number} monthlySalary - 月給 (額面)
+ * @param {number} annualBonus - 年間賞与 (額面)
+ * @param {number} totalIncome - 合計所得 (国保の所得割計算用)
+ * @param {number} age - 年齢
+ * @returns {{health: number, care: number, pension: number, employment: number, total: number}} 年額
+ */
+const calcSocialInsurance = (monthlySalary, annualBonus, totalIncome, age) => {
+    let health = 0, care = 0, pension = 0, employment = 0;
+
+    if (monthlySalary > 0 || annualBonus > 0) {
+        const healthBase = Math.min(monthlySalary, SOCIAL_INSURANCE.healthMonthlyCap) * 12 + Math.min(annualBonus, SOCIAL_INSURANCE.healthBonusCap);
+        const pensionBase = Math.min(monthlySalary, SOCIAL_INSURANCE.pensionMonthlyCap) * 12 + Math.min(annualBonus, SOCIAL_INSURANCE.pensionBonusCap);
+        health = healthBase * SOCIAL_INSURANCE.healthRate;
+        if (age >= 40 && age < 65) care = healthBase * SOCIAL_INSURANCE.careRate;
+        if (age < 70) pension = pensionBase * SOCIAL_INSURANCE.pensionRate;
+        employment = (monthlySalary * 12 + annualBonus) * SOCIAL_INSURANCE.employmentRate;
+    } else if (totalIncome > 0) {
+        health = Math.max(0, totalIncome - DEDUCTIONS.basic.residentTax) * PENSIONER_INSURANCE.healthRate + PENSIONER_INSURANCE.healthPerCapita;
+        if (age >= 65) care = PENSIONER_INSURANCE.careAnnual;
+    }
 
-        // ★インフレ率計算をここに移動 (収入にも適用するため)
-        const inflationFactor = Math.pow(1 + s.inflationRate / 100, yearsPassed);
+    return { health, care, pension, employment, total: health + care + pension + employment };
+};
 
-        // A. 収入の加算 (家族ごと)
-        let monthlyIncomeTotal = 0;
-        const familyIncomes = s.familyIncomes || {};
+/**
+ * 額面の年収から税・社会保険料と手取りを計算する。
+ * 住民税は当年の所得に対する課税額 (実際の支払いは翌年度) を返す。
+ * @param {Object} params
+ * @param {number} params.monthlySalary - 月給 (額面)
+ * @param {number} params.annualBonus - 年間賞与 (額面)
+ * @param {number} params.annualPension - 公的年金 (年額)
+ * @param {number} params.age - 年齢
+ * @param {{incomeTax: number, residentTax: number}} params.dependentDeduction - 配偶者・扶養控除の合計
+ * @param {number} params.extraDeduction - その他の所得控除 (iDeCoの小規模企業共済等掛金控除など)
+ * @returns {Object} { salaryGross, pensionGross, gross, socialInsurance, incomeTax, residentTax, net }
+ */
+const calculateTaxBreakdown = ({ monthlySalary = 0, annualBonus = 0, annualPension = 0, age = 40, dependentDeduction = null, extraDeduction = 0 }) => {
+    const salaryGross = monthlySalary * 12 + annualBonus;
+    const pensionGross = annualPension;
+    const deps = dependentDeduction || { incomeTax: 0, residentTax: 0 };
+
+    const salaryIncome = salaryGross > 0 ? Math.max(0, salaryGross - calcSalaryIncomeDeduction(salaryGross)) : 0;
+    const pensionIncome = pensionGross > 0 ? Math.max(0, pensionGross - calcPublicPensionDeduction(pensionGross, age)) : 0;
+    const totalIncome = salaryIncome + pensionIncome;
+
+    const socialInsurance = calcSocialInsurance(monthlySalary, annualBonus, totalIncome, age);
+    const basic = getBasicDeduction(totalIncome);
+
+    // 課税所得は1,000円未満切り捨て
+    const taxableForIncomeTax = Math.floor(Math.max(0, totalIncome - socialInsurance.total - basic.incomeTax - deps.incomeTax - extraDeduction) / 1000) * 1000;
+    const incomeTax = calcIncomeTax(taxableForIncomeTax);
+
+    let residentTax = 0;
+    if (totalIncome > RESIDENT_TAX_EXEMPT_INCOME) {
+        const taxableForResidentTax = Math.floor(Math.max(0, totalIncome - socialInsurance.total - basic.residentTax - deps.residentTax - extraDeduction) / 1000) * 1000;
+        residentTax = taxableForResidentTax * RESIDENT_TAX_RATE + RESIDENT_TAX_PER_CAPITA;
+    }
 
-        appData.families.forEach(f => {
-            // 本人のシミュレーション年齢は simFamilies[index].age だが、
-            // incomeデータのキーは f.id。
-            // 退職判定は「年月」で行うため、年齢計算は補足的。
+    const gross = salaryGross + pensionGross;
+    return {
+        salaryGross,
+        pensionGross,
+        gross,
+        socialInsurance,
+        incomeTax,
+        residentTax,
+        net: gross - socialInsurance.total - incomeTax - residentTax,
+    };
+};
+
+/**
+ * 退職金にかかる税額 (所得税 + 住民税) を計算する。退職所得は分離課税。
+ * @param {number} severance - 退職金 (額面)
+ * @param {number} serviceYears - 勤続年数
+ * @returns {number} 税額
+ */
+const calcSeveranceTax = (severance, serviceYears) => {
+    const years = Math.max(1, Math.ceil(serviceYears || 1));
+    // 退職所得控除: 20年以下は1年40万円 (最低80万円)、20年超は1年70万円
+    const deduction = years <= 20 ? Math.max(800000, 400000 * years) : 8000000 + 700000 * (years - 20);
+    const taxable = Math.floor(Math.max(0, severance - deduction) / 2 / 1000) * 1000;
+    return calcIncomeTax(taxable) + taxable * RESIDENT_TAX_RATE;
+};
+
+/**
+ * 配偶者の家族IDを返す。世帯主と、続柄が配偶者の家族を夫婦とみなす。
+ * @param {string} familyId - 本人の家族ID
+ * @param {Array} members - 家族 [{ id, relation }]
+ * @param {string} headId - 世帯主の家族ID
+ * @returns {string | null} 配偶者の家族ID (members にいなければ null)
+ */
+const findSpouseId = (familyId, members, headId) => {
+    if (familyId === headId) {
+        const spouse = members.find(m => m.id !== headId && m.relation === 'spouse');
+        return spouse ? spouse.id : null;
+    }
+    const self = members.find(m => m.id === familyId);
+    return self && self.relation === 'spouse' && members.some(m => m.id === headId) ? headId : null;
+};
+
+/**
+ * 主たる稼得者が申告する配偶者控除・扶養控除の合計を計算する。
+ * 配偶者は findSpouseId で判定し、それ以外の家族は年齢で扶養区分を判定する。
+ * @param {string} claimantId - 申告者の家族ID
+ * @param {Array} members - 判定時点の家族 [{ id, age, relation }]
+ * @param {Object} familyIncomes - 家族別収入設定
+ * @param {number} claimantSalary - 申告者の給与収入 (年額, 配偶者控除の所得制限判定用)
+ * @param {string} headId - 世帯主の家族ID
+ * @returns {{incomeTax: number, residentTax: number}} 控除額
+ */
+const getDependentDeductions = (claimantId, members, familyIncomes, claimantSalary, headId) => {
+    const total = { incomeTax: 0, residentTax: 0 };
+    const add = (d, ratio = 1) => {
+        total.incomeTax += d.incomeTax * ratio;
+        total.residentTax += d.residentTax * ratio;
+    };
+    const claimantIncome = Math.max(0, claimantSalary - calcSalaryIncomeDeduction(claimantSalary));
+    const spouseId = findSpouseId(claimantId, members, headId);
+
+    members.forEach(m => {
+        if (m.id === claimantId) return;
+        const inc = familyIncomes[m.id];
+        const salaryGross = inc ? (inc.monthly || 0) * 12 + (inc.bonus || 0) : 0;
+
+        if (m.id === spouseId) {
+            if (claimantIncome > SPOUSE_CLAIMANT_INCOME_LIMIT) return;
+            if (salaryGross <= SPOUSE_FULL_SALARY_LIMIT) {
+                add(DEDUCTIONS.spouse);
+            } else if (salaryGross < SPOUSE_SALARY_LIMIT) {
+                // 配偶者特別控除: 配偶者の収入に応じて段階的に減少 (線形で近似)
+                add(DEDUCTIONS.spouse, (SPOUSE_SALARY_LIMIT - salaryGross) / (SPOUSE_SALARY_LIMIT - SPOUSE_FULL_SALARY_LIMIT));
+            }
+            return;
+        }
+
+        if (salaryGross > DEPENDENT_SALARY_LIMIT) return;
+        if (m.age >= 70) add(DEDUCTIONS.elderlyCohabiting);
+        else if (m.age >= 19 && m.age <= 22) add(DEDUCTIONS.specified);
+        else if (m.age >= 16) add(DEDUCTIONS.dependent);
+    });
+
+    return total;
+};
+
+/**
+ * 扶養控除を申告する主たる稼得者 (額面入力の家族のうち最も年収が高い人) のIDを返す。
+ * @param {Object} familyIncomes - 家族別収入設定
+ * @returns {string | null} 家族ID
+ */
+const findMainEarnerId = (familyIncomes) => {
+    let mainId = null;
+    let maxGross = -1;
+    Object.keys(familyIncomes).forEach(id => {
+        const inc = familyIncomes[id];
+        if (inc.incomeType !== 'gross') return;
+        const gross = (inc.monthly || 0) * 12 + (inc.bonus || 0);
+        if (gross > maxGross) {
+            maxGross = gross;
+            mainId = id;
+        }
+    });
+    return mainId;
+};
+
+/**
+ * 現在の設定における家族1人分の税・社会保険料の内訳を計算する (設定画面・ダッシュボード表示用)。
+ * @param {string} familyId - 家族ID
+ * @returns {Object | null} calculateTaxBreakdown の結果 (額面入力でなければnull)
+ */
+const getCurrentTaxBreakdown = (familyId) => {
+    const familyIncomes = appData.settings.familyIncomes || {};
+    const inc = familyIncomes[familyId];
+    const fam = appData.families.find(f => f.id === familyId);
+    if (!inc || !fam || inc.incomeType !== 'gross') return null;
+
+    const isRetired = fam.age >= (inc.retirementAge || 60);
+    const isPensioner = fam.age >= (inc.pensionStartAge || PENSION_STANDARD_START_AGE);
+    const deps = findMainEarnerId(familyIncomes) === familyId
+        ? getDependentDeductions(familyId, appData.families.filter(f => isInHousehold(f, formatDateToYM(new Date()))), familyIncomes, (inc.monthly || 0) * 12 + (inc.bonus || 0), appData.families[0]?.id)
+        : null;
+    return calculateTaxBreakdown({
+        monthlySalary: isRetired ? 0 : (inc.monthly || 0),
+        annualBonus: isRetired ? 0 : (inc.bonus || 0),
+        annualPension: isPensioner ? estimatePublicPension(inc, fam.age).annual : 0,
+        age: fam.age,
+        dependentDeduction: deps,
+    });
+};
+
+// --- 公的年金 (老齢年金・遺族年金の概算) ---
+
+const BASIC_PENSION_FULL_ANNUAL = 831700;     // 老齢基礎年金の満額 (年額, 令和7年度)
+const BASIC_PENSION_FULL_YEARS = 40;          // 満額となる国民年金の納付年数
+const KOUSEI_ACCRUAL_RATE = 5.481 / 1000;     // 老齢厚生年金 (報酬比例部分) の給付乗率
+const PENSION_STANDARD_START_AGE = 65;
+const PENSION_MIN_START_AGE = 60;
+const PENSION_MAX_START_AGE = 75;
+const EARLY_CLAIM_REDUCTION_PER_MONTH = 0.004; // 繰上げ受給の減額率 (1ヶ月あたり)
+const LATE_CLAIM_INCREASE_PER_MONTH = 0.007;   // 繰下げ受給の増額率 (1ヶ月あたり)
+const KOUSEI_MAX_AGE = 70;                     // 厚生年金に加入できる上限年齢
+const SURVIVOR_KOUSEI_RATIO = 0.75;            // 遺族厚生年金 = 報酬比例部分の3/4
+const SURVIVOR_MIN_MONTHS = 300;               // 遺族厚生年金の被保険者期間のみなし最低月数
+const SURVIVOR_CHILD_ADDITIONS = [239300, 239300, 79800]; // 遺族基礎年金の子の加算 (第1子, 第2子, 第3子以降)
+const SURVIVOR_CHILD_MAX_AGE = 18;             // 遺族基礎年金の対象となる子の年齢 (18歳年度末までを簡易化)
+const NET_TO_GROSS_RATIO = 0.78;               // 手取り入力の収入から額面を推定する際の手取り率
+
+/**
+ * 受給開始年齢に応じた繰上げ・繰下げの調整率を返す。
+ * @param {number} startAge - 受給開始年齢 (60-75)
+ * @returns {number} 調整率 (65歳開始 = 1.0)
+ */
+const getPensionAdjustmentRate = (startAge) => {
+    const age = Math.min(PENSION_MAX_START_AGE, Math.max(PENSION_MIN_START_AGE, startAge || PENSION_STANDARD_START_AGE));
+    const months = (age - PENSION_STANDARD_START_AGE) * 12;
+    return months < 0
+        ? 1 + months * EARLY_CLAIM_REDUCTION_PER_MONTH
+        : 1 + months * LATE_CLAIM_INCREASE_PER_MONTH;
+};
+
+/**
+ * 家族の収入設定から、これまでの年金加入記録を作成する。
+ * @param {Object} inc - 家族の収入設定
+ * @returns {{kouseiMonths: number, kouseiSalaryTotal: number}} 厚生年金の加入月数と標準報酬の累計 (現在価値)
+ */
+const createPensionRecord = (inc) => {
+    const months = Math.max(0, (inc.pensionPastKouseiYears || 0) * 12);
+    return {
+        kouseiMonths: months,
+        kouseiSalaryTotal: (inc.pensionPastAvgSalary || 0) / 12 * months,
+    };
+};
+
+/**
+ * 1ヶ月分の厚生年金加入を記録に加える。
+ * 過去の報酬は再評価されるため、将来の報酬はインフレ係数で割り戻して現在価値で積み上げる。
+ * @param {Object} record - createPensionRecord で作成した記録 (直接更新する)
+ * @param {number} monthlyGross - 月給 (額面)
+ * @param {number} annualBonus - 年間賞与 (額面)
+ * @param {number} inflationFactor - 現在のインフレ係数
+ */
+const accruePensionRecord = (record, monthlyGross, annualBonus, inflationFactor) => {
+    const standardMonthly = Math.min(monthlyGross, SOCIAL_INSURANCE.pensionMonthlyCap);
+    const standardBonus = Math.min(annualBonus, SOCIAL_INSURANCE.pensionBonusCap) / 12;
+    record.kouseiMonths++;
+    record.kouseiSalaryTotal += (standardMonthly + standardBonus) / inflationFactor;
+};
+
+/**
+ * 年金の加入区分を返す。
+ * @param {Object} inc - 家族の収入設定
+ * @returns {string} 'employee' | 'national' | 'manual'
+ */
+const getPensionType = (inc) => inc.pensionType || 'employee';
+
+/**
+ * 手入力の年金額 (月額・額面・現在価値) を返す。
+ * @param {Object} inc - 家族の収入設定
+ * @returns {number} 月額
+ */
+const getManualPensionMonthly = (inc) => inc.pensionManualMonthly || 0;
+
+/**
+ * 年金記録から老齢年金の年額 (現在価値) を計算する。手入力の場合はその金額を使う。
+ * @param {Object} inc - 家族の収入設定 (国民年金の納付年数・受給開始年齢)
+ * @param {Object} record - 年金記録
+ * @returns {{basic: number, kousei: number, adjustmentRate: number, annual: number}} 調整前の基礎・厚生と調整後の年額
+ */
+const calcPensionBenefit = (inc, record) => {
+    if (getPensionType(inc) === 'manual') {
+        // 手入力の金額は繰上げ・繰下げ後の受給額とみなす (内訳が分からないため厚生年金部分は0とする)
+        const annual = getManualPensionMonthly(inc) * 12;
+        return { basic: annual, kousei: 0, adjustmentRate: 1, annual };
+    }
+    const kokuminYears = Math.min(BASIC_PENSION_FULL_YEARS, Math.max(0, inc.pensionKokuminYears ?? BASIC_PENSION_FULL_YEARS));
+    const basic = BASIC_PENSION_FULL_ANNUAL * kokuminYears / BASIC_PENSION_FULL_YEARS;
+    const kousei = record.kouseiSalaryTotal * KOUSEI_ACCRUAL_RATE;
+    const adjustmentRate = getPensionAdjustmentRate(inc.pensionStartAge);
+    return { basic, kousei, adjustmentRate, annual: (basic + kousei) * adjustmentRate };
+};
+
+/**
+ * 収入設定の月給を額面に換算する (手取り入力なら標準的な手取り率で割り戻す)。
+ * @param {Object} inc - 家族の収入設定
+ * @param {number} amount - 月給または賞与
+ * @returns {number} 額面
+ */
+const toGrossAmount = (inc, amount) => inc.incomeType === 'gross' ? amount : amount / NET_TO_GROSS_RATIO;
+
+/**
+ * 現在の給与が退職まで続くと仮定して、老齢年金の見込額 (現在価値) を推計する。
+ * @param {Object} inc - 家族の収入設定
+ * @param {number} age - 現在の年齢
+ * @returns {{basic: number, kousei: number, adjustmentRate: number, annual: number}} 見込額
+ */
+const estimatePublicPension = (inc, age) => {
+    const record = createPensionRecord(inc);
+    const lastWorkingAge = Math.min(inc.retirementAge || 60, KOUSEI_MAX_AGE);
+    const futureMonths = Math.max(0, (lastWorkingAge - age) * 12);
+    const monthlyGross = toGrossAmount(inc, inc.monthly || 0);
+    if (monthlyGross > 0 && inc.pensionType !== 'national') {
+        const annualBonus = toGrossAmount(inc, inc.bonus || 0);
+        for (let m = 0; m < futureMonths; m++) {
+            accruePensionRecord(record, monthlyGross, annualBonus, 1);
+        }
+    }
+    return calcPensionBenefit(inc, record);
+};
+
+/**
+ * 遺族厚生年金・障害厚生年金の基になる報酬比例部分を計算する。
+ * 加入期間が300月未満なら300月あったものとみなす。
+ * @param {Object} record - 年金記録
+ * @returns {number} 報酬比例部分の年額
+ */
+const calcDeemedKousei = (record) => {
+    if (record.kouseiMonths === 0) return 0;
+    const months = Math.max(record.kouseiMonths, SURVIVOR_MIN_MONTHS);
+    return record.kouseiSalaryTotal * KOUSEI_ACCRUAL_RATE * (months / record.kouseiMonths);
+};
+
+/**
+ * 遺族年金の年額 (現在価値) を計算する。
+ * 遺族厚生年金は亡くなった人の報酬比例部分の3/4 (65歳以上で自身の老齢厚生年金を受給中ならその差額)、
+ * 遺族基礎年金は18歳までの子がいる間だけ支給する。
+ * @param {Object} deceasedRecord - 亡くなった人の年金記録
+ * @param {number} ownKousei - 遺族自身の老齢厚生年金 (受給中なら調整前の年額、未受給なら0)
+ * @param {number} childCount - 対象となる子の人数
+ * @returns {number} 遺族年金の年額
+ */
+const calcSurvivorPension = (deceasedRecord, ownKousei, childCount) => {
+    let survivorKousei = 0;
+    if (deceasedRecord.kouseiMonths > 0) {
+        survivorKousei = Math.max(0, calcDeemedKousei(deceasedRecord) * SURVIVOR_KOUSEI_RATIO - ownKousei);
+    }
+
+    let survivorBasic = 0;
+    if (childCount > 0) {
+        survivorBasic = BASIC_PENSION_FULL_ANNUAL;
+        for (let c = 0; c < childCount; c++) {
+            survivorBasic += SURVIVOR_CHILD_ADDITIONS[Math.min(c, SURVIVOR_CHILD_ADDITIONS.length - 1)];
+        }
+    }
+    return survivorKousei + survivorBasic;
+};
+
+// --- 物価・賃金の上昇 (費目別のインフレ率・賃金カーブ) ---
+
+const INFLATION_CATEGORIES = {
+    education: '教育費',
+    healthcare: '医療・介護',
+    housing: '住まい (税・管理費・修繕)',
+};
+const SALARY_GROWTH_TYPES = {
+    amount: '定額 (月額/年)',
+    percent: '定率 (%/年)',
+    curve: '年齢別の賃金カーブ',
+};
+// 年齢別の賃金カーブ (40代前半を1とした比率, 賃金構造基本統計調査の年齢階級別賃金をもとにした概算)
+const SALARY_CURVE = [
+    { age: 22, ratio: 0.62 },
+    { age: 27, ratio: 0.74 },
+    { age: 32, ratio: 0.84 },
+    { age: 37, ratio: 0.93 },
+    { age: 42, ratio: 1.00 },
+    { age: 47, ratio: 1.06 },
+    { age: 52, ratio: 1.10 },
+    { age: 57, ratio: 1.08 },
+    { age: 62, ratio: 0.80 },
+];
+
+/**
+ * 賃金カーブの比率を返す (年齢の間は線形補間、範囲外は端の値)。
+ * @param {number} age - 年齢
+ * @returns {number} 40代前半を1とした賃金の比率
+ */
+const getSalaryCurveRatio = (age) => {
+    if (age <= SALARY_CURVE[0].age) return SALARY_CURVE[0].ratio;
+    const upper = SALARY_CURVE.findIndex(p => p.age >= age);
+    if (upper === -1) return SALARY_CURVE[SALARY_CURVE.length - 1].ratio;
+    const lo = SALARY_CURVE[upper - 1];
+    const hi = SALARY_CURVE[upper];
+    return lo.ratio + (hi.ratio - lo.ratio) * (age - lo.age) / (hi.age - lo.age);
+};
+
+/**
+ * 昇給を反映した月給を計算する。
+ * 定額は毎年 salaryIncrease 円、定率は毎年 salaryGrowthRate %、賃金カーブは年齢に応じて増減する。
+ * 賃金カーブには、感度分析で昇給を変えるときだけ毎年 salaryCurveShift % を上乗せする。
+ * @param {Object} inc - 家族の収入設定 (salaryGrowthType)
+ * @param {number} baseMonthly - 起点の月給
+ * @param {number} years - 起点からの経過年数
+ * @param {number} age - 現在の年齢
+ * @returns {number} 月給
+ */
+const calcGrownSalary = (inc, baseMonthly, years, age) => {
+    switch (inc.salaryGrowthType) {
+        case 'percent':
+            return baseMonthly * Math.pow(1 + (inc.salaryGrowthRate || 0) / 100, years);
+        case 'curve':
+            return baseMonthly * getSalaryCurveRatio(age) / getSalaryCurveRatio(age - years) * Math.pow(1 + (inc.salaryCurveShift || 0) / 100, years);
+        default:
+            return baseMonthly + (inc.salaryIncrease || 0) * years;
+    }
+};
+
+/**
+ * 費目別の累積インフレ係数を年ごとに作成する。
+ * 各費目は一般物価の率 (年ごとの系列があればそれ) に、設定した費目の率との差を上乗せする。
+ * 年金はマクロ経済スライドで物価の伸びからスライド調整率を差し引く (名目額は下げない)。
+ * @param {Object} s - シミュレーション設定
+ * @param {Array<number>} annualInflation - 年ごとの一般物価の上昇率 (%)。未指定の年は設定値
+ * @param {number} years - 年数
+ * @returns {{general: number[], education: number[], healthcare: number[], housing: number[], pension: number[]}} 年ごとの係数 (0年目は1)
+ */
+const buildInflationFactors = (s, annualInflation, years) => {
+    const general = s.inflationRate || 0;
+    const offsets = {};
+    Object.keys(INFLATION_CATEGORIES).forEach(key => {
+        const rate = s[`${key}InflationRate`];
+        offsets[key] = (rate === null || rate === undefined) ? 0 : rate - general;
+    });
+    const slide = s.pensionSlideRate || 0;
+    const factors = { general: [1], pension: [1] };
+    Object.keys(offsets).forEach(key => { factors[key] = [1]; });
+
+    for (let y = 1; y <= years; y++) {
+        const rate = annualInflation[y - 1] !== undefined ? annualInflation[y - 1] : general;
+        factors.general.push(factors.general[y - 1] * (1 + rate / 100));
+        Object.keys(offsets).forEach(key => {
+            factors[key].push(factors[key][y - 1] * (1 + (rate + offsets[key]) / 100));
+        });
+        const pensionRate = rate > 0 ? Math.max(0, rate - slide) : rate;
+        factors.pension.push(factors.pension[y - 1] * (1 + pensionRate / 100));
+    }
+    return factors;
+};
+
+// --- 収入の変化 (育休・時短・転職・休職・再雇用) ---
+
+const INCOME_PHASE_TYPES = {
+    parental_leave: '育休 (育児休業給付金)',
+    part_time: '時短・パート勤務',
+    job_change: '転職 (以後の給与が変わる)',
+    sabbatical: '休職・サバティカル (無給)',
+    reemployment: '再雇用 (退職後)',
+};
+// 育児休業給付金 (休業前の賃金 × 給付率、非課税・社会保険料免除)
+const CHILDCARE_LEAVE_BENEFIT = {
+    initialRate: 0.67,      // 休業開始から6か月
+    initialMonths: 6,
+    laterRate: 0.50,        // 7か月目以降
+    maxMonthlyWage: 470700, // 休業開始時賃金の上限 (月額換算)
+};
+// 高年齢雇用継続給付 (60〜64歳の再雇用で賃金が60歳時点の75%未満に下がった場合)
+const ELDERLY_EMPLOYMENT_BENEFIT = {
+    maxRate: 0.10,          // 2025年4月以降の最大給付率
+    fullBelowRatio: 0.64,   // 60歳時点の64%以下なら最大給付率
+    noneAboveRatio: 0.75,   // 75%以上なら給付なし
+    untilAge: 65,
+};
+
+/**
+ * 指定の月に有効な収入フェーズを返す。期間が重なる場合は後から始まったものを優先する。
+ * @param {Array} phases - 収入フェーズ [{ type, startYM, endYM, monthly, bonus }]
+ * @param {string} ym - YYYY-MM
+ * @param {Function} filter - 対象とするフェーズの条件
+ * @returns {Object | null} 収入フェーズ
+ */
+const findIncomePhase = (phases, ym, filter = () => true) => (phases || [])
+    .filter(p => filter(p) && p.startYM <= ym && (!p.endYM || ym <= p.endYM))
+    .sort((a, b) => b.startYM.localeCompare(a.startYM))[0] || null;
+
+/**
+ * 収入フェーズを反映した、その月の給与・賞与・非課税の給付を計算する。
+ * 転職は以後の基本給を置き換え (定期昇給は転職時から再計算)、育休・時短・休職は期間中だけ基本給を置き換える。
+ * 退職後は再雇用の期間だけ給与が入る。
+ * @param {Object} inc - 家族の収入設定
+ * @param {Object} params - { ym: YYYY-MM, yearsPassed: シミュレーション開始からの経過年数, isRetired, age, lastSalary: 退職前 (60歳時点) の月給 }
+ * @returns {{salary: number, annualBonus: number, benefit: number, pensionSalary: number, pensionBonus: number, baseSalary: number}}
+ *   salary/annualBonus は課税される給与、benefit は非課税の給付、pensionSalary/pensionBonus は年金記録に使う額 (育休中は休業前の額)
+ */
+const resolveMonthlyIncome = (inc, { ym, yearsPassed, isRetired, age, lastSalary }) => {
+    const phases = inc.phases || [];
+    const job = findIncomePhase(phases, ym, p => p.type === 'job_change');
+    const baseMonthly = job ? (job.monthly || 0) : (inc.monthly || 0);
+    const baseBonus = job ? (job.bonus || 0) : (inc.bonus || 0);
+    const years = job ? Math.floor(diffMonths(ym, job.startYM) / 12) : yearsPassed;
+    const baseSalary = calcGrownSalary(inc, baseMonthly, years, age);
+    const ratio = baseMonthly > 0 ? (baseSalary / baseMonthly) : 1;
+    const income = { salary: 0, annualBonus: 0, benefit: 0, pensionSalary: 0, pensionBonus: 0, baseSalary };
+
+    if (isRetired) {
+        const reemployment = findIncomePhase(phases, ym, p => p.type === 'reemployment');
+        if (!reemployment) return income;
+        income.salary = income.pensionSalary = reemployment.monthly || 0;
+        income.annualBonus = income.pensionBonus = reemployment.bonus || 0;
+        if (age < ELDERLY_EMPLOYMENT_BENEFIT.untilAge && lastSalary > 0) {
+            const wageRatio = income.salary / lastSalary;
+            const span = ELDERLY_EMPLOYMENT_BENEFIT.noneAboveRatio - ELDERLY_EMPLOYMENT_BENEFIT.fullBelowRatio;
+            const rate = ELDERLY_EMPLOYMENT_BENEFIT.maxRate * Math.min(1, Math.max(0, (ELDERLY_EMPLOYMENT_BENEFIT.noneAboveRatio - wageRatio) / span));
+            income.benefit = toGrossAmount(inc, income.salary) * rate;
+        }
+        return income;
+    }
+
+    income.salary = income.pensionSalary = baseSalary;
+    income.annualBonus = income.pensionBonus = baseBonus * ratio;
+
+    const temporary = findIncomePhase(phases, ym, p => p.type !== 'job_change' && p.type !== 'reemployment');
+    if (!temporary) return income;
+
+    if (temporary.type === 'parental_leave') {
+        // 休業中は無給。社会保険料は免除されるが、年金記録は休業前の給与で積み上がる
+        const monthsOnLeave = diffMonths(ym, temporary.startYM);
+        const rate = monthsOnLeave < CHILDCARE_LEAVE_BENEFIT.initialMonths ? CHILDCARE_LEAVE_BENEFIT.initialRate : CHILDCARE_LEAVE_BENEFIT.laterRate;
+        income.benefit = Math.min(toGrossAmount(inc, baseSalary), CHILDCARE_LEAVE_BENEFIT.maxMonthlyWage) * rate;
+        income.salary = 0;
+        income.annualBonus = 0;
+        income.pensionBonus = 0;
+    } else if (temporary.type === 'part_time') {
+        income.salary = income.pensionSalary = temporary.monthly || 0;
+        income.annualBonus = income.pensionBonus = temporary.bonus || 0;
+    } else {
+        income.salary = income.pensionSalary = 0;
+        income.annualBonus = income.pensionBonus = 0;
+    }
+    return income;
+};
+
+// 賞与の支給月の既定値 (夏・冬)
+const DEFAULT_BONUS_MONTHS = [6, 12];
+
+/**
+ * 今月支給される賞与を求める。支給月を空にした場合は年額を毎月に均等に割り振る。
+ * @param {Object} inc - 家族の収入設定 (bonusMonths: 支給月の配列, 未設定なら DEFAULT_BONUS_MONTHS)
+ * @param {number} annualBonus - 今月の状態での年間賞与
+ * @param {number} monthNum - 月 (1-12)
+ * @returns {number} 今月の賞与
+ */
+const getBonusForMonth = (inc, annualBonus, monthNum) => getInstallmentForMonth(annualBonus, inc.bonusMonths || DEFAULT_BONUS_MONTHS, monthNum);
+
+/**
+ * 年額を支払い (支給) 月に分けたときの今月の額を求める。月を空にした場合は毎月に均等に割り振る。
+ * @param {number} annual - 年額
+ * @param {number[]} months - 支払い月 (1-12)
+ * @param {number} monthNum - 月 (1-12)
+ * @returns {number} 今月の額
+ */
+const getInstallmentForMonth = (annual, months, monthNum) => {
+    if (months.length === 0) return annual / 12;
+    return months.includes(monthNum) ? annual / months.length : 0;
+};
+
+/**
+ * 賞与の支給月・税の納期などの月の入力 (例: "6,12") を月の配列にする。
+ * @param {string} text - カンマ区切りの月
+ * @returns {number[]} 1-12 の月 (重複なし・昇順)
+ */
+const parseMonthList = (text) => [...new Set(String(text).split(/[,、\s]+/)
+    .map(v => parseInt(v))
+    .filter(m => m >= 1 && m <= 12))]
+    .sort((a, b) => a - b);
+
+// --- 医療・介護 (年齢による医療費・介護費、離れて暮らす親の支援) ---
+
+// 年齢階級別の1人あたり医療費 (年額・現在価値, 医療保険制度の年齢階級別統計をもとにした概算)
+const MEDICAL_COST_BY_AGE = [
+    { minAge: 75, annual: 900000 },
+    { minAge: 70, annual: 620000 },
+    { minAge: 65, annual: 480000 },
+    { minAge: 60, annual: 370000 },
+    { minAge: 55, annual: 290000 },
+    { minAge: 45, annual: 200000 },
+    { minAge: 0, annual: 130000 },
+];
+// 医療費の自己負担割合 (75歳以上は後期高齢者医療で1割、70〜74歳は2割)
+const MEDICAL_COPAY_RATES = [
+    { minAge: 75, rate: 0.1 },
+    { minAge: 70, rate: 0.2 },
+    { minAge: 0, rate: 0.3 },
+];
+// 高額療養費の自己負担限度額 (月額, 一般所得区分の概算)
+const HIGH_COST_MEDICAL_CAP = { under70: 80100, over70: 57600 };
+const MEDICAL_ADULT_AGE = 18; // これより下の子供は子ども医療費助成で自己負担なしとみなす
+
+const LONG_TERM_CARE_LEVELS = {
+    support1: { label: '要支援1', monthly: 10000 },
+    support2: { label: '要支援2', monthly: 15000 },
+    care1: { label: '要介護1', monthly: 40000 },
+    care2: { label: '要介護2', monthly: 55000 },
+    care3: { label: '要介護3', monthly: 75000 },
+    care4: { label: '要介護4', monthly: 95000 },
+    care5: { label: '要介護5', monthly: 115000 },
+};
+const LONG_TERM_CARE_INITIAL_COST = 740000; // 住宅改修・介護用ベッドなどの一時費用
+
+/**
+ * 大人1人の医療費の自己負担 (月額・現在価値) を返す。高額療養費の上限を超えない。
+ * @param {number} age - 年齢
+ * @param {number} level - 医療費の水準 (% , 標準100。持病があれば高くする)
+ * @returns {number} 月額の自己負担
+ */
+const getMedicalCost = (age, level = 100) => {
+    const annual = MEDICAL_COST_BY_AGE.find(b => age >= b.minAge).annual * level / 100;
+    const copay = MEDICAL_COPAY_RATES.find(b => age >= b.minAge).rate;
+    const cap = age >= 70 ? HIGH_COST_MEDICAL_CAP.over70 : HIGH_COST_MEDICAL_CAP.under70;
+    return Math.min(annual * copay / 12, cap);
+};
+
+/**
+ * 家族の医療・介護の設定を返す (未設定なら標準の医療費、85歳から要介護2)。
+ * @param {Object} healthcare - 医療・介護の設定 (settings.healthcare)
+ * @param {string} familyId - 家族ID
+ * @returns {{medicalLevel: number, careStartAge: number | null, careLevel: string, careMonthly: number}} 設定
+ */
+const getHealthcareProfile = (healthcare, familyId) => ({
+    medicalLevel: 100,
+    careStartAge: 85,
+    careLevel: 'care2',
+    careMonthly: LONG_TERM_CARE_LEVELS.care2.monthly,
+    ...((healthcare.members || {})[familyId] || {}),
+});
+
+/**
+ * 介護費 (月額・現在価値) を返す。介護が始まった月は一時費用を加える。
+ * @param {Object} care - { careStartAge, careMonthly }
+ * @param {number} age - 今月の年齢
+ * @param {number} prevAge - 先月の年齢
+ * @returns {number} 介護費
+ */
+const getCareCost = (care, age, prevAge) => {
+    if (!care.careStartAge || age < care.careStartAge) return 0;
+    const isFirstMonth = prevAge !== undefined && prevAge < care.careStartAge;
+    return (care.careMonthly || 0) + (isFirstMonth ? LONG_TERM_CARE_INITIAL_COST : 0);
+};
+
+/**
+ * 世帯の医療費・介護費と、離れて暮らす親への支援 (月額・現在価値) を計算する。
+ * @param {Object} healthcare - 医療・介護の設定
+ * @param {Array} members - 世帯にいる家族 (age, prevAge)
+ * @param {Array} parents - 離れて暮らす親 (age, prevAge, monthlySupport, careStartAge, careMonthly, shareRate, endAge)
+ * @returns {{medical: number, care: number, parents: number, total: number}} 内訳
+ */
+const calcHealthcareMonth = (healthcare, members, parents) => {
+    let medical = 0;
+    let care = 0;
+    members.forEach(m => {
+        if (m.age < MEDICAL_ADULT_AGE) return;
+        const profile = getHealthcareProfile(healthcare, m.id);
+        medical += getMedicalCost(m.age, profile.medicalLevel);
+        care += getCareCost(profile, m.age, m.prevAge);
+    });
+    let parentSupport = 0;
+    (parents || []).forEach(p => {
+        if (p.endAge && p.age >= p.endAge) return;
+        parentSupport += (p.monthlySupport || 0) + getCareCost(p, p.age, p.prevAge) * (p.shareRate ?? 100) / 100;
+    });
+    return { medical, care, parents: parentSupport, total: medical + care + parentSupport };
+};
+
+// --- 万一のリスク (死亡・就業不能) と保険 ---
+
+const RISK_EVENT_TYPES = {
+    death: '死亡',
+    disability: '就業不能 (障害等級2級相当)',
+};
+const INSURANCE_TYPES = {
+    life: '死亡保険 (一時金)',
+    disability: '就業不能・高度障害保険 (一時金)',
+    income: '収入保障保険 (死亡・就業不能時に月額)',
+};
+const DISABILITY_SPOUSE_ADDITION = 239300; // 障害厚生年金の配偶者加給年金額 (年額)
+
+/**
+ * 障害年金 (2級相当) の年額 (現在価値) を計算する。障害基礎年金に子の加算、
+ * 会社員なら障害厚生年金 (報酬比例部分、300月みなし) と配偶者の加給年金を加える。
+ * @param {Object} record - 本人の年金記録
+ * @param {number} childCount - 18歳年度末までの子の人数
+ * @param {boolean} hasSpouse - 生計を維持する配偶者がいるか
+ * @returns {number} 障害年金の年額
+ */
+const calcDisabilityPension = (record, childCount, hasSpouse) => {
+    let annual = BASIC_PENSION_FULL_ANNUAL;
+    for (let c = 0; c < childCount; c++) {
+        annual += SURVIVOR_CHILD_ADDITIONS[Math.min(c, SURVIVOR_CHILD_ADDITIONS.length - 1)];
+    }
+    if (record.kouseiMonths > 0) {
+        annual += calcDeemedKousei(record) + (hasSpouse ? DISABILITY_SPOUSE_ADDITION : 0);
+    }
+    return annual;
+};
+
+/**
+ * 保険の保険料と、死亡・就業不能時の保険金を計算する。
+ * 保障は被保険者が保障終了年齢になるまで。保険金の支払い後は保険料の払込みが止まる。
+ * @param {Array} policies - 保険 [{ id, insuredId, type, amount, monthlyBenefit, premiumMonthly, endAge }]
+ * @param {Object} state - { members: 家族 (age), deceasedIds: Set, disabledIds: Set, claimed: Object (保険ID → 保険金の支払い開始時の状態。直接更新する) }
+ * @returns {{payout: number, premium: number}} 今月の保険金と保険料
+ */
+const calcInsuranceFlows = (policies, { members, deceasedIds, disabledIds, claimed }) => {
+    let payout = 0;
+    let premium = 0;
+    (policies || []).forEach(policy => {
+        const insured = members.find(m => m.id === policy.insuredId);
+        if (!insured) return;
+        const covered = insured.age < (policy.endAge || 65);
+        const isDead = deceasedIds.has(insured.id);
+        const isDisabled = disabledIds.has(insured.id);
+
+        if (!claimed[policy.id]) {
+            const triggered = (policy.type === 'life' && isDead)
+                || (policy.type === 'disability' && isDisabled)
+                || (policy.type === 'income' && (isDead || isDisabled));
+            if (!triggered) {
+                // 被保険者が亡くなれば、支払い対象外の保険も消滅する
+                if (covered && !isDead) premium += policy.premiumMonthly || 0;
+                return;
+            }
+            // 保障期間外の死亡・就業不能は支払い対象外
+            claimed[policy.id] = covered ? 'paid' : 'expired';
+            if (covered && policy.type !== 'income') payout += policy.amount || 0;
+        }
+        // 収入保障保険は保障終了年齢まで毎月支払われる
+        if (policy.type === 'income' && claimed[policy.id] === 'paid' && covered) {
+            payout += policy.monthlyBenefit || 0;
+        }
+    });
+    return { payout, premium };
+};
+
+// --- 投資口座 (NISA・iDeCo・課税口座) ---
+
+const INVESTMENT_ACCOUNT_TYPES = ['nisa', 'ideco', 'taxable'];
+const NISA_ANNUAL_LIMIT = 3600000;     // 新NISAの年間投資枠 (つみたて120万 + 成長240万)
+const NISA_LIFETIME_LIMIT = 18000000;  // 新NISAの生涯投資枠 (簿価)
+const IDECO_UNLOCK_AGE = 60;           // iDeCo を受け取れる年齢
+const IDECO_MAX_CONTRIBUTION_AGE = 65; // iDeCo に拠出できる上限年齢
+const CAPITAL_GAINS_TAX_RATE = 0.20315; // 課税口座の譲渡益課税 (所得税15.315% + 住民税5%)
+const WITHDRAWAL_ORDERS = {
+    'taxable,nisa,ideco': '課税口座 → NISA → iDeCo',
+    'nisa,taxable,ideco': 'NISA → 課税口座 → iDeCo',
+    'ideco,taxable,nisa': 'iDeCo → 課税口座 → NISA',
+    'ideco,nisa,taxable': 'iDeCo → NISA → 課税口座',
+};
+
+/**
+ * シミュレーション用の投資口座の状態を作成する。
+ * @returns {Object} 口座ごとの時価 (balance) と簿価 (cost)、NISA枠・iDeCo受取の管理情報
+ */
+const createInvestmentAccounts = () => ({
+    nisa: { balance: 0, cost: 0 },
+    ideco: { balance: 0, cost: 0 },
+    taxable: { balance: 0, cost: 0 },
+    nisaYearUsed: 0,       // 当年に使ったNISA枠
+    nisaRestorePending: 0, // 売却で翌年に復活するNISA枠 (簿価)
+    idecoWithdrawn: 0,     // iDeCo の累計受取額 (退職所得控除の計算用)
+    idecoMonths: 0,        // iDeCo の拠出月数
+});
+
+/**
+ * 口座の種類 (未設定の口座は現金・預金として扱う) を返す。
+ * @param {Object} account - appData.accounts の要素
+ * @returns {string} ACCOUNT_TYPES のキー
+ */
+const getAccountType = (account) => ACCOUNT_TYPES[account.type] ? account.type : 'cash';
+
+/**
+ * 合計残高に加算する金額を返す。負債口座は入力値 (残債) の符号に関わらずマイナスとして扱う。
+ * @param {string} accountId - 口座ID
+ * @param {number} amount - 入力された残高
+ * @returns {number} 合計残高への寄与
+ */
+const getSignedBalance = (accountId, amount) => {
+    const account = appData.accounts.find(acc => acc.id === accountId);
+    return account && getAccountType(account) === 'liability' ? -Math.abs(amount) : amount;
+};
+
+/**
+ * 月次残高を記録したときの口座の種類を返す (種類を記録していない古い残高は現在の種類)。
+ * 口座の種類を後から変えても、過去の残高の合計と内訳が食い違わないようにする。
+ * @param {Object} balanceItem - monthlyBalances の要素
+ * @param {Object} account - appData.accounts の要素
+ * @returns {string} ACCOUNT_TYPES のキー
+ */
+const getRecordedAccountType = (balanceItem, account) => {
+    const recorded = balanceItem.types && balanceItem.types[account.id];
+    return ACCOUNT_TYPES[recorded] ? recorded : getAccountType(account);
+};
+
+/**
+ * 月次残高を口座の種類ごとに集計する。負債は残債 (正の数) として集計する。
+ * @param {Object} balanceItem - monthlyBalances の要素
+ * @returns {Object} { cash, investment, retirement, liability }
+ */
+const sumBalancesByType = (balanceItem) => {
+    const sums = Object.fromEntries(Object.keys(ACCOUNT_TYPES).map(type => [type, 0]));
+    if (!balanceItem) return sums;
+    appData.accounts.forEach(account => {
+        const amount = balanceItem.accounts[account.id] || 0;
+        const type = getRecordedAccountType(balanceItem, account);
+        sums[type] += type === 'liability' ? Math.abs(amount) : amount;
+    });
+    return sums;
+};
+
+/**
+ * 実績の投資・年金口座の残高を、シミュレーションの投資口座の初期値として設定する。
+ * 証券口座は課税口座、年金口座は iDeCo として扱い、含み益は不明なため簿価 = 時価とみなす。
+ * @param {Object} accounts - createInvestmentAccounts で作成した状態 (直接更新する)
+ * @param {Object} balanceItem - 最新の月次残高データ
+ */
+const seedInvestmentAccounts = (accounts, balanceItem) => {
+    const sums = sumBalancesByType(balanceItem);
+    const taxable = Math.max(0, sums.investment);
+    const ideco = Math.max(0, sums.retirement);
+    accounts.taxable.balance = accounts.taxable.cost = taxable;
+    accounts.ideco.balance = accounts.ideco.cost = ideco;
+};
+
+/**
+ * 投資口座の時価合計を返す。
+ * @param {Object} accounts - createInvestmentAccounts で作成した状態
+ * @returns {number} 時価合計
+ */
+const getInvestmentTotal = (accounts) => INVESTMENT_ACCOUNT_TYPES.reduce((sum, type) => sum + accounts[type].balance, 0);
+
+/**
+ * 積立額を iDeCo → NISA (年間・生涯枠の範囲) → 課税口座 の順に振り分ける。
+ * @param {Object} accounts - 投資口座の状態 (直接更新する)
+ * @param {number} amount - 今月の積立額
+ * @param {number} idecoAmount - iDeCo への掛金 (拠出できない場合は0)
+ * @returns {{nisa: number, ideco: number, taxable: number}} 口座ごとの積立額
+ */
+const allocateContribution = (accounts, amount, idecoAmount) => {
+    const ideco = Math.min(amount, idecoAmount);
+    const nisaCapacity = Math.max(0, Math.min(
+        NISA_ANNUAL_LIMIT - accounts.nisaYearUsed,
+        NISA_LIFETIME_LIMIT - accounts.nisa.cost - accounts.nisaRestorePending
+    ));
+    const nisa = Math.min(amount - ideco, nisaCapacity);
+    const taxable = amount - ideco - nisa;
+
+    accounts.ideco.balance += ideco;
+    accounts.ideco.cost += ideco;
+    if (ideco > 0) accounts.idecoMonths++;
+    accounts.nisa.balance += nisa;
+    accounts.nisa.cost += nisa;
+    accounts.nisaYearUsed += nisa;
+    accounts.taxable.balance += taxable;
+    accounts.taxable.cost += taxable;
+
+    return { nisa, ideco, taxable };
+};
+
+/**
+ * 不足額を補うため、指定の順序で投資口座を取り崩す。
+ * 課税口座は譲渡益に課税、NISAは非課税 (売却した簿価分の枠は翌年に復活)、
+ * iDeCo は受取年齢までは引き出せず、受取額は退職所得として課税する。
+ * @param {Object} accounts - 投資口座の状態 (直接更新する)
+ * @param {number} needed - 必要な手取り額
+ * @param {string[]} order - 取り崩す口座の順序
+ * @param {boolean} idecoUnlocked - iDeCo を受け取れる年齢に達しているか
+ * @returns {{amount: number, tax: number}} 税引後の取り崩し額と税額
+ */
+const withdrawFromInvestments = (accounts, needed, order, idecoUnlocked) => {
+    let remaining = needed;
+    let totalTax = 0;
+
+    order.forEach(type => {
+        const acc = accounts[type];
+        if (remaining <= 0 || acc.balance <= 0) return;
+        if (type === 'ideco' && !idecoUnlocked) return;
+
+        let gross;
+        let tax = 0;
+        if (type === 'taxable') {
+            // 手取りで remaining を得るのに必要な売却額を、含み益の割合から逆算する
+            const gainRatio = Math.max(0, (acc.balance - acc.cost) / acc.balance);
+            gross = Math.min(acc.balance, remaining / (1 - gainRatio * CAPITAL_GAINS_TAX_RATE));
+            tax = gross * gainRatio * CAPITAL_GAINS_TAX_RATE;
+        } else if (type === 'ideco') {
+            // 受取額の累計に退職所得控除を適用し、今回増えた税額を差し引く
+            const years = Math.max(1, accounts.idecoMonths / 12);
+            gross = acc.balance;
+            const taxFor = (amount) => calcSeveranceTax(accounts.idecoWithdrawn + amount, years) - calcSeveranceTax(accounts.idecoWithdrawn, years);
+            if (gross - taxFor(gross) > remaining) {
+                // 手取りがちょうど不足額になる受取額を二分探索で求める
+                let low = remaining;
+                let high = gross;
+                for (let k = 0; k < 30; k++) {
+                    const mid = (low + high) / 2;
+                    if (mid - taxFor(mid) < remaining) low = mid; else high = mid;
+                }
+                gross = high;
+            }
+            tax = taxFor(gross);
+            accounts.idecoWithdrawn += gross;
+        } else {
+            gross = Math.min(acc.balance, remaining);
+            accounts.nisaRestorePending += acc.cost * (gross / acc.balance);
+        }
+
+        acc.cost -= acc.cost * (gross / acc.balance);
+        acc.balance -= gross;
+        remaining -= (gross - tax);
+        totalTax += tax;
+    });
+
+    return { amount: needed - remaining, tax: totalTax };
+};
+
+// 生活防衛資金 (現預金の下限) の決め方
+const CASH_FLOOR_TYPES = {
+    none: '設定しない',
+    months: '支出の月数で指定',
+    amount: '金額で指定',
+};
+
+/**
+ * 生活防衛資金 (積立より先に確保する現預金の下限) を求める。
+ * @param {Object} cashReserve - 現預金の配分の設定 { floorType, floorMonths, floorAmount }
+ * @param {number} monthlyExpense - 直近の平均的な月の支出
+ * @returns {number | null} 下限額 (設定しない場合は null)
+ */
+const getCashFloor = (cashReserve, monthlyExpense) => {
+    switch (cashReserve.floorType) {
+        case 'months':
+            return monthlyExpense * (cashReserve.floorMonths || 0);
+        case 'amount':
+            return cashReserve.floorAmount || 0;
+        default:
+            return null;
+    }
+};
+
+/**
+ * 今月の積立額を決める。積立できる月は積立後の現預金が生活防衛資金を下回らない範囲で積み立て、
+ * 現預金の上限を超える分は積立できない月 (赤字の月) も追加で投資に回す。
+ * @param {number} cash - 積立前の現預金 (今月の収支を反映済み)
+ * @param {number} target - 設定の積立額
+ * @param {boolean} canInvest - 設定額を積み立てられる月か (黒字で、取り崩し中でない)
+ * @param {number | null} floor - 生活防衛資金 (null なら下限なし)
+ * @param {number} ceiling - 現預金の上限 (0 なら上限なし)
+ * @returns {{regular: number, sweep: number}} 設定額の範囲の積立と、上限を超えた分の追加投資
+ */
+const decideInvestment = (cash, target, canInvest, floor, ceiling) => {
+    const regular = !canInvest ? 0 : floor === null ? target : Math.min(target, Math.max(0, cash - floor));
+    const sweep = ceiling > 0 ? Math.max(0, cash - regular - Math.max(ceiling, floor || 0)) : 0;
+    return { regular, sweep };
+};
+
+// --- 老後の取り崩し戦略 ---
+
+const WITHDRAWAL_STRATEGIES = {
+    deficit: '不足時のみ取り崩す',
+    fixed_percent: '定率 (毎年、資産の一定割合)',
+    fixed_amount: '定額 (毎年、物価調整した一定額)',
+    bucket: 'バケット (数年分の生活費を現金で確保)',
+    guardrails: 'ガードレール (Guyton-Klinger)',
+};
+
+/**
+ * 取り崩し戦略の状態を作成する。
+ * @returns {Object} 取り崩し計画の状態
+ */
+const createWithdrawalPlan = () => ({
+    startYM: null,          // 取り崩しを開始した月
+    initialWithdrawal: 0,   // 初年度の年間取り崩し額
+    startInflation: 1,      // 開始時の累積インフレ係数
+    prevInflation: 1,       // 前回見直し時の累積インフレ係数
+    annualWithdrawal: 0,    // 当年の年間取り崩し額 (定率・定額・ガードレール)
+    pendingRefill: 0,       // バケット戦略で今月補充する額
+    spendingFactor: 1,      // ガードレールによる生活費の増減 (1 = 当初の計画どおり)
+    yearStartInvestment: 0, // 前回見直し時の運用資産
+    yearProfit: 0,          // 前回見直し以降の運用損益
+    cuts: 0,                // ガードレールで支出を減らした回数
+    raises: 0,              // ガードレールで支出を増やした回数
+});
+
+/**
+ * 取り崩し開始時と毎年1月に、その年の取り崩し額を決める。
+ * ガードレール戦略は、前年の運用損益がマイナスなら物価調整を見送り、
+ * 取り崩し率が当初から許容幅を超えて上がれば支出を減らし、下がれば増やす。
+ * @param {Object} plan - createWithdrawalPlan で作成した状態 (直接更新する)
+ * @param {Object} s - シミュレーション設定
+ * @param {Object} state - { portfolio: 運用資産, cash: 現預金, annualShortfall: 年間の不足額見込み, inflationFactor: 累積インフレ係数 }
+ */
+const reviewWithdrawalPlan = (plan, s, { portfolio, cash, annualShortfall, inflationFactor }) => {
+    const isFirstYear = plan.startYM === null;
+    const lastYearReturn = plan.yearStartInvestment > 0 ? plan.yearProfit / plan.yearStartInvestment : 0;
+    const rate = (s.withdrawalRate || 0) / 100;
+
+    switch (s.withdrawalStrategy) {
+        case 'fixed_percent':
+            plan.annualWithdrawal = portfolio * rate;
+            break;
+        case 'fixed_amount':
+            plan.annualWithdrawal = (s.withdrawalAmount || 0) * inflationFactor;
+            break;
+        case 'bucket': {
+            // 現金が「不足額 × 年数」を下回れば補充する。運用損が出た年は、手元が1年分を切るまで売却を控える
+            const target = Math.max(0, annualShortfall) * (s.bucketYears || 0);
+            const floor = Math.max(0, annualShortfall);
+            if (lastYearReturn >= 0 || isFirstYear || cash < floor) {
+                plan.pendingRefill = Math.min(portfolio, Math.max(0, target - cash));
+            }
+            break;
+        }
+        case 'guardrails': {
+            if (isFirstYear) {
+                plan.annualWithdrawal = portfolio * rate;
+                plan.initialWithdrawal = plan.annualWithdrawal;
+                break;
+            }
+            if (lastYearReturn >= 0) {
+                plan.annualWithdrawal *= inflationFactor / plan.prevInflation;
+            }
+            const band = (s.guardrailBand || 0) / 100;
+            const adjustment = (s.guardrailAdjustment || 0) / 100;
+            const currentRate = portfolio > 0 ? plan.annualWithdrawal / portfolio : Infinity;
+            if (currentRate > rate * (1 + band)) {
+                plan.annualWithdrawal *= (1 - adjustment);
+                plan.cuts++;
+            } else if (currentRate < rate * (1 - band)) {
+                plan.annualWithdrawal *= (1 + adjustment);
+                plan.raises++;
+            }
+            const plannedWithdrawal = plan.initialWithdrawal * (inflationFactor / plan.startInflation);
+            plan.spendingFactor = plannedWithdrawal > 0 ? plan.annualWithdrawal / plannedWithdrawal : 1;
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (isFirstYear) plan.startInflation = inflationFactor;
+    plan.prevInflation = inflationFactor;
+    plan.yearStartInvestment = portfolio;
+    plan.yearProfit = 0;
+};
+
+/**
+ * 取り崩し計画から今月、投資口座から現金へ移す額を返す。
+ * @param {Object} plan - 取り崩し計画の状態 (バケットの補充額は読み出すと 0 に戻す)
+ * @param {string} strategy - 取り崩し戦略
+ * @returns {number} 今月の計画的な取り崩し額 (手取り)
+ */
+const takePlannedWithdrawal = (plan, strategy) => {
+    if (strategy === 'bucket') {
+        const refill = plan.pendingRefill;
+        plan.pendingRefill = 0;
+        return refill;
+    }
+    return plan.annualWithdrawal / 12;
+};
+
+// --- ローン (償還表・繰上げ返済・住宅ローン控除) ---
+
+const LOAN_METHODS = {
+    equal_payment: '元利均等',
+    equal_principal: '元金均等',
+};
+const MORTGAGE_DEDUCTION_RATE = 0.007;               // 住宅ローン控除率 (年末残高の0.7%)
+const MORTGAGE_DEDUCTION_DEFAULT_LIMIT = 30000000;   // 控除対象となる借入限度額 (既定値)
+const MORTGAGE_DEDUCTION_DEFAULT_YEARS = 13;         // 控除期間 (新築)
+const MORTGAGE_DEDUCTION_RESIDENT_TAX_CAP = 97500;   // 住民税から控除できる上限
+
+const loanScheduleCache = new Map();
+const MAX_LOAN_SCHEDULE_CACHE = 50; // 目標の逆算などで物件価格を変えて何度も計算しても増え続けないよう、古いものから捨てる
+
+/**
+ * 元利均等返済の毎月の返済額を計算する。
+ * @param {number} balance - 借入残高
+ * @param {number} monthlyRate - 月利
+ * @param {number} months - 残り返済月数
+ * @returns {number} 毎月の返済額
+ */
+const calcAnnuityPayment = (balance, monthlyRate, months) => {
+    if (months <= 0) return balance;
+    if (monthlyRate === 0) return balance / months;
+    return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+};
+
+/**
+ * 元利均等返済で、返済額を据え置いたまま残高を完済するまでの月数を計算する。
+ * @param {number} balance - 借入残高
+ * @param {number} monthlyRate - 月利
+ * @param {number} payment - 毎月の返済額
+ * @returns {number} 残り返済月数
+ */
+const calcRemainingMonths = (balance, monthlyRate, payment) => {
+    if (balance <= 0) return 0;
+    if (monthlyRate === 0) return Math.ceil(balance / payment);
+    const ratio = 1 - balance * monthlyRate / payment;
+    if (ratio <= 0) return Infinity; // 利息すら払えない返済額
+    return Math.ceil(-Math.log(ratio) / Math.log(1 + monthlyRate));
+};
+
+/**
+ * 元本・金利からローンの償還表を作成する。
+ * 変動金利は rateChanges の年月から新しい金利で返済額を再計算し、
+ * 繰上げ返済は mode に応じて期間短縮 (shorten) または返済額軽減 (reduce) を行う。
+ * @param {Object} loan - ローン (kind: 'amortizing')
+ * @param {boolean} includePrepayments - 繰上げ返済を反映するか (効果比較用)
+ * @returns {Map<string, Object>} 年月 → { payment, interest, principal, prepayment, balance }
+ */
+const buildLoanSchedule = (loan, includePrepayments = true) => {
+    const schedule = new Map();
+    const rateChanges = loan.rateType === 'variable' ? (loan.rateChanges || []) : [];
+    const prepayments = includePrepayments ? (loan.prepayments || []) : [];
+
+    let balance = loan.principal;
+    let remainingMonths = Math.round(loan.termYears * 12);
+    let monthlyRate = (loan.annualRate || 0) / 100 / 12;
+    let payment = null; // 元利均等の返済額 (null なら再計算)
+    let principalPart = loan.principal / remainingMonths; // 元金均等の毎月の元金
+    let date = parseYearMonth(loan.startYM);
+
+    while (balance > 0.5 && remainingMonths > 0) {
+        const ym = formatDateToYM(date);
+
+        const change = rateChanges.find(c => c.ym === ym);
+        if (change) {
+            monthlyRate = change.rate / 100 / 12;
+            payment = null;
+        }
+
+        const interest = balance * monthlyRate;
+        let principal;
+        if (loan.method === 'equal_principal') {
+            principal = Math.min(balance, principalPart);
+        } else {
+            if (payment === null) payment = calcAnnuityPayment(balance, monthlyRate, remainingMonths);
+            principal = Math.min(balance, payment - interest);
+        }
+        balance -= principal;
+        remainingMonths--;
+
+        let prepaid = 0;
+        prepayments.filter(pp => pp.ym === ym).forEach(pp => {
+            const amount = Math.min(balance, pp.amount);
+            balance -= amount;
+            prepaid += amount;
+            if (pp.mode === 'reduce') {
+                // 返済額軽減型: 期間はそのまま、毎月の返済額を下げる
+                payment = null;
+                principalPart = remainingMonths > 0 ? balance / remainingMonths : balance;
+            } else if (loan.method === 'equal_principal') {
+                // 期間短縮型 (元金均等): 毎月の元金はそのまま、回数を減らす
+                remainingMonths = Math.ceil(balance / principalPart);
+            } else {
+                // 期間短縮型 (元利均等): 毎月の返済額はそのまま、回数を減らす
+                remainingMonths = calcRemainingMonths(balance, monthlyRate, payment);
+            }
+        });
+
+        schedule.set(ym, { payment: principal + interest, interest, principal, prepayment: prepaid, balance: Math.max(0, balance) });
+        date = addMonth(date);
+    }
+    return schedule;
+};
+
+/**
+ * ローンの償還表を取得する (内容が同じローンはキャッシュを再利用)。
+ * @param {Object} loan - ローン
+ * @returns {Map<string, Object> | null} 償還表 (月額固定のローンは null)
+ */
+const getLoanSchedule = (loan) => {
+    if (loan.kind !== 'amortizing') return null;
+    const key = JSON.stringify(loan);
+    if (!loanScheduleCache.has(key)) {
+        if (loanScheduleCache.size >= MAX_LOAN_SCHEDULE_CACHE) {
+            loanScheduleCache.delete(loanScheduleCache.keys().next().value);
+        }
+        loanScheduleCache.set(key, buildLoanSchedule(loan));
+    }
+    return loanScheduleCache.get(key);
+};
+
+/**
+ * 指定した月のローン支払額 (繰上げ返済を含む) を返す。
+ * @param {Object} loan - ローン
+ * @param {string} ym - YYYY-MM
+ * @returns {number} 支払額
+ */
+const getLoanPaymentForMonth = (loan, ym) => {
+    const schedule = getLoanSchedule(loan);
+    if (!schedule) {
+        return (ym >= loan.startYM && ym <= loan.endYM) ? loan.monthlyAmount : 0;
+    }
+    const entry = schedule.get(ym);
+    return entry ? entry.payment + entry.prepayment : 0;
+};
+
+/**
+ * 指定した月末時点のローン残高を返す (月額固定のローンは残高不明のため0)。
+ * @param {Object} loan - ローン
+ * @param {string} ym - YYYY-MM
+ * @returns {number} 残高
+ */
+const getLoanBalanceForMonth = (loan, ym) => {
+    const schedule = getLoanSchedule(loan);
+    if (!schedule || ym < loan.startYM) return 0;
+    const entry = schedule.get(ym);
+    return entry ? entry.balance : 0;
+};
+
+/**
+ * ローンの返済総額・利息総額と、繰上げ返済による利息の軽減額を計算する。
+ * @param {Object} loan - ローン (kind: 'amortizing')
+ * @returns {{totalInterest: number, interestSaved: number, endYM: string}} 集計
+ */
+const summarizeLoan = (loan) => {
+    const schedule = getLoanSchedule(loan);
+    const sumInterest = (sched) => Array.from(sched.values()).reduce((sum, e) => sum + e.interest, 0);
+    const totalInterest = sumInterest(schedule);
+    const withoutPrepayment = (loan.prepayments || []).length > 0 ? sumInterest(buildLoanSchedule(loan, false)) : totalInterest;
+    const months = Array.from(schedule.keys());
+    return {
+        totalInterest,
+        interestSaved: withoutPrepayment - totalInterest,
+        endYM: months.length > 0 ? months[months.length - 1] : loan.startYM,
+    };
+};
+
+/**
+ * 住宅ローン控除額 (年額) を計算する。
+ * @param {Object} loan - ローン (mortgageDeduction: true)
+ * @param {number} yearEndBalance - 年末残高
+ * @param {number} year - 対象年
+ * @param {{incomeTax: number, residentTax: number} | null} taxes - 控除できる税額の上限 (不明ならnull)
+ * @returns {number} 控除額
+ */
+const calcMortgageDeduction = (loan, yearEndBalance, year, taxes) => {
+    const startYear = Number(loan.startYM.slice(0, 4));
+    const years = loan.deductionYears || MORTGAGE_DEDUCTION_DEFAULT_YEARS;
+    if (year < startYear || year >= startYear + years) return 0;
+
+    const limit = loan.deductionLimit || MORTGAGE_DEDUCTION_DEFAULT_LIMIT;
+    const credit = Math.min(yearEndBalance, limit) * MORTGAGE_DEDUCTION_RATE;
+    if (!taxes) return credit;
+    return Math.min(credit, taxes.incomeTax + Math.min(taxes.residentTax, MORTGAGE_DEDUCTION_RESIDENT_TAX_CAP));
+};
+
+// --- 住まい (賃貸・持ち家) ---
+
+const HOUSING_CHOICES = {
+    none: '設定しない (ローン・定期支出で管理)',
+    rent: '賃貸',
+    buy: '購入',
+};
+const HOUSING_LOAN_ID = 'housing-loan';
+const PROPERTY_TAX_MONTHS = [4, 7, 12, 2]; // 固定資産税・都市計画税の納期の既定値 (年4回, 市区町村ごとに設定で変えられる)
+
+/**
+ * 住み替えの年月を返す。持ち家は購入より後の住み替えだけを売却として扱う。
+ * @param {Object} housing - 住まいの設定
+ * @param {string} choice - 'rent' | 'buy'
+ * @returns {string | null} 住み替えの年月
+ */
+const getDownsizeYM = (housing, choice) => {
+    const ym = housing.downsize && housing.downsize.ym;
+    if (!ym) return null;
+    const purchaseYM = housing.buy && housing.buy.purchaseYM;
+    return (choice === 'buy' && purchaseYM && ym <= purchaseYM) ? null : ym;
+};
+
+/**
+ * 住まいの設定から、購入時の住宅ローンを作成する。
+ * 売却 (住み替え) する場合は、売却月に残債を一括返済する。
+ * @param {Object} housing - 住まいの設定 (settings.housing)
+ * @returns {Object | null} ローン (kind: 'amortizing')。借入がなければ null
+ */
+const createHousingLoan = (housing) => {
+    const buy = housing.buy || {};
+    const principal = (buy.price || 0) - (buy.downPayment || 0);
+    if (!buy.purchaseYM || principal <= 0) return null;
+    const saleYM = getDownsizeYM(housing, 'buy');
+    return {
+        id: HOUSING_LOAN_ID,
+        name: '住宅ローン (住まいの設定)',
+        kind: 'amortizing',
+        principal,
+        annualRate: buy.loanRate || 0,
+        rateType: 'fixed',
+        termYears: buy.loanTermYears || 35,
+        method: buy.loanMethod || 'equal_payment',
+        startYM: buy.purchaseYM,
+        rateChanges: [],
+        prepayments: saleYM ? [{ ym: saleYM, amount: principal, mode: 'shorten' }] : [],
+        mortgageDeduction: !!buy.mortgageDeduction,
+        danshin: buy.danshin !== false, // 被保険者は世帯主
+    };
+};
+
+/**
+ * 持ち家の評価額を返す (購入価格から年率で値下がり・値上がりする)。
+ * @param {Object} housing - 住まいの設定
+ * @param {string} ym - YYYY-MM
+ * @returns {number} 評価額 (購入前・売却後は0)
+ */
+const getPropertyValue = (housing, ym) => {
+    const buy = housing.buy || {};
+    const saleYM = getDownsizeYM(housing, 'buy');
+    if (!buy.purchaseYM || ym < buy.purchaseYM || (saleYM && ym >= saleYM)) return 0;
+    const years = diffMonths(ym, buy.purchaseYM) / 12;
+    return (buy.price || 0) * Math.pow(1 + (buy.valueChangeRate || 0) / 100, years);
+};
+
+/**
+ * 住まいの月々の費用を計算する (ローン返済は住宅ローンとして別に計上する)。
+ * 賃貸は家賃の値上がりと更新料、購入は頭金・諸費用、固定資産税、管理費・修繕積立金を含む。
+ * 住み替え年月以降は、持ち家なら売却して、どちらも住み替え後の家賃に切り替える。
+ * @param {Object} housing - 住まいの設定
+ * @param {string} choice - 'rent' | 'buy'
+ * @param {string} ym - YYYY-MM
+ * @param {string} startYM - シミュレーションの開始年月 (家賃の値上がり・更新の起点)
+ * @param {number} costFactor - 固定資産税・管理費・修繕積立金にかける住まいのインフレ係数
+ * @returns {{cost: number, saleProceeds: number, oneOff: number}} 今月の費用と売却代金 (手数料控除後)、費用のうち購入時の一時的な支出
+ */
+const calcHousingMonth = (housing, choice, ym, startYM, costFactor = 1) => {
+    const rent = housing.rent || {};
+    const buy = housing.buy || {};
+    const downsizeYM = getDownsizeYM(housing, choice);
+    const monthsFromStart = diffMonths(ym, startYM);
+    const rentFactor = Math.pow(1 + (rent.increaseRate || 0) / 100, Math.floor(monthsFromStart / 12));
+    const payRent = (monthlyRent) => {
+        let cost = monthlyRent * rentFactor;
+        // 更新料 (契約期間ごと)
+        const interval = (rent.renewalYears || 2) * 12;
+        if (monthsFromStart > 0 && monthsFromStart % interval === 0) cost += monthlyRent * rentFactor * (rent.renewalMonths || 0);
+        return cost;
+    };
+    const result = { cost: 0, saleProceeds: 0, oneOff: 0 }; // oneOff: cost のうち購入時の頭金・諸費用
+
+    if (downsizeYM && ym >= downsizeYM) {
+        // 住み替え: 持ち家は売却し、住み替え後の家賃を払う
+        if (choice === 'buy' && ym === downsizeYM && buy.purchaseYM) {
+            // 居住用財産の3,000万円特別控除を前提に、譲渡所得税は考慮しない
+            const value = getPropertyValue({ ...housing, downsize: {} }, ym);
+            result.saleProceeds = value * (1 - (housing.saleCostRate || 0) / 100);
+        }
+        result.cost = payRent(housing.downsize.rent || 0);
+        return result;
+    }
+
+    if (choice === 'rent' || !buy.purchaseYM || ym < buy.purchaseYM) {
+        result.cost = payRent(rent.monthlyRent || 0);
+        return result;
+    }
+
+    if (ym === buy.purchaseYM) {
+        result.oneOff = (buy.downPayment || 0) + (buy.price || 0) * (buy.closingCostRate || 0) / 100;
+        result.cost += result.oneOff;
+    }
+    const yearsOwned = Math.floor(diffMonths(ym, buy.purchaseYM) / 12);
+    const propertyTax = getInstallmentForMonth(buy.propertyTaxAnnual || 0, buy.propertyTaxMonths || PROPERTY_TAX_MONTHS, Number(ym.slice(5)));
+    result.cost += (propertyTax
+        + (buy.maintenanceMonthly || 0)
+        + (buy.repairReserveMonthly || 0) * Math.pow(1 + (buy.repairReserveIncreaseRate || 0) / 100, yearsOwned)) * costFactor;
+    return result;
+};
+
+/**
+ * 取り崩し開始後の年ごとの取り崩し額・支出を集計する。
+ * 開始年と最終年は12か月に満たないため、年額の比較からは除く。
+ * @param {string} strategy - 取り崩し戦略
+ * @param {number} startAge - 取り崩し開始年齢
+ * @param {Object} plan - 取り崩し計画の状態
+ * @param {Object} yearly - { 年: { planned, deficit, spending } }
+ * @returns {Object} 取り崩しのサマリー
+ */
+const summarizeWithdrawals = (strategy, startAge, plan, yearly) => {
+    const years = Object.keys(yearly).sort();
+    const fullYears = years.slice(1, -1).map(y => yearly[y]);
+    const annual = fullYears.map(y => y.planned + y.deficit);
+    const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+    return {
+        strategy,
+        startAge,
+        startYear: years.length > 0 ? parseInt(years[0]) : null,
+        firstYearWithdrawal: Math.round(annual[0] || 0),
+        minAnnualWithdrawal: Math.round(annual.length > 0 ? Math.min(...annual) : 0),
+        maxAnnualWithdrawal: Math.round(annual.length > 0 ? Math.max(...annual) : 0),
+        avgAnnualSpending: Math.round(fullYears.length > 0 ? sum(fullYears.map(y => y.spending)) / fullYears.length : 0),
+        minAnnualSpending: Math.round(fullYears.length > 0 ? Math.min(...fullYears.map(y => y.spending)) : 0),
+        deficitWithdrawal: Math.round(sum(years.map(y => yearly[y].deficit))),
+        years: years.map(y => ({ year: parseInt(y), withdrawal: Math.round(yearly[y].planned + yearly[y].deficit), spending: Math.round(yearly[y].spending) })),
+        cuts: plan.cuts,
+        raises: plan.raises,
+    };
+};
+
+/**
+ * 月次の資産推移をシミュレーションする。
+ * @param {Object | null} customSettings - シナリオ用の設定 (nullならappData.settings)
+ * @param {Array | null} customFamilies - シナリオ用の家族
+ * @param {Array | null} customLoans - シナリオ用のローン
+ * @param {Array | null} customRecurring - シナリオ用の定期支出
+ * @param {Object} options - 年ごとの運用利回り・インフレ率の系列 { annualYields: number[], annualInflation: number[] } (年%)
+ * @returns {Object} シミュレーション結果
+ */
+const runSimulation = (customSettings = null, customFamilies = null, customLoans = null, customRecurring = null, options = {}) => {
+    // 引数がなければグローバルデータを使用
+    const s = customSettings || appData.settings;
+    const fams = customFamilies || appData.families;
+    const recurring = customRecurring || appData.recurringExpenses;
+
+    const balances = [...appData.monthlyBalances].sort((a, b) => a.month.localeCompare(b.month));
+    const predictionYears = s.predictionYears;
+    const maxMonths = Math.min(predictionYears * 12, MAX_PREDICTION_MONTHS);
+
+    // 実績がない場合でもシミュレーションできるように、デフォルト値を設定
+    // 実績があれば最新の残高をスタートにする
+    let currentTotal = 0;
+    let latestMonth = new Date().toISOString().slice(0, 7);
+
+    const investments = createInvestmentAccounts();
+    if (balances.length > 0) {
+        const latestBalance = balances[balances.length - 1];
+        currentTotal = latestBalance.total;
+        latestMonth = latestBalance.month;
+        // 投資・年金口座の実績残高は運用資産としてスタートする (残りが現預金)
+        seedInvestmentAccounts(investments, latestBalance);
+    }
+
+    let currentInvestment = getInvestmentTotal(investments); // 運用資産 (全口座の時価合計)
+    const withdrawalOrder = (s.withdrawalOrder || 'taxable,nisa,ideco').split(',');
+    // 現預金の配分 (旧データは移行時に生活防衛資金なしにしている)
+    const cashReserve = s.cashReserve || { floorType: 'none' };
+    const recentExpenses = []; // 生活防衛資金の基準にする直近12か月の支出 (将来イベント・住宅購入の頭金などの一時的な支出は除く)
+
+    // 日付管理
+    const startDate = addMonth(parseYearMonth(latestMonth));
+    let currentMonthDate = startDate;
+    let crashMonth = null;
+
+    // 住まい (賃貸・購入): 購入なら住宅ローンを加え、持ち家を資産として評価する
+    const housing = s.housing || null;
+    const housingChoice = housing ? (options.housingChoice || housing.choice || 'none') : 'none';
+    const housingLoan = housingChoice === 'buy' ? createHousingLoan(housing) : null;
+    const loans = [...(customLoans || appData.loans || []), ...(housingLoan ? [housingLoan] : [])];
+    const initialPropertyValue = housingChoice === 'buy' ? getPropertyValue(housing, latestMonth) : 0;
+
+    const initialLoanBalance = loans.reduce((sum, loan) => sum + getLoanBalanceForMonth(loan, latestMonth), 0);
+
+    const result = {
+        labels: [latestMonth],
+        data: [currentTotal],     // 総資産 (現金 + 投資)
+        loanBalanceData: [initialLoanBalance], // ローン残高 (負債)
+        propertyData: [initialPropertyValue], // 持ち家の評価額
+        netWorthData: [currentTotal + initialPropertyValue - initialLoanBalance], // 純資産 (総資産 + 持ち家 - ローン残高)
+        investmentData: [currentInvestment], // 投資資産の内訳
+        incomeData: [0],          // 収入履歴 (ツールチップ用)
+        expenseData: [0],         // 支出履歴 (ツールチップ用)
+        withdrawalData: [0],      // 投資口座からの取り崩し額 (ツールチップ用)
+        cashData: [currentTotal - currentInvestment], // 現預金 (総資産 - 投資資産)
+        cashFloorData: [null],    // 生活防衛資金 (設定しない場合は null)
+        childBenefitData: [0],    // 子育て支援の給付 (収入の内訳)
+        categoryData: {           // 分類ごとの月の収支 (予測と実績の比較用, FORECAST_CATEGORIES のキー)
+            income: [0], living: [0], education: [0], healthcare: [0], housing: [0], recurring: [0],
+        },
+    };
+
+    // シミュレーション用家族年齢管理 (初期化)
+    // Deep Copy to avoid mutating original objects during simulation
+    const simFamilies = JSON.parse(JSON.stringify(fams));
+
+    // 万一のリスク (死亡・就業不能) のストレスシナリオ。シミュレーション開始前の年月なら初月に起きたとみなす
+    const firstSimYM = formatDateToYM(addMonth(parseYearMonth(latestMonth)));
+    const riskEvent = options.riskEvent && simFamilies.some(f => f.id === options.riskEvent.memberId)
+        ? { ...options.riskEvent, ym: (options.riskEvent.ym || '') > firstSimYM ? options.riskEvent.ym : firstSimYM }
+        : null;
+    if (riskEvent && riskEvent.type === 'death') {
+        // 死亡は世帯からの離脱として扱い、遺族年金などは既存の死亡の処理に任せる
+        const member = simFamilies.find(f => f.id === riskEvent.memberId);
+        if (!member.leaveYM || riskEvent.ym < member.leaveYM) {
+            member.leaveYM = riskEvent.ym;
+            member.leaveReason = 'death';
+        }
+    }
+
+    // 年齢は誕生月に、学齢 (学校段階の判定用) は4月に進める
+    const [latestYear, latestMonthNum] = latestMonth.split('-').map(Number);
+    simFamilies.forEach((f, idx) => {
+        // 続柄のない家族は、シナリオの収入設定で子かどうかを決めておく (以降は続柄で判定する)
+        if (idx > 0 && !f.relation) f.relation = isChild(f, s.familyIncomes || {}, simFamilies[0].id) ? 'child' : 'other';
+        f.educationPlan = getEducationPlan(s, f.id);
+        f.educationEndAge = getEducationEndAge(f.educationPlan);
+        f.birth = getBirthYearMonth(f);
+        f.age = getAgeAt(f.birth, latestYear, latestMonthNum);
+        f.schoolAge = getSchoolAge(f.birth, latestYear, latestMonthNum);
+        f.inHousehold = f.inHouseholdAtStart = isInHousehold(f, latestMonth);
+    });
+
+    // 初期生活費 (インフレ前)
+    // ★修正: ユーザー入力値(s.currentLivingCost)は「現在の子供の状態」を含んでいる。
+    // そのため、「子供の成長コスト」を変動させるには、まず「子供コスト抜きのベース生活費」を逆算する必要がある。
+    // Base = Input - InitialGrowthCost
+    // Monthly = Base * Inf + CurrentGrowthCost * Inf
+
+    let initialGrowthCostSum = 0;
+    simFamilies.forEach(f => {
+        // 続柄が子 かつ 子供年齢
+        if (isChild(f) && f.inHouseholdAtStart && f.schoolAge <= s.childIndependenceAge) {
+            initialGrowthCostSum += getGrowthExpense(f.schoolAge);
+        }
+    });
+
+    // 医療・介護: 現在の生活費には今の年齢の医療費が含まれているので、同様に差し引いておく
+    // (離れて暮らす親への支援は生活費とは別に加算する)
+    const healthcare = s.healthcare && s.healthcare.enabled ? s.healthcare : null;
+    const simParents = JSON.parse(JSON.stringify(options.parents || appData.parents || []));
+    simParents.forEach(p => {
+        p.birth = getBirthYearMonth(p);
+        p.age = getAgeAt(p.birth, latestYear, latestMonthNum);
+    });
+    const initialHealthcareCost = healthcare
+        ? calcHealthcareMonth(healthcare, simFamilies.filter(f => f.inHouseholdAtStart), []).total
+        : 0;
+
+    // ベース生活費（大人だけの生活費 + 固定的な家計費）
+    // もしマイナスになる（入力が少なすぎる）場合は最低0にする
+    const baseLivingCost = Math.max(0, (s.currentLivingCost || 250000) - initialGrowthCostSum - initialHealthcareCost);
+
+    // 年ごとの利回り・インフレ率 (系列が渡されなければ設定値で一定)
+    const annualYields = options.annualYields || [];
+    const annualInflation = options.annualInflation || [];
+    const getYearlyYield = (year) => annualYields[year] !== undefined ? annualYields[year] : (s.investmentYield || 0);
+    // 公的年金の受給額の倍率 (感度分析用)
+    const pensionScale = options.pensionScale ?? 1;
+
+    // 費目別の累積インフレ係数 (年ごとの率が変動しても複利で積み上げる)
+    const categoryFactors = buildInflationFactors(s, annualInflation, Math.ceil(maxMonths / 12));
+    const inflationFactors = categoryFactors.general;
+
+    // 額面入力の家族の税計算用
+    const incomeSettings = s.familyIncomes || {};
+    const mainEarnerId = findMainEarnerId(incomeSettings);
+    const residentTaxDue = {}; // { familyId: 今月まで天引きされている住民税の年額 (前年所得に対する課税額) }
+    const residentTaxNext = {}; // { familyId: 6月から天引きが始まる住民税の年額 (12月に確定) }
+    const yearlyGross = {};    // { familyId: { salary, bonus, pension, months } } 当年の額面累計 (翌年の住民税計算用)
+
+    // iDeCo の拠出・住宅ローン控除は世帯主 (simFamilies[0]) が受ける前提
+    const householdHead = simFamilies[0];
+    const idecoAnnual = (s.idecoMonthly || 0) * 12;
+    let headTaxes = null; // 世帯主の年間の所得税・住民税 (住宅ローン控除の上限)
+    let totalIdecoTaxSaving = 0;
+    let totalInvestmentTax = 0;
+    let totalMortgageDeduction = 0;
+    let totalChildAllowance = 0;
+    let totalSchoolSupport = 0;
+    let totalHousingCost = 0; // 住まいの正味の費用 (ローン返済を含み、売却代金を差し引く)
+    let totalInsurancePayout = 0;
+    let totalInsurancePremium = 0;
+    const insuranceClaims = {}; // { 保険ID: 'paid' | 'expired' }
+    const insurancePolicies = options.insurancePolicies || appData.insurancePolicies || [];
+
+    // 老後の取り崩し戦略 (世帯主が開始年齢に達したら始める)
+    const withdrawalStrategy = WITHDRAWAL_STRATEGIES[s.withdrawalStrategy] ? s.withdrawalStrategy : 'deficit';
+    const withdrawalStartAge = s.withdrawalStartAge || (incomeSettings[householdHead?.id]?.retirementAge) || 60;
+    const withdrawalPlan = createWithdrawalPlan();
+    const yearlyWithdrawals = {}; // { 年: { planned, deficit, spending } } (取り崩し開始後のみ)
+    const recentShortfalls = [s.currentLivingCost || 0]; // 直近12か月の不足額 (賞与月などの偏りをならして年間の不足額を見込む)
+
+    // 公的年金の推計用
+    const pensionRecords = {};  // { familyId: 年金加入記録 }
+    const pensionBenefits = {}; // { familyId: 受給開始時に確定した老齢年金 (現在価値) }
+    const survivorRecords = {}; // { 遺族の familyId: 亡くなった配偶者の年金記録 }
+    const deceasedIds = new Set();
+    const disabledIds = new Set();
+    const lastWorkingSalary = {}; // { familyId: 退職前の月給 } (再雇用時の給付の判定用)
+
+    // 内訳集計用変数 (生涯累計)
+    let totalLivingCost = 0;
+    let totalEduCost = 0;
+    let totalHealthcareCost = 0;
+    let totalLoanCost = 0;
+    let totalRecurringCost = 0;
+    let totalInvestCost = 0;
+
+    for (let i = 0; i < maxMonths; i++) {
+        const currentMonthYM = formatDateToYM(currentMonthDate);
+        const currentYearNum = currentMonthDate.getFullYear();
+        const currentMonthNum = currentMonthDate.getMonth() + 1;
+
+        // 経過年数
+        const yearsPassed = Math.floor(i / 12);
+
+        // ★インフレ率計算をここに移動 (収入にも適用するため)
+        const inflationFactor = inflationFactors[yearsPassed];
+        const educationFactor = categoryFactors.education[yearsPassed];
+        const healthcareFactor = categoryFactors.healthcare[yearsPassed];
+        const housingFactor = categoryFactors.housing[yearsPassed];
+        const pensionFactor = categoryFactors.pension[yearsPassed];
+
+        // 家族の年齢 (誕生月に加算) と学齢 (4月に進級)、世帯にいるか (出生・同居開始・転出) を更新
+        simFamilies.forEach(f => {
+            f.prevAge = f.age;
+            f.age = getAgeAt(f.birth, currentYearNum, currentMonthNum);
+            f.schoolAge = getSchoolAge(f.birth, currentYearNum, currentMonthNum);
+            f.inHousehold = isInHousehold(f, currentMonthYM);
+        });
+        const householdMembers = simFamilies.filter(f => f.inHousehold);
+
+        // 取り崩し戦略の見直し (開始月と毎年1月)
+        const isDecumulating = withdrawalStrategy !== 'deficit' && householdHead && householdHead.age >= withdrawalStartAge;
+        if (isDecumulating && (withdrawalPlan.startYM === null || currentMonthNum === 1)) {
+            const portfolio = getInvestmentTotal(investments);
+            reviewWithdrawalPlan(withdrawalPlan, { ...s, withdrawalStrategy }, {
+                portfolio,
+                cash: currentTotal - portfolio,
+                annualShortfall: recentShortfalls.reduce((a, b) => a + b, 0) / recentShortfalls.length * 12,
+                inflationFactor,
+            });
+            if (withdrawalPlan.startYM === null) withdrawalPlan.startYM = currentMonthYM;
+        }
+
+        // A. 収入の加算 (家族ごと)
+        let monthlyIncomeTotal = 0;
+        let householdGrossIncome = 0; // 世帯年収 (額面・年換算、給付の所得制限の判定用)
+        let idecoTaxSavingRate = 0; // iDeCo 掛金1円あたりの節税額
+        const familyIncomes = s.familyIncomes || {};
+
+        appData.families.forEach(f => {
+            // 本人のシミュレーション年齢は simFamilies[index].age だが、
+            // incomeデータのキーは f.id。
+            // 退職判定は「年月」で行うため、年齢計算は補足的。
 
             const inc = familyIncomes[f.id];
             if (!inc) return;
 
             // 退職チェック (年齢ベース)
-            // 年齢は1月に加算される。現在の年齢 >= 退職年齢 なら退職済みとみなす。
-            // 退職の瞬間(justRetired)は「年齢がRetireAgeになった年の1月」とする簡易ロジック
+            // 年齢は誕生月に加算される。現在の年齢 >= 退職年齢 なら退職済みとみなす。
+            // 退職の瞬間(justRetired)は「退職年齢の誕生月」とする
 
             let isRetired = false;
             let justRetiredThisMonth = false;
 
             const retireAge = inc.retirementAge || 60;
-            const currentSimAge = simFamilies.find(sf => sf.id === f.id).age;
+            const simMember = simFamilies.find(sf => sf.id === f.id);
+            const currentSimAge = simMember.age;
 
             if (currentSimAge >= retireAge) {
                 isRetired = true;
-                // 今月が「退職年齢になった年の1月」なら退職月扱い
-                // (simAgeは1月に増えるので、増えた直後の1月 = 退職月)
-                if (currentSimAge === retireAge && currentMonthNum === 1) {
+                // 今月、退職年齢に達したなら退職月扱い
+                if (simMember.prevAge < retireAge) {
                     justRetiredThisMonth = true;
                 }
             }
 
-            if (isRetired) {
-                // 年金生活 (年金はインフレ連動と仮定)
-                monthlyIncomeTotal += (inc.pension * inflationFactor);
-            } else {
-                // 現役 (定額昇給ロジック: 月給に (昇給額 * 年数) を加算)
-                // 現役 (定額昇給ロジック: 月給に (昇給額 * 年数) を加算)
-                const yearlyIncrease = (inc.salaryIncrease || 0) * yearsPassed;
-                const adjustedMonthly = inc.monthly + yearlyIncrease;
-
-                monthlyIncomeTotal += adjustedMonthly;
-
-                // ボーナス (平準化): 月給の増加率に合わせて連動させる
-                // Bonus * (NewMonthly / OldMonthly)
-                if (inc.bonus > 0) {
-                    const ratio = inc.monthly > 0 ? (adjustedMonthly / inc.monthly) : 1;
-                    const adjustedBonus = inc.bonus * ratio;
-                    monthlyIncomeTotal += (adjustedBonus / 12);
+            if (!pensionRecords[f.id]) {
+                pensionRecords[f.id] = createPensionRecord(inc);
+            }
+            const record = pensionRecords[f.id];
+
+            // 想定寿命に達したら (または死亡で世帯を離れたら) 収入は止まり、配偶者が遺族年金を受け取る
+            const hasDied = (inc.deathAge && currentSimAge >= inc.deathAge) || (!simMember.inHousehold && simMember.leaveReason === 'death' && currentMonthYM >= simMember.leaveYM);
+            if (hasDied) {
+                if (!deceasedIds.has(f.id)) {
+                    deceasedIds.add(f.id);
+                    const spouseId = findSpouseId(f.id, simFamilies, householdHead?.id);
+                    if (spouseId && !deceasedIds.has(spouseId)) {
+                        survivorRecords[spouseId] = record;
+                    }
+                }
+                return;
+            }
+            // 同居前・転出後の家族の収入は世帯に入らない
+            if (!simMember.inHousehold) return;
+
+            // 就業不能になったら給与は止まり、障害年金 (非課税) と老齢年金のうち多い方を受け取る
+            const isDisabled = riskEvent && riskEvent.type === 'disability' && riskEvent.memberId === f.id && currentMonthYM >= riskEvent.ym;
+            if (isDisabled) {
+                disabledIds.add(f.id);
+                if (!pensionBenefits[f.id] && currentSimAge >= (inc.pensionStartAge || PENSION_STANDARD_START_AGE)) {
+                    pensionBenefits[f.id] = calcPensionBenefit(inc, record);
+                }
+                const spouseId = findSpouseId(f.id, simFamilies, householdHead?.id);
+                const spouse = spouseId && !deceasedIds.has(spouseId) ? simFamilies.find(m => m.id === spouseId) : null;
+                const childCount = householdMembers.filter(m => isChild(m) && m.age <= SURVIVOR_CHILD_MAX_AGE).length;
+                const disabilityAnnual = calcDisabilityPension(record, childCount, !!spouse && spouse.age < PENSION_STANDARD_START_AGE);
+                if (disabilityAnnual >= (pensionBenefits[f.id] ? pensionBenefits[f.id].annual : 0)) {
+                    const disabilityPension = disabilityAnnual * pensionFactor / 12;
+                    monthlyIncomeTotal += disabilityPension;
+                    householdGrossIncome += disabilityPension * 12;
+                    return;
+                }
+            }
+
+            // 給与 (定額昇給: 月給に (昇給額 * 年数) を加算、ボーナスは月給の増加率に連動) に
+            // 育休・時短・転職・休職・再雇用の収入フェーズを反映する
+            const phaseIncome = resolveMonthlyIncome(inc, {
+                ym: currentMonthYM,
+                yearsPassed,
+                isRetired: isRetired || isDisabled,
+                age: currentSimAge,
+                lastSalary: lastWorkingSalary[f.id] || 0,
+            });
+            const salary = isDisabled ? 0 : phaseIncome.salary;
+            const annualBonus = isDisabled ? 0 : phaseIncome.annualBonus;
+            if (!isRetired && !isDisabled) lastWorkingSalary[f.id] = phaseIncome.baseSalary;
+
+            // 育児休業給付金・高年齢雇用継続給付 (非課税)
+            monthlyIncomeTotal += phaseIncome.benefit;
+
+            // 会社員なら厚生年金の加入記録を積み上げる
+            if (phaseIncome.pensionSalary > 0 && inc.pensionType !== 'national' && currentSimAge < KOUSEI_MAX_AGE) {
+                accruePensionRecord(record, toGrossAmount(inc, phaseIncome.pensionSalary), toGrossAmount(inc, phaseIncome.pensionBonus), inflationFactor);
+            }
+
+            householdGrossIncome += toGrossAmount(inc, salary * 12 + annualBonus);
+
+            // 老齢年金: 受給開始年齢 (退職年齢とは独立) で年金記録から年額を確定し、以後は物価連動 (マクロ経済スライドで抑制)
+            if (!pensionBenefits[f.id] && currentSimAge >= (inc.pensionStartAge || PENSION_STANDARD_START_AGE)) {
+                pensionBenefits[f.id] = calcPensionBenefit(inc, record);
+            }
+            let pensionAnnual = pensionBenefits[f.id] ? pensionBenefits[f.id].annual : 0;
+
+            // 遺族年金
+            if (survivorRecords[f.id]) {
+                const ownKousei = (pensionBenefits[f.id] && currentSimAge >= PENSION_STANDARD_START_AGE) ? pensionBenefits[f.id].kousei : 0;
+                const childCount = householdMembers.filter(m => isChild(m) && m.age <= SURVIVOR_CHILD_MAX_AGE).length;
+                pensionAnnual += calcSurvivorPension(survivorRecords[f.id], ownKousei, childCount);
+            }
+            const pension = pensionAnnual * pensionFactor * pensionScale / 12;
+            householdGrossIncome += pension * 12;
+
+            // 世帯主の税額 (iDeCo の節税額・住宅ローン控除の上限の計算用, 扶養控除は考慮しない概算)
+            if (householdHead && f.id === householdHead.id) {
+                const taxArgs = { monthlySalary: toGrossAmount(inc, salary), annualBonus: toGrossAmount(inc, annualBonus), annualPension: pension * 12, age: currentSimAge };
+                const headBreakdown = calculateTaxBreakdown(taxArgs);
+                headTaxes = { incomeTax: headBreakdown.incomeTax, residentTax: headBreakdown.residentTax };
+
+                if (idecoAnnual > 0 && salary > 0) {
+                    const withIdeco = calculateTaxBreakdown({ ...taxArgs, extraDeduction: idecoAnnual });
+                    idecoTaxSavingRate = (headBreakdown.incomeTax + headBreakdown.residentTax - withIdeco.incomeTax - withIdeco.residentTax) / idecoAnnual;
                 }
             }
 
-            // 退職金の加算 (退職月のみ)
+            // 退職金 (退職月のみ)
             // 退職金はインフレ連動のままとする(将来価値)
-            if (justRetiredThisMonth) {
-                monthlyIncomeTotal += (inc.severance * inflationFactor);
+            const severance = justRetiredThisMonth && !isDisabled ? (inc.severance * inflationFactor) : 0;
+            // 賞与は支給月にまとめて入る
+            const bonus = getBonusForMonth(inc, annualBonus, currentMonthNum);
+
+            if (inc.incomeType !== 'gross') {
+                // 手取り入力: 給与はそのまま加算し、年金 (額面の推計値) は税・社会保険料を差し引く
+                let pensionNet = pension;
+                if (pension > 0) {
+                    pensionNet = calculateTaxBreakdown({ annualPension: pension * 12, age: currentSimAge }).net / 12;
+                }
+                monthlyIncomeTotal += salary + bonus + pensionNet + severance;
+                return;
+            }
+
+            // 額面入力: 今月の状態が1年続いた場合の税・社会保険料率で手取りに換算する
+            const deps = f.id === mainEarnerId
+                ? getDependentDeductions(f.id, householdMembers, incomeSettings, salary * 12 + annualBonus, householdHead?.id)
+                : null;
+            const annualized = calculateTaxBreakdown({
+                monthlySalary: salary,
+                annualBonus,
+                annualPension: pension * 12,
+                age: currentSimAge,
+                dependentDeduction: deps,
+            });
+            const withheldRate = annualized.gross > 0
+                ? (annualized.socialInsurance.total + annualized.incomeTax) / annualized.gross
+                : 0;
+
+            // 住民税は前年所得に対して課税され、6月から新しい年額に切り替わる (初年度は前年も同水準の所得と仮定)
+            if (residentTaxDue[f.id] === undefined) {
+                residentTaxDue[f.id] = annualized.residentTax;
+            }
+            if (currentMonthNum === RESIDENT_TAX_START_MONTH && residentTaxNext[f.id] !== undefined) {
+                residentTaxDue[f.id] = residentTaxNext[f.id];
+                delete residentTaxNext[f.id];
+            }
+
+            const monthlyGross = salary + bonus + pension;
+            monthlyIncomeTotal += monthlyGross * (1 - withheldRate) - residentTaxDue[f.id] / 12;
+
+            // 退職金は分離課税
+            if (severance > 0) {
+                const serviceYears = inc.serviceYears || Math.max(1, retireAge - 22);
+                monthlyIncomeTotal += severance - calcSeveranceTax(severance, serviceYears);
+            }
+
+            // 当年の額面を累計し、12月に翌年度の住民税を確定する (賞与は支給月によらず年額を月割で累計する)
+            const acc = yearlyGross[f.id] || { salary: 0, bonus: 0, pension: 0, months: 0 };
+            acc.salary += salary;
+            acc.bonus += annualBonus / 12;
+            acc.pension += pension;
+            acc.months++;
+            yearlyGross[f.id] = acc;
+
+            if (currentMonthNum === RESIDENT_TAX_ASSESSMENT_MONTH) {
+                // 年の途中から始まった場合は12ヶ月分に換算する
+                const scale = 12 / acc.months;
+                const actual = calculateTaxBreakdown({
+                    monthlySalary: acc.salary / acc.months,
+                    annualBonus: acc.bonus * scale,
+                    annualPension: acc.pension * scale,
+                    age: currentSimAge,
+                    dependentDeduction: deps,
+                });
+                residentTaxNext[f.id] = actual.residentTax;
+                delete yearlyGross[f.id];
             }
         });
 
+        // 収入の設定がない家族の死亡も、団体信用生命保険・保険金の判定のために記録する
+        simFamilies.forEach(f => {
+            if (!f.inHousehold && f.leaveReason === 'death' && currentMonthYM >= f.leaveYM) deceasedIds.add(f.id);
+        });
+
+        // A-2. 子育て支援の給付 (所得制限は現在価値に割り戻した世帯年収で判定)
+        const childBenefits = calcChildBenefits(householdMembers, (id) => simFamilies.find(m => m.id === id).educationPlan, householdGrossIncome / inflationFactor);
+        monthlyIncomeTotal += childBenefits.total;
+        totalChildAllowance += childBenefits.childAllowance;
+        totalSchoolSupport += childBenefits.highSchoolSupport + childBenefits.tuitionWaiver;
+
         let monthlyFlow = monthlyIncomeTotal;
 
         // B. 支出の減算
@@ -485,41 +2880,68 @@ const runSimulation = (customSettings = null, customFamilies = null, customLoans
         // B-1. 生活費 (基本 + インフレ)
         let costOfLiving = baseLivingCost * inflationFactor;
 
-        // C. ライフプラン補正 & 子供費
-        if (currentMonthNum === 1 && i > 0) {
-            simFamilies.forEach(f => f.age++);
-        }
+        // C. ライフプラン補正 & 子供費 (学校段階は学齢で判定する)
 
         let eduTotal = 0;
         let growthTotal = 0;
         let allowanceTotal = 0;
 
+        let memberCostTotal = 0;
+
         simFamilies.forEach(f => {
-            if (f.age <= s.childIndependenceAge) {
-                // 教育費
-                const eduCost = getEducationCost(f.age, s.educationMode);
-                eduTotal += eduCost;
-
-                // 成長コスト
-                const growCost = getGrowthExpense(f.age) * inflationFactor;
-                growthTotal += growCost;
-
-                // 仕送り
-                if (f.age >= 18 && f.age <= 21 && s.univHousingType === 'away') {
-                    allowanceTotal += (s.univAllowance || 100000) * inflationFactor;
+            // 家族ごとの追加生活費: 途中から加わる家族は加算し、もともといた家族が離れたら減算する
+            if (f.monthlyCost && f.inHousehold !== f.inHouseholdAtStart) {
+                memberCostTotal += (f.inHousehold ? f.monthlyCost : -f.monthlyCost) * inflationFactor;
+            }
+
+            if (!isChild(f) || !f.inHousehold) return;
+
+            // 教育費 (子供ごとの教育プランに沿って、自立年齢を過ぎても在学中はかかる)
+            if (f.schoolAge <= Math.max(s.childIndependenceAge, f.educationEndAge)) {
+                eduTotal += getEducationCost(f.schoolAge, f.educationPlan) * educationFactor;
+
+                // 仕送り (大学・大学院の在学中)
+                const stage = getEducationStage(f.schoolAge, f.educationPlan);
+                if (stage && (stage.key === 'university' || stage.key === 'graduate') && s.univHousingType === 'away') {
+                    allowanceTotal += (s.univAllowance || 100000) * educationFactor;
                 }
             }
+
+            // 成長コスト
+            if (f.schoolAge <= s.childIndependenceAge) {
+                growthTotal += getGrowthExpense(f.schoolAge) * inflationFactor;
+            }
         });
 
         // Children Reduction (自立後削減)
         // Note: Logic allows reduction only if NO active children.
         let livingExpense = costOfLiving;
-        const activeChildren = simFamilies.filter(f => f.age <= s.childIndependenceAge).length;
+        const activeChildren = householdMembers.filter(f => isChild(f) && f.schoolAge <= Math.max(s.childIndependenceAge, f.educationEndAge)).length;
         if (fams.length > 1 && activeChildren === 0) {
             livingExpense -= (livingExpense * (s.costReductionRate / 100));
         }
+        // ガードレール戦略では、取り崩し額の増減に合わせて生活費も増減させる
+        if (isDecumulating) {
+            livingExpense *= withdrawalPlan.spendingFactor;
+        }
+        // 万一のリスクの発生後は、生活費の変化 (死亡なら減少、就業不能なら療養費などで増加) を反映する
+        if (riskEvent && currentMonthYM >= riskEvent.ym) {
+            livingExpense *= 1 + (riskEvent.livingCostChange || 0) / 100;
+        }
+
+        livingExpense = Math.max(0, livingExpense + memberCostTotal);
+
+        // C-2. 医療費 (年齢・高額療養費の上限)・介護費・離れて暮らす親への支援
+        // 親への支援は、年齢による医療費・介護費を見込むかどうかにかかわらず加算する
+        simParents.forEach(p => {
+            p.prevAge = p.age;
+            p.age = getAgeAt(p.birth, currentYearNum, currentMonthNum);
+        });
+        const livingMembers = healthcare ? householdMembers.filter(f => !deceasedIds.has(f.id)) : [];
+        const healthcareTotal = calcHealthcareMonth(s.healthcare || {}, livingMembers, simParents).total * healthcareFactor;
+        totalHealthcareCost += healthcareTotal;
 
-        currentMonthExpenseTotal += livingExpense + eduTotal + growthTotal + allowanceTotal;
+        currentMonthExpenseTotal += livingExpense + eduTotal + growthTotal + allowanceTotal + healthcareTotal;
 
         // Count totals for stats
         totalLivingCost += (livingExpense + growthTotal + allowanceTotal);
@@ -540,29 +2962,71 @@ const runSimulation = (customSettings = null, customFamilies = null, customLoans
                 }
             }
         });
+        // 自動車税は納期の月に年額を払う (免許返納後は車を手放すため払わない)
+        if (currentMonthNum === CAR_TAX_MONTH && !(simFamilies[0] && simFamilies[0].age >= s.licenseReturnAge)) {
+            recurringTotal += s.carTaxAnnual || 0;
+        }
         totalRecurringCost += recurringTotal;
         currentMonthExpenseTotal += recurringTotal;
 
         let loanTotal = 0;
-        if (loans) {
-            loans.forEach(loan => {
-                if (currentMonthYM >= loan.startYM && currentMonthYM <= loan.endYM) {
-                    loanTotal += loan.monthlyAmount;
-                }
-            });
-        }
+        let loanBalance = 0;
+        loans.forEach(loan => {
+            // 団体信用生命保険: 被保険者の死亡 (特約があれば就業不能) で残債が保険金で完済される
+            const insuredId = loan.danshinInsuredId || (householdHead && householdHead.id);
+            if (loan.danshin && (deceasedIds.has(insuredId) || (loan.danshinDisability && disabledIds.has(insuredId)))) return;
+            const payment = getLoanPaymentForMonth(loan, currentMonthYM);
+            loanTotal += payment;
+            if (loan.id === HOUSING_LOAN_ID) totalHousingCost += payment;
+            const balance = getLoanBalanceForMonth(loan, currentMonthYM);
+            loanBalance += balance;
+
+            // 住宅ローン控除: 年末残高に対する控除を12月に還付として計上
+            if (loan.mortgageDeduction && currentMonthNum === 12 && balance > 0) {
+                const credit = calcMortgageDeduction(loan, balance, currentYearNum, headTaxes);
+                monthlyIncomeTotal += credit;
+                totalMortgageDeduction += credit;
+            }
+        });
         totalLoanCost += loanTotal;
         currentMonthExpenseTotal += loanTotal;
 
+        // 住まい: 家賃・更新料、または頭金・諸費用・固定資産税・管理費・修繕積立金。住み替え時は売却代金を受け取る
+        let propertyValue = 0;
+        let housingCost = 0;
+        let housingOneOff = 0;
+        if (housingChoice !== 'none') {
+            const housingMonth = calcHousingMonth(housing, housingChoice, currentMonthYM, formatDateToYM(startDate), housingFactor);
+            housingCost = housingMonth.cost;
+            housingOneOff = housingMonth.oneOff;
+            currentMonthExpenseTotal += housingMonth.cost;
+            monthlyIncomeTotal += housingMonth.saleProceeds;
+            totalLoanCost += housingMonth.cost;
+            totalHousingCost += housingMonth.cost - housingMonth.saleProceeds;
+            if (housingChoice === 'buy') propertyValue = getPropertyValue(housing, currentMonthYM);
+        }
+
+        // 保険: 保険料は固定費として支払い、死亡・就業不能で保険金を受け取る
+        const insurance = calcInsuranceFlows(insurancePolicies, { members: simFamilies, deceasedIds, disabledIds, claimed: insuranceClaims });
+        monthlyIncomeTotal += insurance.payout;
+        currentMonthExpenseTotal += insurance.premium;
+        totalInsurancePayout += insurance.payout;
+        totalInsurancePremium += insurance.premium;
+        totalRecurringCost += insurance.premium;
+
+        // 将来イベント: 支出は支出に、相続・贈与・満期保険金・車の売却などの臨時収入は収入に加える
         let eventTotal = 0;
+        let eventIncome = 0;
         appData.futureEvents.forEach(evt => {
             const fam = simFamilies.find(f => f.id === evt.familyId);
-            if (!fam) return;
-            if (fam.age === evt.targetAge && evt.targetMonth === currentMonthNum) {
-                eventTotal += evt.amount;
-            }
+            if (evt.timing !== 'date' && !fam) return;
+            if (!isFutureEventDue(evt, currentMonthYM, fam ? fam.age : null)) return;
+            const flow = getFutureEventFlow(evt) * (evt.inflate ? inflationFactor : 1);
+            if (flow >= 0) eventIncome += flow;
+            else eventTotal -= flow;
         });
         currentMonthExpenseTotal += eventTotal;
+        monthlyIncomeTotal += eventIncome;
 
         // Calculate Surplus/Deficit BEFORE investment
         // cashFlowBeforeInvest: 投資前の手元資金増減
@@ -570,73 +3034,116 @@ const runSimulation = (customSettings = null, customFamilies = null, customLoans
 
         // F. 資産運用 & 資金繰りロジック (Realistic Logic)
         // ----------------------------------------------------------------
-        // 1. 運用益の計算 (月初残高に対して)
-        const monthlyRate = (s.investmentYield || 0) / 100 / 12;
-        const profit = currentInvestment * monthlyRate;
-        const investmentAfterProfit = currentInvestment + profit;
+        const cashAtStart = currentTotal - getInvestmentTotal(investments);
+
+        // 1. 運用益の計算 (月初残高に対して, 口座ごと)
+        const monthlyRate = getYearlyYield(yearsPassed) / 100 / 12;
+        let profit = 0;
+        INVESTMENT_ACCOUNT_TYPES.forEach(type => {
+            const gain = investments[type].balance * monthlyRate;
+            investments[type].balance += gain;
+            profit += gain;
+        });
+        withdrawalPlan.yearProfit += profit;
 
-        // 2. 積立判断
-        // 赤字なら積立しない (借金してまで投資しない)
-        let actualInvest = 0;
-        const targetInvest = s.investmentMonthly || 0;
-
-        if (cashFlowBeforeInvest >= 0) {
-            // 黒字なら設定額を積立 (ただし黒字額に関わらず設定額満額いく仕様。不足分はCashから)
-            // もし「黒字の範囲内でしか投資しない」なら Math.min(cashFlowBeforeInvest, targetInvest)
-            // ここでは「赤字でなければ、貯蓄を取り崩してでも積立は継続する」という標準的な挙動とする
-            actualInvest = targetInvest;
-        } else {
-            // 赤字なら積立停止
-            actualInvest = 0;
+        // NISAの年間枠と、売却で空いた生涯枠は1月にリセット・復活する
+        if (currentMonthNum === 1) {
+            investments.nisaYearUsed = 0;
+            investments.nisaRestorePending = 0;
         }
 
+        // 2. 積立判断
+        // 赤字なら積立しない (借金してまで投資しない)。取り崩し戦略の実行中も積立しない
+        // 黒字なら設定額を積み立てるが、積立後の現預金が生活防衛資金を下回る分は積み立てない (下回っている間は停止)
+        // 現預金が上限を超えたら、超えた分は黒字・赤字にかかわらず投資に回す (取り崩し中は上限を使わない)
+        recentExpenses.push(currentMonthExpenseTotal - eventTotal - housingOneOff);
+        if (recentExpenses.length > 12) recentExpenses.shift();
+        const cashFloor = getCashFloor(cashReserve, recentExpenses.reduce((a, b) => a + b, 0) / recentExpenses.length);
+        const { regular: actualInvest, sweep: cashSweep } = decideInvestment(
+            cashAtStart + cashFlowBeforeInvest, s.investmentMonthly || 0,
+            !isDecumulating && cashFlowBeforeInvest >= 0, cashFloor, isDecumulating ? 0 : (cashReserve.ceiling || 0));
+
         totalInvestCost += actualInvest;
 
-        // 3. 現金収支と取り崩し
-        // Net Cash Flow for this month (excluding investment profit which stays in asset)
-        const netCashFlow = cashFlowBeforeInvest - actualInvest;
+        // iDeCo は拠出上限年齢まで (受取開始後は拠出しない)
+        const idecoOwnerAge = householdHead ? householdHead.age : 0;
+        const canContributeIdeco = idecoOwnerAge < IDECO_MAX_CONTRIBUTION_AGE && investments.idecoWithdrawn === 0;
+        const contribution = allocateContribution(investments, actualInvest + cashSweep, canContributeIdeco ? Math.min(actualInvest, s.idecoMonthly || 0) : 0);
+
+        // iDeCo 掛金の所得控除による節税 (年末調整で戻る税金を月割で計上)
+        const idecoTaxSaving = contribution.ideco * idecoTaxSavingRate;
+        totalIdecoTaxSaving += idecoTaxSaving;
 
+        // 3. 現金収支と取り崩し
         // 総資産の変化 (P/L) = 収入 - 支出 + 運用益
         // ※積立(actualInvest)は資産の移動なので総資産PLには影響しない
-        currentTotal += (monthlyIncomeTotal - currentMonthExpenseTotal + profit);
+        currentTotal += (monthlyIncomeTotal - currentMonthExpenseTotal + profit + idecoTaxSaving);
+
+        // 4. 取り崩し戦略に沿った計画的な取り崩し (投資口座 → 現金)
+        let plannedWithdrawal = 0;
+        if (isDecumulating) {
+            const planned = takePlannedWithdrawal(withdrawalPlan, withdrawalStrategy);
+            if (planned > 0) {
+                const { amount, tax } = withdrawFromInvestments(investments, planned, withdrawalOrder, idecoOwnerAge >= IDECO_UNLOCK_AGE);
+                plannedWithdrawal = amount;
+                currentTotal -= tax;
+                totalInvestmentTax += tax;
+            }
+        }
 
         // 現預金残高 (推計) = 総資産 - 投資資産
-        // この時点で投資資産は `investmentAfterProfit + actualInvest` になりたいが、
-        // もし現金が足りなければ取り崩す必要がある。
-
-        // 仮の投資資産残高
-        let tempInvestment = investmentAfterProfit + actualInvest;
-
-        // 仮の現金残高
-        let tempCash = currentTotal - tempInvestment;
-
-        // 4. 自動取り崩し (Liquidation)
-        // 現金がマイナス(赤字)の場合、投資資産を取り崩して補填する
-        if (tempCash < 0 && tempInvestment > 0) {
-            const shortage = -tempCash; // 不足額
-            // 取り崩せる額は、不足額 か 投資資産の全額 の小さい方
-            const liquidationAmount = Math.min(shortage, tempInvestment);
+        let tempCash = currentTotal - getInvestmentTotal(investments);
+
+        // 5. 自動取り崩し (Liquidation)
+        // 現金がマイナス(赤字)の場合、設定した順序で投資口座を取り崩して補填する
+        let deficitWithdrawal = 0;
+        if (tempCash < 0) {
+            const { amount, tax } = withdrawFromInvestments(investments, -tempCash, withdrawalOrder, idecoOwnerAge >= IDECO_UNLOCK_AGE);
+            deficitWithdrawal = amount;
+            // 資産の交換なので総資産は変わらないが、売却時の税金の分だけ減る
+            currentTotal -= tax;
+            totalInvestmentTax += tax;
+        }
 
-            // 資産移動
-            tempInvestment -= liquidationAmount;
-            tempCash += liquidationAmount; // これでtempCashは0に近づく (資産があれば0になる)
+        recentShortfalls.push(currentMonthExpenseTotal - monthlyIncomeTotal);
+        if (recentShortfalls.length > 12) recentShortfalls.shift();
+        if (withdrawalPlan.startYM !== null || (withdrawalStrategy === 'deficit' && householdHead && householdHead.age >= withdrawalStartAge)) {
+            const yearly = yearlyWithdrawals[currentYearNum] || (yearlyWithdrawals[currentYearNum] = { planned: 0, deficit: 0, spending: 0 });
+            yearly.planned += plannedWithdrawal;
+            yearly.deficit += deficitWithdrawal;
+            yearly.spending += currentMonthExpenseTotal;
         }
 
         // 確定
-        currentInvestment = Math.max(0, tempInvestment);
-        // currentTotal は変わらない (資産の交換だから)。
-        // ただし手数料等は考慮しない。
+        currentInvestment = getInvestmentTotal(investments);
 
         // ----------------------------------------------------------------
 
         // 結果格納
         result.data.push(currentTotal);
         result.investmentData.push(currentInvestment);
+        result.loanBalanceData.push(loanBalance);
+        result.propertyData.push(propertyValue);
+        result.netWorthData.push(currentTotal + propertyValue - loanBalance);
         result.incomeData.push(monthlyIncomeTotal);
         result.expenseData.push(currentMonthExpenseTotal);
+        result.withdrawalData.push(plannedWithdrawal + deficitWithdrawal);
+        result.cashData.push(currentTotal - currentInvestment);
+        result.cashFloorData.push(cashFloor);
+        result.childBenefitData.push(childBenefits.total);
+        // 収入はすべての入金 (売却代金・保険金・臨時収入を含む) の後。生活費は calibrateLivingCost にそろえ、仕送りは教育費に含める
+        const categories = result.categoryData;
+        categories.income.push(monthlyIncomeTotal);
+        categories.living.push(livingExpense + growthTotal);
+        categories.education.push(eduTotal + allowanceTotal);
+        categories.healthcare.push(healthcareTotal);
+        categories.housing.push(loanTotal + housingCost);
+        categories.recurring.push(recurringTotal + insurance.premium);
         result.labels.push(currentMonthYM);
 
-        if (currentTotal < 0 && crashMonth === null) {
+        // 破産判定: 総資産がマイナスか、取り崩しても現預金のマイナスを埋められない (60歳前で iDeCo を引き出せないなど)
+        // (取り崩しの二分探索の端数で生じる1円未満のマイナスは無視する)
+        if ((currentTotal < 0 || currentTotal - currentInvestment < -1) && crashMonth === null) {
             crashMonth = currentMonthYM;
         }
 
@@ -648,14 +3155,697 @@ const runSimulation = (customSettings = null, customFamilies = null, customLoans
     result.breakdown = {
         living: Math.round(totalLivingCost),
         education: Math.round(totalEduCost),
+        healthcare: Math.round(totalHealthcareCost),
         loan: Math.round(totalLoanCost),
         recurring: Math.round(totalRecurringCost),
         investment: Math.round(totalInvestCost)
     };
+    result.investmentSummary = {
+        nisa: Math.round(investments.nisa.balance),
+        ideco: Math.round(investments.ideco.balance),
+        taxable: Math.round(investments.taxable.balance),
+        investmentTax: Math.round(totalInvestmentTax),
+        idecoTaxSaving: Math.round(totalIdecoTaxSaving),
+    };
+    result.mortgageDeduction = Math.round(totalMortgageDeduction);
+    result.housingCost = Math.round(totalHousingCost);
+    result.childBenefits = {
+        childAllowance: Math.round(totalChildAllowance),
+        schoolSupport: Math.round(totalSchoolSupport),
+    };
+    result.insurance = {
+        payout: Math.round(totalInsurancePayout),
+        premium: Math.round(totalInsurancePremium),
+    };
+    result.withdrawalSummary = summarizeWithdrawals(withdrawalStrategy, withdrawalStartAge, withdrawalPlan, yearlyWithdrawals);
 
     return result;
 };
 
+/**
+ * シード付きの疑似乱数生成器を作成する (mulberry32)。
+ * @param {number} seed - シード値
+ * @returns {function(): number} 0以上1未満の乱数を返す関数
+ */
+const createSeededRandom = (seed) => {
+    let t = seed >>> 0;
+    return () => {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * 正規分布に従う乱数を生成する (Box-Muller法)。
+ * @param {function(): number} random - 一様乱数生成器
+ * @param {number} mean - 平均
+ * @param {number} stdDev - 標準偏差
+ * @returns {number} 乱数
+ */
+const randomNormal = (random, mean, stdDev) => {
+    const u1 = Math.max(random(), Number.EPSILON);
+    const u2 = random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+/**
+ * ソート済み配列からパーセンタイル値を取得する (線形補間)。
+ * @param {number[]} sorted - 昇順ソート済みの配列
+ * @param {number} p - パーセンタイル (0-100)
+ * @returns {number} パーセンタイル値
+ */
+const getPercentile = (sorted, p) => {
+    if (sorted.length === 0) return 0;
+    const pos = (sorted.length - 1) * (p / 100);
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+};
+
+/**
+ * モンテカルロ分析の試行回数を求める (MIN_MONTE_CARLO_TRIALS〜MAX_MONTE_CARLO_TRIALS に収める)。
+ * @param {Object} s - 設定
+ * @returns {number} 試行回数
+ */
+const getMonteCarloTrials = (s) => Math.min(Math.max(MIN_MONTE_CARLO_TRIALS, s.monteCarloTrials || 1000), MAX_MONTE_CARLO_TRIALS);
+
+/**
+ * ランダムな運用リターン (およびインフレ率) で多数の経路を試行し、資産推移の分布を求める。
+ * @param {Object | null} customSettings - シナリオ用の設定 (nullならappData.settings)
+ * @returns {Object} { labels, p10, p50, p90, ruinProbability, trials }
+ */
+const runMonteCarloSimulation = (customSettings = null) => {
+    const s = customSettings || appData.settings;
+    const trials = getMonteCarloTrials(s);
+    const years = Math.ceil(Math.min(s.predictionYears * 12, MAX_PREDICTION_MONTHS) / 12);
+    const random = createSeededRandom(MONTE_CARLO_SEED);
+
+    const paths = [];
+    let ruinCount = 0;
+    let labels = [];
+
+    for (let t = 0; t < trials; t++) {
+        const annualYields = [];
+        const annualInflation = [];
+        for (let y = 0; y < years; y++) {
+            // 1年で元本の全額を失うことはないものとして下限を設ける
+            annualYields.push(Math.max(-95, randomNormal(random, s.investmentYield || 0, s.investmentVolatility || 0)));
+            if (s.monteCarloRandomInflation) {
+                annualInflation.push(randomNormal(random, s.inflationRate || 0, s.inflationVolatility || 0));
+            }
+        }
+
+        const res = runSimulation(s, null, null, null, {
+            annualYields,
+            annualInflation: s.monteCarloRandomInflation ? annualInflation : undefined,
+        });
+        paths.push(res.data);
+        labels = res.labels;
+        if (res.crashMonth) ruinCount++;
+    }
+
+    // 月ごとに全試行の値を並べてパーセンタイルを求める
+    const p10 = [];
+    const p50 = [];
+    const p90 = [];
+    labels.forEach((_, idx) => {
+        const values = paths.map(path => path[idx]).sort((a, b) => a - b);
+        p10.push(getPercentile(values, 10));
+        p50.push(getPercentile(values, 50));
+        p90.push(getPercentile(values, 90));
+    });
+
+    return {
+        labels,
+        p10,
+        p50,
+        p90,
+        ruinProbability: ruinCount / trials,
+        trials,
+    };
+};
+
+let lastMonteCarlo = null; // 直近のモンテカルロ分析 { key, result } (入力が変わったら再実行するまで表示しない)
+
+/**
+ * モンテカルロ分析の結果が今のデータで有効かを判定するためのキーを作る (予測の保存・シナリオは結果に影響しないので除く)。
+ * @returns {string} キー
+ */
+const getMonteCarloInputKey = () => JSON.stringify({ ...appData, forecastSnapshots: null, scenarios: null });
+
+/**
+ * 今のデータで求めたモンテカルロ分析の結果を返す (未実行か、その後にデータが変わっていれば null)。
+ * @returns {Object | null} runMonteCarloSimulation の結果
+ */
+const getCurrentMonteCarloResult = () => (
+    lastMonteCarlo && lastMonteCarlo.key === getMonteCarloInputKey() ? lastMonteCarlo.result : null
+);
+
+// --- 過去の相場での検証 (バックテスト) ---
+
+// 過去の市場データ (historical-data.js の HISTORICAL_MARKET_DATA) の資産クラス
+const BACKTEST_ASSETS = {
+    worldEquity: '先進国株式',
+    japanEquity: '日本株式',
+    bonds: '国内債券',
+};
+
+/**
+ * 指定の年から始まる過去の運用利回り (資産配分で加重平均) とインフレ率の系列を作る。
+ * データの最終年より先の年は系列に含めず、runSimulation では設定値の利回り・インフレ率になる。
+ * @param {number} startYear - 開始年
+ * @param {number} years - 年数
+ * @param {Object} allocation - 資産配分 { worldEquity, japanEquity, bonds } (%)
+ * @returns {Object} { annualYields, annualInflation, historicalYears }
+ */
+const getHistoricalSeries = (startYear, years, allocation) => {
+    const data = HISTORICAL_MARKET_DATA;
+    const totalWeight = Object.keys(BACKTEST_ASSETS).reduce((sum, key) => sum + (allocation[key] || 0), 0);
+    const annualYields = [];
+    const annualInflation = [];
+    for (let y = 0; y < years; y++) {
+        const idx = startYear - data.firstYear + y;
+        if (idx >= data.cpi.length) break;
+        annualYields.push(Object.keys(BACKTEST_ASSETS).reduce((sum, key) => sum + data[key][idx] * (allocation[key] || 0), 0) / totalWeight);
+        annualInflation.push(data.cpi[idx]);
+    }
+    return { annualYields, annualInflation, historicalYears: annualYields.length };
+};
+
+/**
+ * 資産推移の最大下落率 (直前の最高値からの下落) を求める。
+ * @param {Array<number>} values - 月ごとの総資産
+ * @param {Array<string>} labels - 月ごとのラベル (YYYY-MM)
+ * @returns {Object} { rate (%, マイナスになった場合は 100), peakYM, troughYM } (下落がなければ rate は 0)
+ */
+const calcMaxDrawdown = (values, labels) => {
+    let peakIdx = 0;
+    let worst = { rate: 0, peakYM: null, troughYM: null };
+    values.forEach((value, idx) => {
+        if (value > values[peakIdx]) peakIdx = idx;
+        if (values[peakIdx] <= 0) return;
+        const rate = Math.min(100, (values[peakIdx] - value) / values[peakIdx] * 100);
+        if (rate > worst.rate) worst = { rate, peakYM: labels[peakIdx], troughYM: labels[idx] };
+    });
+    return worst;
+};
+
+/**
+ * 過去の各年を開始年として、その年以降の実際の運用リターンとインフレ率でプランを再生する。
+ * 成功率などの集計は予測期間すべてを実績で再生できた開始年 (完全な期間) だけで行い、
+ * 途中から設定の前提で補った開始年は partialFailedYears に分けて参考とする。
+ * @param {Object} s - シミュレーション設定 (backtestAllocation)
+ * @returns {Object} { runs: [{ startYear, historicalYears, isFullWindow, finalTotal, crashMonth, maxDrawdown }], fullCount, failedYears, partialFailedYears, worstDrawdown, successRate } (完全な期間がなければ worstDrawdown・successRate は null)
+ */
+const runBacktest = (s) => {
+    const data = HISTORICAL_MARKET_DATA;
+    const years = Math.ceil(Math.min(s.predictionYears * 12, MAX_PREDICTION_MONTHS) / 12);
+    const allocation = s.backtestAllocation || {};
+    const runs = data.cpi.map((_, idx) => {
+        const startYear = data.firstYear + idx;
+        const { annualYields, annualInflation, historicalYears } = getHistoricalSeries(startYear, years, allocation);
+        const sim = runSimulation(s, null, null, null, { annualYields, annualInflation });
+        return {
+            startYear,
+            historicalYears,
+            isFullWindow: historicalYears >= years,
+            finalTotal: sim.data[sim.data.length - 1],
+            crashMonth: sim.crashMonth,
+            maxDrawdown: calcMaxDrawdown(sim.data, sim.labels),
+        };
+    });
+    const fullRuns = runs.filter(run => run.isFullWindow);
+    const failedYears = fullRuns.filter(run => run.crashMonth).map(run => run.startYear);
+    return {
+        runs,
+        fullCount: fullRuns.length,
+        failedYears,
+        partialFailedYears: runs.filter(run => !run.isFullWindow && run.crashMonth).map(run => run.startYear),
+        worstDrawdown: fullRuns.length > 0 ? fullRuns.reduce((worst, run) => (run.maxDrawdown.rate > worst.maxDrawdown.rate ? run : worst), fullRuns[0]) : null,
+        successRate: fullRuns.length > 0 ? 1 - failedYears.length / fullRuns.length : null,
+    };
+};
+
+// --- 目標の逆算 (ゴールシーク) ---
+
+// 教育プランの段階 (安い順)。学部・塾・大学院は子供ごとの設定のまま、学校の公立/私立だけを変える
+const EDUCATION_PLAN_LADDER = [
+    { label: 'すべて公立・国公立大学', types: { kindergarten: 'public', elementary: 'public', juniorHigh: 'public', highSchool: 'public', university: 'public' } },
+    { label: '高校まで公立・私立大学', types: { kindergarten: 'public', elementary: 'public', juniorHigh: 'public', highSchool: 'public', university: 'private' } },
+    { label: '私立高校・私立大学', types: { kindergarten: 'private', elementary: 'public', juniorHigh: 'public', highSchool: 'private', university: 'private' } },
+    { label: '中学から私立', types: { kindergarten: 'private', elementary: 'public', juniorHigh: 'private', highSchool: 'private', university: 'private' } },
+    { label: 'すべて私立', types: { kindergarten: 'private', elementary: 'private', juniorHigh: 'private', highSchool: 'private', university: 'private' } },
+];
+
+let lastGoalSeekResults = null; // 直近の逆算結果 (「適用」ボタン用)
+
+/**
+ * 条件を満たす境界の値を二分探索で求める。条件は値に対して単調であること。
+ * @param {number} lo - 探索範囲の下限
+ * @param {number} hi - 探索範囲の上限
+ * @param {number} step - 刻み
+ * @param {function(number): boolean} isOk - 条件
+ * @param {boolean} findMax - true なら条件を満たす最大値 (小さいほど満たしやすい)、false なら最小値 (大きいほど満たしやすい)
+ * @returns {number | null} 境界の値 (範囲内に条件を満たす値がなければ null)
+ */
+const searchBoundary = (lo, hi, step, isOk, findMax) => {
+    if (hi < lo) return null;
+    const valueAt = (i) => lo + i * step;
+    let okIdx = findMax ? 0 : Math.floor((hi - lo) / step);
+    let ngIdx = findMax ? Math.floor((hi - lo) / step) : 0;
+    if (!isOk(valueAt(okIdx))) return null;
+    if (isOk(valueAt(ngIdx))) return valueAt(ngIdx);
+    while (Math.abs(okIdx - ngIdx) > 1) {
+        const mid = Math.floor((okIdx + ngIdx) / 2);
+        if (isOk(valueAt(mid))) okIdx = mid;
+        else ngIdx = mid;
+    }
+    return valueAt(okIdx);
+};
+
+/**
+ * 世帯主が指定の年齢になる月の総資産を返す。
+ * @param {Object} sim - シミュレーション結果
+ * @param {number} age - 世帯主の年齢
+ * @returns {number | null} 総資産 (予測期間外なら null)
+ */
+const getTotalAtHeadAge = (sim, age) => {
+    const head = appData.families[0];
+    if (!head) return null;
+    const birth = getBirthYearMonth(head);
+    const idx = sim.labels.indexOf(`${birth.year + age}-${String(birth.month).padStart(2, '0')}`);
+    return idx === -1 ? null : sim.data[idx];
+};
+
+/**
+ * 最も早く退職できる年齢 (予測期間中に資産がマイナスにならない) を求める。対象は世帯主。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object | null} { value, current, patch, unreachable } (世帯主の収入設定がなければ null)
+ */
+const solveEarliestRetirement = (s) => {
+    const head = appData.families[0];
+    const inc = head && (s.familyIncomes || {})[head.id];
+    if (!inc) return null;
+    if (head.age >= 75) return { value: null, current: inc.retirementAge || 60, patch: null, unreachable: '世帯主が75歳以上のため対象外' };
+    const withAge = (age) => ({ ...s, familyIncomes: { ...s.familyIncomes, [head.id]: { ...inc, retirementAge: age } } });
+    const value = searchBoundary(Math.max(head.age + 1, 45), 75, 1, (age) => runSimulation(withAge(age)).crashMonth === null, false);
+    return { value, current: inc.retirementAge || 60, patch: value === null ? null : withAge(value) };
+};
+
+/**
+ * 世帯主が目標年齢のときに目標の総資産に届く、最低の毎月の積立額を求める。
+ * @param {Object} s - シミュレーション設定 (goalTargetAmount, goalTargetAge)
+ * @returns {Object} { value, current, patch, unreachable }
+ */
+const solveMinInvestment = (s) => {
+    const target = s.goalTargetAmount || 0;
+    const age = s.goalTargetAge || 65;
+    const withInvest = (amount) => ({ ...s, investmentMonthly: amount, idecoMonthly: Math.min(s.idecoMonthly || 0, amount) });
+    const probe = getTotalAtHeadAge(runSimulation(s), age);
+    if (probe === null) return { value: null, current: s.investmentMonthly, patch: null, unreachable: `世帯主が${age}歳になる月が予測期間に含まれません` };
+    const value = searchBoundary(0, 500000, 1000, (amount) => {
+        const sim = runSimulation(withInvest(amount));
+        return sim.crashMonth === null && getTotalAtHeadAge(sim, age) >= target;
+    }, false);
+    return { value, current: s.investmentMonthly, patch: value === null ? null : withInvest(value) };
+};
+
+/**
+ * 予測期間中に資産がマイナスにならない、最大の現在の生活費 (月額) を求める。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object} { value, current, patch }
+ */
+const solveMaxLivingCost = (s) => {
+    const withLiving = (amount) => ({ ...s, currentLivingCost: amount });
+    const value = searchBoundary(50000, 1500000, 5000, (amount) => runSimulation(withLiving(amount)).crashMonth === null, true);
+    return { value, current: s.currentLivingCost, patch: value === null ? null : withLiving(value) };
+};
+
+/**
+ * 購入した場合に資産がマイナスにならない、最大の物件価格を求める (頭金は設定のまま)。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object | null} { value, current, patch } (購入年月が未設定なら null)
+ */
+const solveMaxHomePrice = (s) => {
+    const housing = s.housing;
+    if (!housing || !housing.buy || !housing.buy.purchaseYM) return null;
+    // 探索は購入した場合で行うが、「適用」では物件価格だけを変える (現在の予測に使う住まいは変えない)
+    const withPrice = (price, choice) => ({ ...s, housing: { ...housing, choice, buy: { ...housing.buy, price } } });
+    const minPrice = Math.ceil((housing.buy.downPayment || 0) / 1000000) * 1000000;
+    const value = searchBoundary(minPrice, 200000000, 1000000, (price) => runSimulation(withPrice(price, 'buy')).crashMonth === null, true);
+    return { value, current: housing.buy.price, patch: value === null ? null : withPrice(value, housing.choice) };
+};
+
+/**
+ * 子供全員に同じ学校の選び方をした場合に、資産がマイナスにならない最も高い教育プランを求める。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object | null} { value (EDUCATION_PLAN_LADDER の段階), label, patch } (子供がいなければ null)
+ */
+const solveMaxEducation = (s) => {
+    const children = appData.families.filter(f => isChild(f, s.familyIncomes || {}));
+    if (children.length === 0) return null;
+    const withLadder = (idx) => {
+        const educationPlans = { ...(s.educationPlans || {}) };
+        children.forEach(child => {
+            educationPlans[child.id] = { ...getEducationPlan(s, child.id), ...EDUCATION_PLAN_LADDER[idx].types };
+        });
+        return { ...s, educationPlans };
+    };
+    const value = searchBoundary(0, EDUCATION_PLAN_LADDER.length - 1, 1, (idx) => runSimulation(withLadder(idx)).crashMonth === null, true);
+    return { value, label: value === null ? null : EDUCATION_PLAN_LADDER[value].label, patch: value === null ? null : withLadder(value) };
+};
+
+/**
+ * 目標の逆算をまとめて行う。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object} { retirementAge, investmentMonthly, livingCost, homePrice, education }
+ */
+const runGoalSeek = (s) => ({
+    retirementAge: solveEarliestRetirement(s),
+    investmentMonthly: solveMinInvestment(s),
+    livingCost: solveMaxLivingCost(s),
+    homePrice: solveMaxHomePrice(s),
+    education: solveMaxEducation(s),
+});
+
+// --- 感度分析 ---
+
+let lastSensitivityResult = null; // 直近の感度分析の結果 (指標の切り替え用)
+let sensitivityChart = null;
+
+/**
+ * 感度分析で上下に動かす前提。apply は設定を受け取り、runSimulation に渡す { settings, options } を返す。
+ * dir は -1 なら値を下げる側、1 なら上げる側。
+ */
+const SENSITIVITY_INPUTS = [
+    {
+        key: 'inflation', label: 'インフレ率', deltaText: '±1%',
+        apply: (s, dir) => {
+            const patch = { inflationRate: (s.inflationRate || 0) + dir };
+            Object.keys(INFLATION_CATEGORIES).forEach(key => {
+                const rate = s[`${key}InflationRate`];
+                if (rate !== null && rate !== undefined) patch[`${key}InflationRate`] = rate + dir;
+            });
+            return { settings: { ...s, ...patch } };
+        },
+    },
+    {
+        key: 'yield', label: '運用利回り', deltaText: '±1%',
+        apply: (s, dir) => ({ settings: { ...s, investmentYield: (s.investmentYield || 0) + dir } }),
+    },
+    {
+        key: 'salary', label: '昇給', deltaText: '±3,000円/年 (定率・賃金カーブは±0.5%/年)',
+        apply: (s, dir) => ({ settings: { ...s, familyIncomes: mapFamilyIncomes(s, inc => {
+            switch (inc.salaryGrowthType) {
+                case 'percent':
+                    return { ...inc, salaryGrowthRate: (inc.salaryGrowthRate || 0) + dir * 0.5 };
+                case 'curve':
+                    return { ...inc, salaryCurveShift: (inc.salaryCurveShift || 0) + dir * 0.5 };
+                default:
+                    return { ...inc, salaryIncrease: (inc.salaryIncrease || 0) + dir * 3000 };
+            }
+        }) } }),
+    },
+    {
+        key: 'retirement', label: '退職年齢', deltaText: '±2歳',
+        apply: (s, dir) => ({ settings: { ...s, familyIncomes: mapFamilyIncomes(s, inc => ({ ...inc, retirementAge: (inc.retirementAge || 60) + dir * 2 })) } }),
+    },
+    {
+        key: 'livingCost', label: '現在の生活費', deltaText: '±10%',
+        apply: (s, dir) => ({ settings: { ...s, currentLivingCost: Math.round((s.currentLivingCost || 250000) * (1 + dir * 0.1)) } }),
+    },
+    {
+        key: 'education', label: '教育プラン', deltaText: 'すべて公立〜すべて私立',
+        apply: (s, dir) => {
+            const ladder = EDUCATION_PLAN_LADDER[dir < 0 ? 0 : EDUCATION_PLAN_LADDER.length - 1];
+            const educationPlans = { ...(s.educationPlans || {}) };
+            appData.families.filter(f => isChild(f, s.familyIncomes || {})).forEach(child => {
+                educationPlans[child.id] = { ...getEducationPlan(s, child.id), ...ladder.types };
+            });
+            return { settings: { ...s, educationPlans } };
+        },
+    },
+    {
+        key: 'pension', label: '公的年金', deltaText: '±10%',
+        apply: (s, dir) => ({ settings: s, options: { pensionScale: 1 + dir * 0.1 } }),
+    },
+];
+
+/**
+ * 収入設定のある家族すべてに同じ変更を加えた familyIncomes を返す。
+ * @param {Object} s - シミュレーション設定
+ * @param {function(Object): Object} fn - 収入設定を受け取り、変更後の収入設定を返す関数
+ * @returns {Object} familyIncomes
+ */
+const mapFamilyIncomes = (s, fn) => Object.fromEntries(Object.entries(s.familyIncomes || {}).map(([id, inc]) => [id, fn(inc)]));
+
+/**
+ * シミュレーション結果から感度分析の指標を取り出す。
+ * @param {Object} sim - シミュレーション結果
+ * @returns {{netWorth: number, crashMonth: string | null, monthsToCrash: number}} 資産がマイナスにならなければ monthsToCrash は予測期間の月数
+ */
+const getSensitivityMetrics = (sim) => ({
+    netWorth: sim.netWorthData[sim.netWorthData.length - 1],
+    crashMonth: sim.crashMonth,
+    monthsToCrash: sim.crashMonth ? sim.labels.indexOf(sim.crashMonth) : sim.labels.length,
+});
+
+/**
+ * 主な前提を1つずつ上下に動かしてシミュレーションし直し、最終的な純資産への影響が大きい順に並べる。
+ * @param {Object} s - シミュレーション設定
+ * @returns {Object} { base, rows: [{ key, label, deltaText, low, high, swing, crashSwing }] } (low/high は getSensitivityMetrics の結果)
+ */
+const runSensitivityAnalysis = (s) => {
+    const base = getSensitivityMetrics(runSimulation(s));
+    const rows = SENSITIVITY_INPUTS.map(input => {
+        const [low, high] = [-1, 1].map(dir => {
+            const { settings, options } = input.apply(s, dir);
+            return getSensitivityMetrics(runSimulation(settings, null, null, null, options || {}));
+        });
+        return {
+            key: input.key,
+            label: input.label,
+            deltaText: input.deltaText,
+            low,
+            high,
+            swing: Math.abs(high.netWorth - low.netWorth),
+            crashSwing: Math.abs(high.monthsToCrash - low.monthsToCrash),
+        };
+    });
+    rows.sort((a, b) => b.swing - a.swing);
+    return { base, rows };
+};
+
+// --- 生活費の校正 (残高の実績から推定) ---
+
+const CALIBRATION_MIN_MONTHS = 3;  // 信頼区間を出すのに必要な月数
+const CALIBRATION_OUTLIER_MAD = 3; // 中央値から何倍の (正規化した) 中央絶対偏差だけ離れた月を外れ値の候補とするか
+
+/**
+ * 登録されている収入から、指定の月の世帯の手取り収入を見積もる (賞与は支給月に計上、現在の給与水準のまま)。
+ * @param {string} ym - YYYY-MM
+ * @returns {number} 手取り収入 (月額)
+ */
+const estimateMonthlyNetIncome = (ym) => {
+    const familyIncomes = appData.settings.familyIncomes || {};
+    const [year, monthNum] = ym.split('-').map(Number);
+    let total = 0;
+    appData.families.forEach(f => {
+        const inc = familyIncomes[f.id];
+        if (!inc) return;
+        const age = getAgeAt(getBirthYearMonth(f), year, monthNum);
+        const salary = age < (inc.retirementAge || 60) ? (inc.monthly || 0) + getBonusForMonth(inc, inc.bonus || 0, monthNum) : 0;
+        const pension = age >= (inc.pensionStartAge || PENSION_STANDARD_START_AGE) ? estimatePublicPension(inc, age).annual / 12 : 0;
+        // 額面入力なら、現在の税・社会保険料の割合で手取りに換算する
+        const breakdown = getCurrentTaxBreakdown(f.id);
+        total += (salary + pension) * (breakdown && breakdown.gross > 0 ? breakdown.net / breakdown.gross : 1);
+    });
+    return total + getCurrentChildBenefits().total;
+};
+
+/**
+ * シミュレーションで生活費とは別に計上する支出 (教育費・仕送り・親への支援・保険料・住まい) の、指定の月の額を見積もる。
+ * 定期支出・ローン・将来イベントは getCoreSurpluses で足し戻しているので含めない。
+ * @param {string} ym - YYYY-MM
+ * @returns {number} 生活費以外の支出 (月額)
+ */
+const estimateSeparateCosts = (ym) => {
+    const s = appData.settings;
+    const [year, monthNum] = ym.split('-').map(Number);
+    const members = appData.families.filter(f => isInHousehold(f, ym)).map(f => {
+        const birth = getBirthYearMonth(f);
+        return { ...f, age: getAgeAt(birth, year, monthNum), schoolAge: getSchoolAge(birth, year, monthNum) };
+    });
+
+    let cost = 0;
+    members.forEach(m => {
+        if (!isChild(m)) return;
+        const plan = getEducationPlan(s, m.id);
+        if (m.schoolAge > Math.max(s.childIndependenceAge, getEducationEndAge(plan))) return;
+        cost += getEducationCost(m.schoolAge, plan);
+        const stage = getEducationStage(m.schoolAge, plan);
+        if (stage && (stage.key === 'university' || stage.key === 'graduate') && s.univHousingType === 'away') {
+            cost += s.univAllowance || 100000;
+        }
+    });
+
+    const parents = (appData.parents || []).map(p => ({ ...p, age: getAgeAt(getBirthYearMonth(p), year, monthNum) }));
+    cost += calcHealthcareMonth(s.healthcare || {}, [], parents).parents;
+    cost += calcInsuranceFlows(appData.insurancePolicies, { members, deceasedIds: new Set(), disabledIds: new Set(), claimed: {} }).premium;
+
+    const housing = s.housing;
+    if (housing && housing.choice && housing.choice !== 'none') {
+        cost += calcHousingMonth(housing, housing.choice, ym, ym).cost;
+        const housingLoan = housing.choice === 'buy' ? createHousingLoan(housing) : null;
+        if (housingLoan) cost += getLoanPaymentForMonth(housingLoan, ym);
+    }
+    return cost;
+};
+
+/**
+ * 残高の実績と登録されている収入から、実際の生活費 (月額) を推定する。
+ * 月ごとに「手取り収入 - 基礎余力 - 生活費以外の支出」を求め、除外した月を除いて平均する。
+ * 残高には運用資産の値動きも含まれるため、相場が大きく動いた月は外れ値になりやすい。
+ * @param {string[]} excludedMonths - 除外する月 (YYYY-MM)
+ * @returns {Object | null} { months: [{ month, income, surplus, separate, livingCost, excluded, outlier }], estimate, low, high, count, stated } (実績が2件未満なら null)
+ */
+const calibrateLivingCost = (excludedMonths = []) => {
+    const surpluses = getCoreSurpluses();
+    if (surpluses === null) return null;
+
+    const months = surpluses.map(({ month, surplus }) => {
+        const income = estimateMonthlyNetIncome(month);
+        const separate = estimateSeparateCosts(month);
+        return { month, income, surplus, separate, livingCost: income - surplus - separate, excluded: excludedMonths.includes(month), outlier: false };
+    });
+
+    // 外れ値の候補: 中央値からの距離が、正規化した中央絶対偏差 (MAD) の一定倍を超える月
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        return getPercentile(sorted, 50);
+    };
+    const center = median(months.map(m => m.livingCost));
+    const mad = median(months.map(m => Math.abs(m.livingCost - center))) * 1.4826;
+    if (mad > 0) {
+        months.forEach(m => { m.outlier = Math.abs(m.livingCost - center) > CALIBRATION_OUTLIER_MAD * mad; });
+    }
+
+    const values = months.filter(m => !m.excluded).map(m => m.livingCost);
+    const count = values.length;
+    const stated = appData.settings.currentLivingCost || 250000;
+    if (count === 0) return { months, estimate: null, low: null, high: null, count, stated };
+
+    const estimate = values.reduce((a, b) => a + b, 0) / count;
+    let low = null;
+    let high = null;
+    if (count >= CALIBRATION_MIN_MONTHS) {
+        // 平均の95%信頼区間 (正規近似)
+        const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - estimate) ** 2, 0) / (count - 1));
+        const margin = 1.96 * sd / Math.sqrt(count);
+        low = estimate - margin;
+        high = estimate + margin;
+    }
+    return { months, estimate, low, high, count, stated };
+};
+
+// --- 予測と実績の比較 (予測の保存) ---
+
+const FORECAST_SNAPSHOT_MONTHS = 120; // 保存する予測の期間 (月)
+const MAX_FORECAST_SNAPSHOTS = 36;    // 保存する予測の上限 (超えたら古いものから削除)
+const FORECAST_CATEGORIES = {         // 予測に保存する分類ごとの月の収支 (income 以外は支出)
+    income: '手取り収入',
+    living: '生活費',
+    education: '教育費・仕送り',
+    healthcare: '医療・介護・親への支援',
+    housing: '住まい・ローン',
+    recurring: '定期支出・保険料',
+};
+
+/**
+ * 現在の設定での予測を保存する。自動保存は同じ基準月の自動保存を置き換える。
+ * @param {string} trigger - 'auto' (残高の新規登録時) | 'manual' (手動)
+ * @returns {Object | null} 保存した予測 (残高の実績がなければ null)
+ */
+const saveForecastSnapshot = (trigger) => {
+    if (appData.monthlyBalances.length === 0) return null;
+    const sim = runSimulation();
+    const length = Math.min(sim.labels.length, FORECAST_SNAPSHOT_MONTHS + 1);
+    const snapshot = {
+        id: generateId(),
+        createdAt: new Date().toISOString(),
+        trigger,
+        baseMonth: sim.labels[0],
+        labels: sim.labels.slice(0, length),
+        total: sim.data.slice(0, length).map(Math.round),
+        cash: sim.cashData.slice(0, length).map(Math.round),
+        investment: sim.investmentData.slice(0, length).map(Math.round),
+        flows: Object.fromEntries(Object.keys(FORECAST_CATEGORIES).map(key => [key, sim.categoryData[key].slice(0, length).map(Math.round)])),
+    };
+    const snapshots = (appData.forecastSnapshots || []).filter(sn => !(trigger === 'auto' && sn.trigger === 'auto' && sn.baseMonth === snapshot.baseMonth));
+    snapshots.push(snapshot);
+    appData.forecastSnapshots = snapshots.slice(-MAX_FORECAST_SNAPSHOTS);
+    return snapshot;
+};
+
+/**
+ * 保存した予測と、その基準月より後の残高の実績を月ごとに比べる。
+ * 分類は総資産と、その内訳の現預金 (総資産 - 投資・年金口座) と運用資産 (投資・年金口座)。
+ * @param {Object} snapshot - 保存した予測
+ * 月の収支は、実績のある分類 (残高の増減と、そこから推定した生活費) だけを、前月の残高もある月で合計して比べる。
+ * 教育費・住まいなどは実績を記録していないため比べない (予測には FORECAST_CATEGORIES ごとに保存している)。
+ * @returns {Object} { rows: [{ month, forecast: { total, cash, investment }, actual: {...}, variance: {...} }], averageVariance, latestVariance, categories: [{ key, label, income, forecast, actual, variance }] | null, categoryMonths }
+ */
+const compareForecastWithActuals = (snapshot) => {
+    const rows = [];
+    appData.monthlyBalances.forEach(item => {
+        const idx = snapshot.labels.indexOf(item.month);
+        if (idx <= 0) return;
+        const sums = sumBalancesByType(item);
+        const actual = { total: item.total, investment: sums.investment + sums.retirement };
+        actual.cash = actual.total - actual.investment;
+        const forecast = { total: snapshot.total[idx], cash: snapshot.cash[idx], investment: snapshot.investment[idx] };
+        const variance = {};
+        Object.keys(forecast).forEach(key => { variance[key] = actual[key] - forecast[key]; });
+        rows.push({ month: item.month, forecast, actual, variance });
+    });
+    rows.sort((a, b) => a.month.localeCompare(b.month));
+
+    const averageVariance = {};
+    ['total', 'cash', 'investment'].forEach(key => {
+        averageVariance[key] = rows.length > 0 ? rows.reduce((sum, row) => sum + row.variance[key], 0) / rows.length : null;
+    });
+
+    // 分類ごとの収支 (分類別の予測を保存していない古い予測は比べない)
+    let categories = null;
+    let categoryMonths = 0;
+    if (snapshot.flows) {
+        const calibration = calibrateLivingCost();
+        const livingCosts = new Map((calibration ? calibration.months : []).map(m => [m.month, m.livingCost]));
+        const balances = new Map(appData.monthlyBalances.map(b => [b.month, b.total]));
+        const totals = { net: { forecast: 0, actual: 0 }, living: { forecast: 0, actual: 0 } };
+        rows.forEach(row => {
+            const idx = snapshot.labels.indexOf(row.month);
+            const prevMonth = snapshot.labels[idx - 1];
+            if (!balances.has(prevMonth)) return;
+            totals.net.forecast += snapshot.total[idx] - snapshot.total[idx - 1];
+            totals.net.actual += balances.get(row.month) - balances.get(prevMonth);
+            totals.living.forecast += snapshot.flows.living[idx];
+            totals.living.actual += livingCosts.get(row.month);
+            categoryMonths++;
+        });
+        if (categoryMonths > 0) {
+            categories = [
+                { key: 'net', label: '収支 (総資産の増減)', income: true },
+                { key: 'living', label: '生活費 (残高の増減から推定)', income: false },
+            ].map(c => ({ ...c, ...totals[c.key], variance: totals[c.key].actual - totals[c.key].forecast }));
+        }
+    }
+
+    return { rows, averageVariance, latestVariance: rows.length > 0 ? rows[rows.length - 1].variance : null, categories, categoryMonths };
+};
+
 // ====================================================================
 // V. UIレンダリングとナビゲーション
 // ====================================================================
@@ -691,27 +3881,110 @@ const updateNavBar = () => {
 };
 
 /**
- * メイン画面のコンテンツをレンダリングする。
+ * メイン画面のコンテンツをレンダリングする。
+ */
+const renderScreen = () => {
+    const contentDiv = document.getElementById('app-content');
+    contentDiv.innerHTML = '';
+    window.scrollTo(0, 0); // 画面切り替え時にトップへスクロール
+
+    switch (currentScreen) {
+        case 'dashboard':
+            renderDashboard(contentDiv);
+            break;
+        case 'settings':
+            renderSettings(contentDiv);
+            break;
+        case 'balance-input':
+            renderBalanceInput(contentDiv);
+            break;
+        case 'data-management':
+            renderDataManagementTab(contentDiv); // Fix: Correct function name match
+            break;
+    }
+};
+
+// --- ダッシュボードの比較・分析 (ボタンで実行) ---
+
+let lastDashboardAnalyses = {}; // 直近に実行した比較・分析 { 種類: { key, result } } (入力が変わったら再実行するまで表示しない)
+
+/**
+ * 予測と実績の比較で選んでいる予測を返す (未選択なら最新の予測)。
+ * @returns {Object | undefined} 保存した予測
+ */
+const getSelectedForecastSnapshot = () => {
+    const snapshots = appData.forecastSnapshots || [];
+    return snapshots.find(sn => sn.id === selectedForecastSnapshotId) || snapshots[snapshots.length - 1];
+};
+
+// ダッシュボードの比較・分析。シミュレーションを何度も繰り返すため、描画のたびではなくボタンで実行する
+const DASHBOARD_ANALYSES = {
+    withdrawal: { title: '老後の取り崩し戦略の比較', button: '戦略を比較', run: () => compareWithdrawalStrategies() },
+    risk: { title: '万一のリスク分析', button: 'リスクを分析', run: () => runRiskScenario(runSimulation()) },
+    housing: { title: '住まいの比較 (賃貸 vs 購入)', button: '住まいを比較', run: () => compareHousingOptions() },
+    calibration: { title: '生活費の校正 (実績から推定)', button: '生活費を推定', run: () => calibrateLivingCost(appData.settings.calibrationExcludedMonths || []) },
+    forecast: {
+        title: '予測と実績の比較',
+        button: '実績と比較',
+        run: () => {
+            const selected = getSelectedForecastSnapshot();
+            return selected ? compareForecastWithActuals(selected) : null;
+        },
+    },
+};
+
+/**
+ * 比較・分析の結果が今のデータで有効かを判定するためのキーを作る (予測と実績の比較は選んでいる予測も含める)。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ * @returns {string} キー
+ */
+const getDashboardAnalysisKey = (type) => (
+    type === 'forecast' ? `${getSelectedForecastSnapshot()?.id}:${getMonteCarloInputKey()}` : getMonteCarloInputKey()
+);
+
+/**
+ * 今のデータで求めた比較・分析の結果を返す (未実行か、その後にデータが変わっていれば undefined)。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ * @returns {*} 分析の結果 (対象外なら null)
+ */
+const getCurrentDashboardAnalysis = (type) => {
+    const last = lastDashboardAnalyses[type];
+    return last && last.key === getDashboardAnalysisKey(type) ? last.result : undefined;
+};
+
+/**
+ * 比較・分析を実行して結果を保持する。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ */
+const runDashboardAnalysis = (type) => {
+    lastDashboardAnalyses[type] = { key: getDashboardAnalysisKey(type), result: DASHBOARD_ANALYSES[type].run() };
+};
+
+/**
+ * 比較・分析の実行ボタンをレンダリングする。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ * @returns {string} HTML文字列
+ */
+const renderDashboardAnalysisButton = (type) => `
+    <div class="flex justify-between items-center gap-2">
+        <p class="text-xs text-gray-400">${lastDashboardAnalyses[type] ? 'データが変わったため、再実行してください。' : '計算に時間がかかるため、ボタンを押したときに計算します。'}</p>
+        <button type="button" onclick="handleDashboardAnalysis('${type}')" class="whitespace-nowrap bg-teal-600 hover:bg-teal-700 text-sm px-3 py-2 rounded-lg font-bold">${DASHBOARD_ANALYSES[type].button}</button>
+    </div>`;
+
+/**
+ * 比較・分析のパネルをレンダリングする。未実行ならタイトルと実行ボタンだけを表示する。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ * @param {Function} render - 結果を受け取って HTML を返す関数
+ * @returns {string} HTML文字列
  */
-const renderScreen = () => {
-    const contentDiv = document.getElementById('app-content');
-    contentDiv.innerHTML = '';
-    window.scrollTo(0, 0); // 画面切り替え時にトップへスクロール
-
-    switch (currentScreen) {
-        case 'dashboard':
-            renderDashboard(contentDiv);
-            break;
-        case 'settings':
-            renderSettings(contentDiv);
-            break;
-        case 'balance-input':
-            renderBalanceInput(contentDiv);
-            break;
-        case 'data-management':
-            renderDataManagementTab(contentDiv); // Fix: Correct function name match
-            break;
+const renderDashboardAnalysis = (type, render) => {
+    const result = getCurrentDashboardAnalysis(type);
+    if (result === undefined) {
+        return `
+        <h2 class="text-xl font-bold mt-6 mb-3">${DASHBOARD_ANALYSES[type].title}</h2>
+        <div class="card">${renderDashboardAnalysisButton(type)}</div>`;
     }
+    return result ? render(result) : '';
 };
 
 // --- ダッシュボード画面のレンダリング ---
@@ -726,6 +3999,12 @@ const renderDashboard = (container) => {
     const coreChange = calculateCoreMonthlyChange();
     const simulationResult = runSimulation();
     const hasEnoughData = appData.monthlyBalances.length >= 2;
+    // モンテカルロ分析は試行に時間がかかるため、描画のたびではなくボタンで実行する
+    const monteCarloResult = (latestBalance && appData.settings.monteCarloEnabled) ? getCurrentMonteCarloResult() : null;
+    // 戦略・リスク・住まいなどの比較もシミュレーションを繰り返すため、ボタンで実行した結果を使う
+    const riskEnabled = !!(appData.settings.riskScenario && appData.settings.riskScenario.enabled);
+    const riskAnalysis = latestBalance && riskEnabled ? getCurrentDashboardAnalysis('risk') : null;
+    const withdrawalComparison = latestBalance ? getCurrentDashboardAnalysis('withdrawal') : null;
 
     let summaryHtml = `
         <div class="space-y-4">
@@ -748,17 +4027,28 @@ const renderDashboard = (container) => {
             appData.families.forEach(f => {
                 const inc = familyIncomes[f.id];
                 if (inc) {
+                    // 額面入力なら税・社会保険料控除後の手取りで計算
+                    const taxBreakdown = getCurrentTaxBreakdown(f.id);
+                    if (taxBreakdown) {
+                        totalIncome += taxBreakdown.net / 12;
+                        return;
+                    }
                     // 今現在現役か？ (簡易: 年齢 < 退職年齢)
                     const retireAge = inc.retirementAge || 60;
                     if (f.age < retireAge) {
                         totalIncome += inc.monthly;
                         totalIncome += (inc.bonus / 12);
-                    } else {
-                        totalIncome += inc.pension;
+                    }
+                    if (f.age >= (inc.pensionStartAge || PENSION_STANDARD_START_AGE)) {
+                        totalIncome += estimatePublicPension(inc, f.age).annual / 12;
                     }
                 }
             });
 
+            // 子育て支援の給付
+            const childBenefits = getCurrentChildBenefits().total;
+            totalIncome += childBenefits;
+
             // 支出: 基本生活費 + ローン
             let totalExpense = s.currentLivingCost || 250000;
 
@@ -767,9 +4057,7 @@ const renderDashboard = (container) => {
             const currentYM = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
             if (appData.loans) {
                 appData.loans.forEach(l => {
-                    if (currentYM >= l.startYM && currentYM <= l.endYM) {
-                        totalExpense += l.monthlyAmount;
-                    }
+                    totalExpense += getLoanPaymentForMonth(l, currentYM);
                 });
             }
 
@@ -783,139 +4071,1011 @@ const renderDashboard = (container) => {
                         <p class="text-xs text-gray-500 mt-1">
                            収入: ${formatCurrency(totalIncome)} - 支出: ${formatCurrency(totalExpense)}
                         </p>
+                        ${childBenefits > 0 ? `<p class="text-xs text-gray-500">(収入のうち児童手当・就学支援: ${formatCurrency(Math.round(childBenefits))})</p>` : ''}
                         `;
         })()}
                 </div>
             </div>
     `;
 
-    if (latestBalance) {
-        const totalMonths = simulationResult.labels.length;
-        // latestBalanceがnullでないことを保証してからアクセスする
-        const predictionStart = latestBalance.month;
-        const predictionEnd = simulationResult.labels[totalMonths - 1];
-        let riskText;
-
-        if (!hasEnoughData) {
-            riskText = `
-                <p class="text-orange-400 font-semibold flex items-center">
-                    <i data-lucide="info" class="w-5 h-5 mr-2"></i>
-                    予測の精度向上には2ヶ月以上の実績が必要です。
-                </p>
-            `;
-        } else if (simulationResult.crashMonth) {
-            const monthsToCrash = diffMonths(simulationResult.crashMonth, predictionStart);
-            const years = Math.floor(monthsToCrash / 12);
-            const months = monthsToCrash % 12;
-
-            riskText = `
-                <p class="text-alert-color font-semibold flex items-center">
-                    <i data-lucide="alert-triangle" class="w-5 h-5 mr-2"></i>
-                    <span class="animate-pulse">⚠️ 破産リスクあり: ${simulationResult.crashMonth}</span>
-                </p>
-                <p class="text-sm text-gray-300 ml-7">残り ${years}年 ${months}ヶ月で総残高がマイナスになります。</p>
-            `;
-        } else {
-            riskText = `
-                <p class="text-green-400 font-semibold flex items-center">
-                    <i data-lucide="check-circle" class="w-5 h-5 mr-2"></i>
-                    予測期間 (${appData.settings.predictionYears}年) 中に破産リスクはありません。
-                </p>
-            `;
-        }
-
-        summaryHtml += `
-            <div class="card p-3 space-y-2">
-                <h3 class="text-lg font-bold">破産リスク分析</h3>
-                ${riskText}
-                <p class="text-xs text-gray-500 mt-2">予測期間: ${predictionStart} の翌月 〜 ${predictionEnd}</p>
+    if (latestBalance) {
+        const totalMonths = simulationResult.labels.length;
+        // latestBalanceがnullでないことを保証してからアクセスする
+        const predictionStart = latestBalance.month;
+        const predictionEnd = simulationResult.labels[totalMonths - 1];
+        let riskText;
+
+        if (!hasEnoughData) {
+            riskText = `
+                <p class="text-orange-400 font-semibold flex items-center">
+                    <i data-lucide="info" class="w-5 h-5 mr-2"></i>
+                    予測の精度向上には2ヶ月以上の実績が必要です。
+                </p>
+            `;
+        } else if (simulationResult.crashMonth) {
+            const monthsToCrash = diffMonths(simulationResult.crashMonth, predictionStart);
+            const years = Math.floor(monthsToCrash / 12);
+            const months = monthsToCrash % 12;
+
+            riskText = `
+                <p class="text-alert-color font-semibold flex items-center">
+                    <i data-lucide="alert-triangle" class="w-5 h-5 mr-2"></i>
+                    <span class="animate-pulse">⚠️ 破産リスクあり: ${simulationResult.crashMonth}</span>
+                </p>
+                <p class="text-sm text-gray-300 ml-7">残り ${years}年 ${months}ヶ月で、引き出せる資産 (現預金と取り崩せる投資) が尽きます。</p>
+            `;
+        } else {
+            riskText = `
+                <p class="text-green-400 font-semibold flex items-center">
+                    <i data-lucide="check-circle" class="w-5 h-5 mr-2"></i>
+                    予測期間 (${appData.settings.predictionYears}年) 中に破産リスクはありません。
+                </p>
+            `;
+        }
+
+        let monteCarloText = '';
+        if (monteCarloResult) {
+            const lastIdx = monteCarloResult.labels.length - 1;
+            const ruinPercent = (monteCarloResult.ruinProbability * 100).toFixed(1);
+            monteCarloText = `
+                <div class="border-t border-gray-700 pt-2">
+                    <p class="font-semibold ${monteCarloResult.ruinProbability > 0.1 ? 'text-red-400' : 'text-green-400'}">
+                        モンテカルロ分析 (${monteCarloResult.trials}回試行): 資産がマイナスになる確率 ${ruinPercent}%
+                    </p>
+                    <p class="text-xs text-gray-400">
+                        期間末の総資産 — 下位10%: ${formatCurrency(monteCarloResult.p10[lastIdx])} / 中央値: ${formatCurrency(monteCarloResult.p50[lastIdx])} / 上位10%: ${formatCurrency(monteCarloResult.p90[lastIdx])}
+                    </p>
+                </div>
+            `;
+        } else if (appData.settings.monteCarloEnabled) {
+            monteCarloText = `
+                <div class="border-t border-gray-700 pt-2 flex justify-between items-center gap-2">
+                    <p class="text-xs text-gray-400">${lastMonteCarlo ? 'データが変わったため、モンテカルロ分析を再実行してください。' : `モンテカルロ分析 (${getMonteCarloTrials(appData.settings)}回試行) は未実行です。`}</p>
+                    <button type="button" onclick="handleMonteCarloSimulation()" class="whitespace-nowrap bg-teal-600 hover:bg-teal-700 text-sm px-3 py-2 rounded-lg font-bold">モンテカルロ分析を実行</button>
+                </div>
+            `;
+        }
+
+        summaryHtml += `
+            <div class="card p-3 space-y-2">
+                <h3 class="text-lg font-bold">破産リスク分析</h3>
+                ${riskText}
+                ${monteCarloText}
+                <p class="text-xs text-gray-500 mt-2">予測期間: ${predictionStart} の翌月 〜 ${predictionEnd}</p>
+            </div>
+        `;
+    } else {
+        summaryHtml += `<div class="card p-3 text-center text-gray-400">残高実績データが不足しています。残高を入力してください。</div>`;
+    }
+
+    summaryHtml += `</div><h2 class="text-2xl font-bold mt-6 mb-3">総資産の長期予測 (${appData.settings.predictionYears}年)</h2>`;
+    container.innerHTML += summaryHtml;
+
+    // グラフコンテナ + 内訳チャート
+    container.innerHTML += `
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div class="lg:col-span-2 card">
+                <div id="chart-container" style="height: 350px;">
+                    <canvas id="balanceChart"></canvas>
+                </div>
+            </div>
+            <div class="card">
+                <div id="breakdown-container" style="height: 350px;">
+                    <canvas id="breakdownChart"></canvas>
+                </div>
+            </div>
+        </div>
+        
+        ${latestBalance ? renderInvestmentSummary(simulationResult.investmentSummary) : ''}
+        ${latestBalance ? renderDashboardAnalysis('withdrawal', comparison => renderWithdrawalComparison(comparison, simulationResult.withdrawalSummary.strategy)) : ''}
+        ${latestBalance && riskEnabled ? renderDashboardAnalysis('risk', renderRiskAnalysis) : ''}
+        ${latestBalance && canCompareHousing() ? renderDashboardAnalysis('housing', comparison => renderHousingComparison(comparison, appData.settings.housing.choice)) : ''}
+        ${latestBalance ? renderForecastTracking() : ''}
+        ${hasEnoughData ? `<div id="calibration-panel">${renderDashboardAnalysis('calibration', renderLivingCostCalibration)}</div>` : ''}
+        ${latestBalance ? renderGoalSeekPanel(appData.settings) : ''}
+        ${latestBalance ? renderSensitivityPanel() : ''}
+        ${latestBalance ? renderBacktestPanel(appData.settings) : ''}
+        ${latestBalance && (simulationResult.childBenefits.childAllowance + simulationResult.childBenefits.schoolSupport) > 0 ? `<p class="text-xs text-gray-400 mt-2">子育て支援の給付 (累計): 児童手当 <span class="text-green-300">${formatCurrency(simulationResult.childBenefits.childAllowance)}</span> / 高校就学支援金・大学の授業料減免 <span class="text-green-300">${formatCurrency(simulationResult.childBenefits.schoolSupport)}</span></p>` : ''}
+        ${latestBalance && simulationResult.mortgageDeduction > 0 ? `<p class="text-xs text-gray-400 mt-2">住宅ローン控除による減税額 (累計): <span class="text-green-300">${formatCurrency(simulationResult.mortgageDeduction)}</span></p>` : ''}
+
+        <h2 class="text-xl font-bold mt-6 mb-3">各口座の最新残高</h2>
+        <div id="account-balances" class="card">
+            ${renderAccountBalances(latestBalance)}
+        </div>
+        <div class="h-24"></div>
+    `;
+
+    // シミュレーション実行 (現在の設定)
+    // const simulationResult = runSimulation(); // 既に上部で計算済みなので再利用
+
+    // 保存済みシナリオの計算
+    const scenarioResults = [];
+    if (appData.scenarios) {
+        appData.scenarios.forEach(sc => {
+            const res = runSimulation(sc.settings, sc.families, sc.loans, sc.recurring);
+            scenarioResults.push({ name: sc.name, data: res.data });
+        });
+    }
+
+    // 結果統合
+    const finalData = { ...simulationResult, scenarios: scenarioResults, monteCarlo: monteCarloResult, riskScenario: riskAnalysis ? riskAnalysis.result : null };
+
+    // Chart.jsの描画
+    if (latestBalance) {
+        // 実績データを渡す
+        drawChart(finalData, balancesSorted, latestBalance.total, latestBalance.month, simulationResult.crashMonth);
+        renderBreakdownChart('breakdownChart', simulationResult.breakdown);
+        drawWithdrawalComparisonCharts(withdrawalComparison || null);
+        drawForecastChart();
+    } else {
+        document.getElementById('chart-container').innerHTML = '<p class="text-center text-gray-400 py-10">残高実績を登録するとグラフが表示されます。</p>';
+    }
+
+    // Lucideアイコンを再描画
+    if (typeof lucide !== 'undefined' && lucide.createIcons) {
+        lucide.createIcons();
+    }
+};
+
+/**
+ * 最新の口座残高をレンダリングする。
+ * @param {Object} latestBalance - 最新の月次残高データ
+ * @returns {string} HTML文字列
+ */
+const renderAccountBalances = (latestBalance) => {
+    if (!latestBalance) {
+        return '<p class="text-gray-400">残高実績がありません。</p>';
+    }
+
+    if (appData.accounts.length === 0) {
+        return '<p class="text-gray-400">口座情報が登録されていません。</p>';
+    }
+
+    const sums = sumBalancesByType(latestBalance);
+    let html = '';
+    Object.entries(ACCOUNT_TYPES).forEach(([type, label]) => {
+        const accounts = appData.accounts.filter(account => getRecordedAccountType(latestBalance, account) === type);
+        if (accounts.length === 0) return;
+
+        const isLiability = type === 'liability';
+        html += `
+            <div class="flex justify-between items-center mt-3 first:mt-0 mb-1 text-sm font-bold text-gray-400">
+                <span>${label}</span>
+                <span class="${isLiability ? 'text-red-400' : ''}">${formatCurrency(isLiability ? -sums[type] : sums[type])}</span>
+            </div>
+            <ul class="space-y-2">
+        `;
+        accounts.forEach(account => {
+            const amount = latestBalance.accounts[account.id] || 0;
+            const balance = isLiability ? -Math.abs(amount) : amount;
+            html += `
+                <li class="flex justify-between items-center py-1 border-b border-gray-700 last:border-b-0">
+                    <span class="text-gray-300">${account.name}</span>
+                    <span class="font-semibold ${balance < 0 ? 'text-red-400' : 'text-green-400'}">${formatCurrency(balance)}</span>
+                </li>
+            `;
+        });
+        html += '</ul>';
+    });
+    return html;
+};
+
+/**
+ * 予測期間末の投資口座の内訳と、税金・節税額をレンダリングする。
+ * @param {Object} summary - runSimulation の investmentSummary
+ * @returns {string} HTML文字列
+ */
+const renderInvestmentSummary = (summary) => {
+    if (!summary) return '';
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">運用口座の内訳 (予測期間末)</h2>
+        <div class="card grid grid-cols-3 gap-2 text-center">
+            <div>
+                <p class="text-xs text-gray-400">NISA</p>
+                <p class="font-bold text-green-400">${formatCurrency(summary.nisa)}</p>
+            </div>
+            <div>
+                <p class="text-xs text-gray-400">iDeCo</p>
+                <p class="font-bold text-green-400">${formatCurrency(summary.ideco)}</p>
+            </div>
+            <div>
+                <p class="text-xs text-gray-400">課税口座</p>
+                <p class="font-bold text-green-400">${formatCurrency(summary.taxable)}</p>
+            </div>
+            <p class="col-span-3 text-xs text-gray-400 mt-2">
+                売却時の税金 (累計): <span class="text-red-300">${formatCurrency(summary.investmentTax)}</span> /
+                iDeCo による節税額 (累計): <span class="text-green-300">${formatCurrency(summary.idecoTaxSaving)}</span>
+            </p>
+        </div>
+    `;
+};
+
+/**
+ * 家族の収入フェーズ (育休・時短・転職・休職・再雇用) の一覧と追加欄をレンダリングする。
+ * @param {string} familyId - 家族ID
+ * @param {Array} phases - 収入フェーズ
+ * @returns {string} HTML文字列
+ */
+const renderIncomePhases = (familyId, phases) => {
+    const todayYM = formatDateToYM(new Date());
+    const describe = (phase) => {
+        if (phase.type === 'parental_leave') return `給付 ${CHILDCARE_LEAVE_BENEFIT.initialRate * 100}% → ${CHILDCARE_LEAVE_BENEFIT.laterRate * 100}%`;
+        if (phase.type === 'sabbatical') return '無給';
+        return `月収 ${formatCurrency(phase.monthly || 0)} / 賞与 ${formatCurrency(phase.bonus || 0)}`;
+    };
+    return `
+        <div class="mt-3 pt-2 border-t border-gray-600 space-y-2">
+            <p class="text-xs text-blue-300">収入の変化 (育休・時短・転職・休職・再雇用)</p>
+            ${phases.length > 0 ? `
+            <ul class="space-y-1 text-xs">
+                ${[...phases].sort((a, b) => a.startYM.localeCompare(b.startYM)).map(phase => `
+                    <li class="flex justify-between items-center bg-gray-800 p-2 rounded">
+                        <span>${phase.startYM} 〜 ${phase.endYM || ''} ${INCOME_PHASE_TYPES[phase.type]}: ${describe(phase)}</span>
+                        <button type="button" onclick="handleDeleteIncomePhase('${familyId}', '${phase.id}')" class="text-red-400 hover:text-red-500 p-1"><i data-lucide="x" class="w-4 h-4"></i></button>
+                    </li>`).join('')}
+            </ul>` : ''}
+            <div class="grid grid-cols-2 md:grid-cols-6 gap-2">
+                <select id="phase-type-${familyId}" class="md:col-span-2 p-1 rounded bg-gray-800 border border-gray-600 text-xs">
+                    ${Object.entries(INCOME_PHASE_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <input type="month" id="phase-start-${familyId}" value="${todayYM}" class="p-1 rounded bg-gray-800 border border-gray-600 text-xs" title="開始">
+                <input type="month" id="phase-end-${familyId}" class="p-1 rounded bg-gray-800 border border-gray-600 text-xs" title="終了 (転職は不要)">
+                <input type="number" id="phase-monthly-${familyId}" placeholder="月収" step="10000" class="p-1 rounded bg-gray-800 border border-gray-600 text-xs">
+                <input type="number" id="phase-bonus-${familyId}" placeholder="年間賞与" step="10000" class="p-1 rounded bg-gray-800 border border-gray-600 text-xs">
+            </div>
+            <button type="button" onclick="handleAddIncomePhase('${familyId}')" class="w-full py-1 bg-blue-700 hover:bg-blue-600 rounded text-xs">収入の変化を追加</button>
+            <p class="text-xs text-gray-400">※月収・賞与は時短・転職・再雇用で使います (入力方式は上と同じ手取り/額面)。育休は休業前の給与から給付金を計算し、再雇用は60〜64歳で高年齢雇用継続給付を加算します。</p>
+        </div>
+    `;
+};
+
+/**
+ * 子供ごとの教育プラン (学校段階ごとの公立/私立、塾、浪人、大学院、学部系統) の入力欄をレンダリングする。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderEducationPlans = (s) => {
+    // 教育費と同じく、年齢ではなく学齢 (4月始まりの学年) で在学中かを判定する
+    const now = new Date();
+    const children = appData.families.filter(f => isChild(f)
+        && getSchoolAge(getBirthYearMonth(f, now), now.getFullYear(), now.getMonth() + 1) <= Math.max(s.childIndependenceAge, getEducationEndAge(getEducationPlan(s, f.id))));
+    if (children.length === 0) {
+        return '<p class="text-sm text-gray-400">教育プランを設定する子供が登録されていません。</p>';
+    }
+    const schoolTypeSelect = (field, value, allowNone, noneLabel) => `
+        <select data-edu-field="${field}" class="w-full p-1 rounded bg-gray-800 border border-gray-600 text-sm">
+            <option value="public" ${value === 'public' ? 'selected' : ''}>公立</option>
+            <option value="private" ${value === 'private' ? 'selected' : ''}>私立</option>
+            ${allowNone ? `<option value="none" ${value === 'none' ? 'selected' : ''}>${noneLabel}</option>` : ''}
+        </select>`;
+
+    return children.map(f => {
+        const plan = getEducationPlan(s, f.id);
+        const timeline = getEducationTimeline(plan);
+        return `
+            <div class="bg-gray-700 p-3 rounded-lg border border-gray-600 space-y-2" data-edu-plan-id="${f.id}">
+                <div class="font-bold text-orange-300">${f.name} の教育プラン</div>
+                <div class="grid grid-cols-2 md:grid-cols-5 gap-2">
+                    <div><label class="block text-xs text-gray-400">幼稚園</label>${schoolTypeSelect('kindergarten', plan.kindergarten, true, '保育園など (生活費に含む)')}</div>
+                    <div><label class="block text-xs text-gray-400">小学校</label>${schoolTypeSelect('elementary', plan.elementary)}</div>
+                    <div><label class="block text-xs text-gray-400">中学校</label>${schoolTypeSelect('juniorHigh', plan.juniorHigh)}</div>
+                    <div><label class="block text-xs text-gray-400">高校</label>${schoolTypeSelect('highSchool', plan.highSchool)}</div>
+                    <div><label class="block text-xs text-gray-400">大学</label>${schoolTypeSelect('university', plan.university, true, '進学しない')}</div>
+                </div>
+                <div class="grid grid-cols-3 gap-2">
+                    <div>
+                        <label class="block text-xs text-gray-400">学部系統</label>
+                        <select data-edu-field="faculty" class="w-full p-1 rounded bg-gray-800 border border-gray-600 text-sm">
+                            ${Object.entries(EDUCATION_FACULTIES).map(([key, faculty]) => `<option value="${key}" ${plan.faculty === key ? 'selected' : ''}>${faculty.label} (${faculty.years}年)</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-400">浪人 (年)</label>
+                        <input type="number" data-edu-field="roninYears" value="${plan.roninYears || 0}" min="0" max="2" class="w-full p-1 rounded bg-gray-800 border border-gray-600 text-sm">
+                    </div>
+                    <div>
+                        <label class="block text-xs text-gray-400">大学院</label>
+                        <select data-edu-field="graduate" class="w-full p-1 rounded bg-gray-800 border border-gray-600 text-sm">
+                            ${Object.entries(GRADUATE_COURSES).map(([key, course]) => `<option value="${key}" ${plan.graduate === key ? 'selected' : ''}>${course.label}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="flex flex-wrap gap-3 text-xs text-gray-300">
+                    ${Object.entries(CRAM_PERIODS).map(([key, period]) => `
+                        <label class="flex items-center gap-1">
+                            <input type="checkbox" data-edu-cram="${key}" ${(plan.cram || []).includes(key) ? 'checked' : ''}>
+                            塾: ${period.label}
+                        </label>`).join('')}
+                </div>
+                <p class="text-xs text-gray-400">
+                    ${timeline.map(stage => `${stage.label}${stage.type ? (stage.type === 'public' ? '(公)' : '(私)') : ''} ${stage.startAge}〜${stage.endAge}歳`).join(' → ')}<br>
+                    ※年齢は4月1日時点。総額の目安 (現在価格): <span class="text-orange-300 font-bold">${formatCurrency(Math.round(calcEducationPlanTotal(plan)))}</span>
+                </p>
+            </div>
+        `;
+    }).join('');
+};
+
+/**
+ * 取り崩し戦略ごとの取り崩し額・支出・資産の推移を比較する。
+ * @returns {Array} [{ strategy, label, summary (summary.years は年ごとの取り崩し額と支出), finalTotal, crashMonth, labels, balances (月ごとの総資産) }]
+ */
+const compareWithdrawalStrategies = () => Object.entries(WITHDRAWAL_STRATEGIES).map(([strategy, label]) => {
+    const sim = runSimulation({ ...appData.settings, withdrawalStrategy: strategy });
+    return {
+        strategy,
+        label,
+        summary: sim.withdrawalSummary,
+        finalTotal: sim.data[sim.data.length - 1],
+        crashMonth: sim.crashMonth,
+        labels: sim.labels,
+        balances: sim.data,
+    };
+});
+
+/**
+ * 予測と実績の比較パネルをレンダリングする。
+ * @returns {string} HTML文字列
+ */
+const renderForecastTracking = () => {
+    const snapshots = appData.forecastSnapshots || [];
+    const selected = getSelectedForecastSnapshot();
+    const toMan = (value) => `${value >= 0 ? '' : '-'}${Math.round(Math.abs(value) / 10000).toLocaleString()}万円`;
+    const colored = (value, good) => `<span class="${good ? 'text-green-300' : 'text-red-300'}">${value >= 0 ? '+' : ''}${toMan(value)}</span>`;
+    const signed = (value) => colored(value, value >= 0);
+    const comparison = selected ? getCurrentDashboardAnalysis('forecast') : null;
+
+    let body = '<p class="text-sm text-gray-400">保存した予測はまだありません。残高を新しい月に登録すると自動で保存されます。</p>';
+    if (selected) {
+        body = `
+            <div class="flex gap-2 items-end">
+                <div class="flex-1">
+                    <label class="block text-xs text-gray-400">比べる予測</label>
+                    <select onchange="selectForecastSnapshot(this.value)" class="w-full p-2 rounded-lg">
+                        ${snapshots.map(sn => `<option value="${sn.id}" ${sn.id === selected.id ? 'selected' : ''}>${sn.baseMonth} 時点の予測 (${sn.trigger === 'auto' ? '自動' : '手動'}・${sn.createdAt.slice(0, 10)} 保存)</option>`).join('')}
+                    </select>
+                </div>
+                <button type="button" onclick="deleteForecastSnapshot('${selected.id}')" class="text-red-400 hover:text-red-500 p-2">
+                    <i data-lucide="trash-2" class="w-5 h-5"></i>
+                </button>
+            </div>
+            <div style="height: 260px;">
+                <canvas id="forecastChart"></canvas>
+            </div>
+            ${!comparison ? renderDashboardAnalysisButton('forecast') : comparison.rows.length === 0 ? '<p class="text-sm text-gray-400">この予測の後の月の実績がまだありません。</p>' : `
+            <p class="text-sm ${comparison.averageVariance.total >= 0 ? 'text-green-400' : 'text-red-400'}">
+                実績は予測より平均 ${toMan(Math.abs(comparison.averageVariance.total))} ${comparison.averageVariance.total >= 0 ? '上回っています' : '下回っています (前提が楽観的な可能性があります)'}
+                <span class="text-xs text-gray-400">(現預金 ${signed(comparison.averageVariance.cash)} / 運用資産 ${signed(comparison.averageVariance.investment)})</span>
+            </p>
+            <div class="hide-scrollbar h-64 overflow-y-auto">
+                <table class="w-full text-xs text-right">
+                    <thead class="text-gray-400">
+                        <tr><th class="text-left py-1">月</th><th>予測 (総資産)</th><th>実績 (総資産)</th><th>差</th><th>うち現預金</th><th>うち運用資産</th></tr>
+                    </thead>
+                    <tbody>
+                        ${comparison.rows.map(row => `
+                        <tr class="border-t border-gray-700">
+                            <td class="text-left py-1">${row.month}</td>
+                            <td>${toMan(row.forecast.total)}</td>
+                            <td>${toMan(row.actual.total)}</td>
+                            <td>${signed(row.variance.total)}</td>
+                            <td>${signed(row.variance.cash)}</td>
+                            <td>${signed(row.variance.investment)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+            ${!comparison || comparison.rows.length === 0 ? '' : !selected.flows ? '<p class="text-xs text-gray-400">この予測は月の収支を保存していないため、収支の差は表示できません。予測を保存し直すと比べられます。</p>' : !comparison.categories ? '<p class="text-xs text-gray-400">月の収支の差は、前月の残高も登録されている月から比べます。</p>' : `
+            <div>
+                <p class="text-sm font-bold">月の収支の差 (${comparison.categoryMonths}か月の合計)</p>
+                <p class="text-xs text-gray-400">実績を記録している分類だけを比べます。実績の生活費は残高の増減から推定するため、運用資産の値動きも含みます。生活費は差がプラスなら予測より多く使っています。</p>
+                <table class="w-full text-xs text-right mt-1">
+                    <thead class="text-gray-400">
+                        <tr><th class="text-left py-1">分類</th><th>予測</th><th>実績</th><th>差</th></tr>
+                    </thead>
+                    <tbody>
+                        ${comparison.categories.map(c => `
+                        <tr class="border-t border-gray-700">
+                            <td class="text-left py-1">${c.label}</td>
+                            <td>${toMan(c.forecast)}</td>
+                            <td>${toMan(c.actual)}</td>
+                            <td>${colored(c.variance, c.income ? c.variance >= 0 : c.variance <= 0)}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+        `;
+    }
+
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">予測と実績の比較</h2>
+        <div class="card space-y-3">
+            <div class="flex justify-between items-center">
+                <p class="text-xs text-gray-400">保存した予測 (${snapshots.length}件) と、その後に登録した残高の実績を比べます。差がマイナスなら実績が予測を下回っています。</p>
+                <button type="button" onclick="handleSaveForecastSnapshot()" class="whitespace-nowrap bg-teal-600 hover:bg-teal-700 text-sm px-3 py-2 rounded-lg font-bold">今の予測を保存</button>
+            </div>
+            ${body}
+        </div>
+    `;
+};
+
+/**
+ * 保存したすべての予測と残高の実績の推移をグラフに描画する。選択中の予測は太線で表示する。
+ */
+const drawForecastChart = () => {
+    if (forecastChart) {
+        forecastChart.destroy();
+        forecastChart = null;
+    }
+    const canvas = document.getElementById('forecastChart');
+    const snapshots = appData.forecastSnapshots || [];
+    if (!canvas || snapshots.length === 0) return;
+
+    const balances = [...appData.monthlyBalances].sort((a, b) => a.month.localeCompare(b.month));
+    const firstMonth = snapshots.reduce((min, sn) => (sn.baseMonth < min ? sn.baseMonth : min), snapshots[0].baseMonth);
+    // 最初の予測の基準月から、最新の実績の12か月後まで
+    const lastDate = parseYearMonth(balances[balances.length - 1].month);
+    lastDate.setMonth(lastDate.getMonth() + 12);
+    const lastMonth = formatDateToYM(lastDate);
+    const labels = [];
+    for (let d = parseYearMonth(firstMonth); formatDateToYM(d) <= lastMonth; d = addMonth(d)) labels.push(formatDateToYM(d));
+
+    const actualMap = new Map(balances.map(b => [b.month, b.total]));
+    const selectedId = getSelectedForecastSnapshot().id;
+    const colors = ['#f472b6', '#a78bfa', '#facc15', '#f97316', '#34d399'];
+    const datasets = [{
+        label: '実績',
+        data: labels.map(l => actualMap.has(l) ? actualMap.get(l) : null),
+        borderColor: '#2563eb',
+        borderWidth: 3,
+        pointRadius: 2,
+        spanGaps: true,
+        fill: false,
+    }];
+    snapshots.forEach((sn, idx) => {
+        const map = new Map(sn.labels.map((l, i) => [l, sn.total[i]]));
+        const isSelected = sn.id === selectedId;
+        datasets.push({
+            label: `${sn.baseMonth} 時点の予測`,
+            data: labels.map(l => map.has(l) ? map.get(l) : null),
+            borderColor: colors[idx % colors.length],
+            borderWidth: isSelected ? 2 : 1,
+            borderDash: isSelected ? [6, 3] : [2, 4],
+            pointRadius: 0,
+            fill: false,
+        });
+    });
+
+    forecastChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { labels: { color: '#e5e7eb', font: { size: 10 } } },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => (context.raw === null ? null : `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`)
+                    }
+                }
+            },
+            scales: {
+                x: { ticks: { color: '#9ca3af', maxTicksLimit: 12 }, grid: { color: '#374151' } },
+                y: { ticks: { color: '#9ca3af', callback: (value) => `${Math.round(value / 10000).toLocaleString()}万` }, grid: { color: '#374151' } }
+            }
+        }
+    });
+};
+
+/**
+ * 生活費の校正パネルをレンダリングする。
+ * @param {Object | null} result - calibrateLivingCost の結果
+ * @returns {string} HTML文字列
+ */
+const renderLivingCostCalibration = (result) => {
+    if (!result) return '';
+    const round = (value) => Math.round(value / 1000) * 1000;
+    const gap = result.estimate === null ? null : result.estimate - result.stated;
+    const outlierCount = result.months.filter(m => m.outlier && !m.excluded).length;
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">生活費の校正 (実績から推定)</h2>
+        <div class="card space-y-3">
+            <p class="text-xs text-gray-400">月ごとに「登録した収入の手取り - 残高の増加 (定期支出・ローン・イベント分を足し戻し) - 教育費・保険料・住まいなど生活費以外の支出」を求め、実際の生活費を推定します。</p>
+            ${result.estimate === null ? '<p class="text-sm text-orange-400">推定に使える月がありません。除外を解除してください。</p>' : `
+            <div class="grid grid-cols-3 gap-3 text-center">
+                <div>
+                    <p class="text-xs text-gray-400">設定の生活費</p>
+                    <p class="text-lg font-bold">${formatCurrency(result.stated)}</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-400">推定した生活費 (${result.count}か月)</p>
+                    <p class="text-lg font-bold text-teal-300">${formatCurrency(round(result.estimate))}</p>
+                    <p class="text-xs text-gray-400">${result.low === null ? `${CALIBRATION_MIN_MONTHS}か月以上で幅を表示` : `95%信頼区間: ${formatCurrency(round(result.low))} 〜 ${formatCurrency(round(result.high))}`}</p>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-400">差 (推定 - 設定)</p>
+                    <p class="text-lg font-bold ${gap > 0 ? 'text-red-400' : 'text-green-400'}">${gap > 0 ? '+' : ''}${formatCurrency(round(gap))}</p>
+                    ${result.low !== null && result.stated >= result.low && result.stated <= result.high ? '<p class="text-xs text-gray-400">設定は区間内です</p>' : ''}
+                </div>
+            </div>
+            <button type="button" onclick="applyCalibratedLivingCost()" class="w-full bg-teal-600 hover:bg-teal-700 p-2 rounded-lg font-bold text-sm">推定した生活費 ${formatCurrency(round(result.estimate))} を設定に反映</button>`}
+            ${outlierCount > 0 ? `<p class="text-xs text-orange-400">外れ値の可能性がある月が${outlierCount}件あります (賞与・相場の急変・臨時の出費など)。除外すると推定から外れます。</p>` : ''}
+            <div class="hide-scrollbar h-64 overflow-y-auto">
+                <table class="w-full text-xs text-right">
+                    <thead class="text-gray-400">
+                        <tr><th class="text-left py-1">月</th><th>手取り収入</th><th>基礎余力</th><th>生活費以外</th><th>推定生活費</th><th>除外</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.months.map(m => `
+                        <tr class="border-t border-gray-700 ${m.excluded ? 'text-gray-500' : ''}">
+                            <td class="text-left py-1">${m.month}${m.outlier ? ' <span class="text-orange-400">外れ値?</span>' : ''}</td>
+                            <td>${formatCurrency(Math.round(m.income))}</td>
+                            <td>${formatCurrency(Math.round(m.surplus))}</td>
+                            <td>${formatCurrency(Math.round(m.separate))}</td>
+                            <td class="${m.outlier && !m.excluded ? 'text-orange-400' : ''}">${formatCurrency(Math.round(m.livingCost))}</td>
+                            <td><input type="checkbox" ${m.excluded ? 'checked' : ''} onchange="toggleCalibrationMonth('${m.month}')"></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-xs text-gray-400">※収入は現在の設定のまま過去の月にも当てはめています。残高には運用資産の値動きも含まれます。</p>
+        </div>
+    `;
+};
+
+/**
+ * 目標の逆算パネルをレンダリングする (計算はボタンを押したときに行う)。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderGoalSeekPanel = (s) => `
+        <h2 class="text-xl font-bold mt-6 mb-3">目標から逆算</h2>
+        <div class="card space-y-3">
+            <p class="text-xs text-gray-400">条件を変えながらシミュレーションを繰り返し、予測期間中に資産がマイナスにならない範囲を求めます。</p>
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-3 items-end">
+                <div>
+                    <label class="block text-xs text-gray-400">目標の総資産 (円)</label>
+                    <input type="number" id="goal-target-amount" value="${s.goalTargetAmount ?? 20000000}" step="1000000" min="0" class="w-full p-2 rounded-lg">
+                </div>
+                <div>
+                    <label class="block text-xs text-gray-400">世帯主の年齢 (歳)</label>
+                    <input type="number" id="goal-target-age" value="${s.goalTargetAge ?? 65}" min="20" max="100" class="w-full p-2 rounded-lg">
+                </div>
+                <button type="button" onclick="handleGoalSeek()" class="col-span-2 md:col-span-1 bg-teal-600 hover:bg-teal-700 p-2 rounded-lg font-bold text-sm">逆算する</button>
             </div>
-        `;
-    } else {
-        summaryHtml += `<div class="card p-3 text-center text-gray-400">残高実績データが不足しています。残高を入力してください。</div>`;
-    }
+            <div id="goal-seek-result"></div>
+        </div>
+`;
 
-    summaryHtml += `</div><h2 class="text-2xl font-bold mt-6 mb-3">総資産の長期予測 (${appData.settings.predictionYears}年)</h2>`;
-    container.innerHTML += summaryHtml;
+/**
+ * 目標の逆算結果をレンダリングする。
+ * @param {Object} results - runGoalSeek の結果
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderGoalSeekResults = (results, s) => {
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万円`;
+    const rows = [];
+    const addRow = (key, label, valueText, currentText) => {
+        const result = results[key];
+        rows.push(`
+                <tr class="border-t border-gray-700">
+                    <td class="text-left py-1">${label}</td>
+                    <td class="${result.patch ? 'text-green-300 font-bold' : 'text-red-300'}">${valueText}</td>
+                    <td class="text-gray-400">${currentText}</td>
+                    <td>${result.patch ? `<button type="button" onclick="applyGoalSeekResult('${key}')" class="bg-teal-700 hover:bg-teal-600 px-2 py-1 rounded">適用</button>` : ''}</td>
+                </tr>`);
+    };
 
-    // グラフコンテナ + 内訳チャート
-    container.innerHTML += `
-        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            <div class="lg:col-span-2 card">
-                <div id="chart-container" style="height: 350px;">
-                    <canvas id="balanceChart"></canvas>
+    const retire = results.retirementAge;
+    if (retire) addRow('retirementAge', '最も早い退職年齢 (世帯主)', retire.value === null ? (retire.unreachable || '75歳でも資産が不足') : `${retire.value}歳`, `${retire.current}歳`);
+    const invest = results.investmentMonthly;
+    addRow('investmentMonthly', `${s.goalTargetAge}歳で総資産${toMan(s.goalTargetAmount)}に必要な最低積立額`,
+        invest.value === null ? (invest.unreachable || '積立額を増やしても届きません') : `${formatCurrency(invest.value)}/月`, `${formatCurrency(invest.current)}/月`);
+    const living = results.livingCost;
+    addRow('livingCost', '安全な生活費の上限', living.value === null ? '最低限の生活費でも資産が不足' : `${formatCurrency(living.value)}/月`, `${formatCurrency(living.current)}/月`);
+    const home = results.homePrice;
+    if (home) addRow('homePrice', '購入できる物件価格の上限', home.value === null ? '頭金だけでも資産が不足' : toMan(home.value), toMan(home.current));
+    const education = results.education;
+    if (education) addRow('education', '選べる教育プランの上限 (子供全員)', education.label || 'すべて公立でも資産が不足', '');
+
+    return `
+            <table class="w-full text-xs text-right">
+                <thead class="text-gray-400">
+                    <tr><th class="text-left py-1">目標</th><th>逆算結果</th><th>現在の設定</th><th></th></tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <p class="text-xs text-gray-400 mt-2">※それぞれ他の設定はそのままで求めた値です。「適用」で設定に反映します。</p>
+    `;
+};
+
+/**
+ * 感度分析パネルをレンダリングする (計算はボタンを押したときに行う)。
+ * @returns {string} HTML文字列
+ */
+const renderSensitivityPanel = () => `
+        <h2 class="text-xl font-bold mt-6 mb-3">感度分析 (どの前提が効くか)</h2>
+        <div class="card space-y-3">
+            <p class="text-xs text-gray-400">主な前提を1つずつ上下に動かしてシミュレーションし直し、影響の大きい順に並べます。</p>
+            <div class="grid grid-cols-2 gap-3 items-end">
+                <div>
+                    <label class="block text-xs text-gray-400">比べる指標</label>
+                    <select id="sensitivity-metric" onchange="drawSensitivityChart()" class="w-full p-2 rounded-lg">
+                        <option value="netWorth">予測期間末の純資産</option>
+                        <option value="crash">資産がマイナスになるまでの期間</option>
+                    </select>
                 </div>
+                <button type="button" onclick="handleSensitivityAnalysis()" class="bg-teal-600 hover:bg-teal-700 p-2 rounded-lg font-bold text-sm">分析する</button>
             </div>
-            <div class="card">
-                <div id="breakdown-container" style="height: 350px;">
-                    <canvas id="breakdownChart"></canvas>
-                </div>
+            <div id="sensitivity-chart-container" class="hidden" style="height: 300px;">
+                <canvas id="sensitivityChart"></canvas>
             </div>
+            <div id="sensitivity-result"></div>
         </div>
-        
-        <h2 class="text-xl font-bold mt-6 mb-3">各口座の最新残高</h2>
-        <div id="account-balances" class="card">
-            ${renderAccountBalances(latestBalance)}
+`;
+
+/**
+ * 感度分析の結果を表にする。
+ * @param {Object} result - runSensitivityAnalysis の結果
+ * @returns {string} HTML文字列
+ */
+const renderSensitivityTable = (result) => {
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万円`;
+    const crashText = (m) => m.crashMonth ? `<span class="text-red-400">${m.crashMonth}</span>` : 'なし';
+    return `
+            <table class="w-full text-xs text-right">
+                <thead class="text-gray-400">
+                    <tr><th class="text-left py-1">前提 (変化幅)</th><th>下げた場合</th><th>上げた場合</th><th>マイナスになる月 (下げた / 上げた)</th></tr>
+                </thead>
+                <tbody>
+                    ${result.rows.map(row => `
+                    <tr class="border-t border-gray-700">
+                        <td class="text-left py-1">${row.label}<br><span class="text-gray-400">${row.deltaText}</span></td>
+                        <td>${toMan(row.low.netWorth)}</td>
+                        <td>${toMan(row.high.netWorth)}</td>
+                        <td>${crashText(row.low)} / ${crashText(row.high)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-400 mt-2">現在の設定: 純資産 ${toMan(result.base.netWorth)} / マイナスになる月 ${crashText(result.base)}。教育プランは子供全員をすべて公立・すべて私立にした場合です。</p>
+    `;
+};
+
+/**
+ * 過去の相場での検証パネルをレンダリングする (計算はボタンを押したときに行う)。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderBacktestPanel = (s) => {
+    const allocation = s.backtestAllocation || {};
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">過去の相場で検証 (バックテスト)</h2>
+        <div class="card space-y-3">
+            <p class="text-xs text-gray-400">運用利回りを一定とせず、${HISTORICAL_MARKET_DATA.firstYear}年以降の各年から始めた場合の実際の年ごとのリターンとインフレ率で、プランを再生します。退職前後に相場が下がる「リターンの順序」の影響を確認できます。</p>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+                ${Object.entries(BACKTEST_ASSETS).map(([key, label]) => `
+                <div>
+                    <label class="block text-xs text-gray-400">${label} (%)</label>
+                    <input type="number" id="backtest-${key}" value="${allocation[key] ?? 0}" min="0" max="100" step="5" class="w-full p-2 rounded-lg">
+                </div>`).join('')}
+                <button type="button" onclick="handleBacktest()" class="bg-teal-600 hover:bg-teal-700 p-2 rounded-lg font-bold text-sm">検証する</button>
+            </div>
+            <div id="backtest-result"></div>
         </div>
-        <div class="h-24"></div>
     `;
+};
 
-    // シミュレーション実行 (現在の設定)
-    // const simulationResult = runSimulation(); // 既に上部で計算済みなので再利用
+/**
+ * 過去の相場での検証結果をレンダリングする。
+ * @param {Object} result - runBacktest の結果
+ * @returns {string} HTML文字列
+ */
+const renderBacktestResults = (result) => {
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万円`;
+    const worst = result.worstDrawdown;
+    const partialCount = result.runs.length - result.fullCount;
+    return `
+            ${result.fullCount > 0 ? `
+            <p class="text-sm font-semibold ${result.failedYears.length > 0 ? 'text-red-400' : 'text-green-400'}">
+                予測期間すべてを過去のデータで再生できる${result.fullCount}通りの開始年のうち ${result.fullCount - result.failedYears.length}通りで資産がマイナスになりませんでした (成功率 ${(result.successRate * 100).toFixed(1)}%)
+            </p>
+            ${result.failedYears.length > 0 ? `<p class="text-xs text-red-300">資産がマイナスになった開始年: ${result.failedYears.join(', ')}</p>` : ''}
+            <p class="text-xs text-gray-300">最大の下落: ${worst.startYear}年開始の場合に ${worst.maxDrawdown.peakYM} から ${worst.maxDrawdown.troughYM} にかけて総資産が ${worst.maxDrawdown.rate.toFixed(1)}% 減少</p>` : `
+            <p class="text-sm font-semibold text-orange-400">予測期間が過去のデータより長いため、すべてを実績で再生できる開始年がありません。予測期間を短くすると成功率を求められます。</p>`}
+            ${partialCount > 0 ? `<p class="text-xs text-gray-400">途中から設定の前提で補った${partialCount}通りの開始年は参考として表に示し、成功率には含めません${result.partialFailedYears.length > 0 ? ` (うち資産がマイナスになった開始年: ${result.partialFailedYears.join(', ')})` : ''}。</p>` : ''}
+            <div class="hide-scrollbar h-64 overflow-y-auto">
+                <table class="w-full text-xs text-right">
+                    <thead class="text-gray-400">
+                        <tr><th class="text-left py-1">開始年</th><th>実績の年数</th><th>期間末の総資産</th><th>最大下落率</th><th>マイナスになる月</th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.runs.map(run => `
+                        <tr class="border-t border-gray-700 ${run.crashMonth ? 'text-red-300' : ''} ${run.isFullWindow ? '' : 'opacity-60'}">
+                            <td class="text-left py-1">${run.startYear}年${run.isFullWindow ? '' : ' (参考)'}</td>
+                            <td>${run.historicalYears}年</td>
+                            <td>${toMan(run.finalTotal)}</td>
+                            <td>${run.maxDrawdown.rate.toFixed(1)}%</td>
+                            <td>${run.crashMonth || '-'}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-xs text-gray-400 mt-2">※過去のデータは年次の概算値です。データの最終年 (${HISTORICAL_MARKET_DATA.firstYear + HISTORICAL_MARKET_DATA.cpi.length - 1}年) より先は設定の運用利回り・インフレ率で計算します。</p>
+    `;
+};
 
-    // 保存済みシナリオの計算
-    const scenarioResults = [];
-    if (appData.scenarios) {
-        appData.scenarios.forEach(sc => {
-            const res = runSimulation(sc.settings, sc.families, sc.loans, sc.recurring);
-            scenarioResults.push({ name: sc.name, data: res.data });
-        });
-    }
+/**
+ * 住まいの比較ができる設定 (購入の予定がある) かを判定する。
+ * @returns {boolean} 比較できるなら true
+ */
+const canCompareHousing = () => {
+    const housing = appData.settings.housing;
+    return !!(housing && housing.choice !== 'none' && housing.buy && housing.buy.purchaseYM);
+};
 
-    // 結果統合
-    const finalData = { ...simulationResult, scenarios: scenarioResults };
+/**
+ * 住まいを賃貸にした場合と購入した場合のシミュレーションを比較する。
+ * @returns {Array | null} [{ choice, label, finalNetWorth, finalTotal, propertyValue, loanBalance, housingCost, crashMonth }] (住まいの設定がなければ null)
+ */
+const compareHousingOptions = () => {
+    if (!canCompareHousing()) return null;
+    return ['rent', 'buy'].map(choice => {
+        const sim = runSimulation(null, null, null, null, { housingChoice: choice });
+        const last = sim.data.length - 1;
+        return {
+            choice,
+            label: HOUSING_CHOICES[choice],
+            finalNetWorth: sim.netWorthData[last],
+            finalTotal: sim.data[last],
+            propertyValue: sim.propertyData[last],
+            loanBalance: sim.loanBalanceData[last],
+            housingCost: sim.housingCost,
+            crashMonth: sim.crashMonth,
+        };
+    });
+};
 
-    // Chart.jsの描画
-    if (latestBalance) {
-        // 実績データを渡す
-        drawChart(finalData, balancesSorted, latestBalance.total, latestBalance.month, simulationResult.crashMonth);
-        renderBreakdownChart('breakdownChart', simulationResult.breakdown);
-    } else {
-        document.getElementById('chart-container').innerHTML = '<p class="text-center text-gray-400 py-10">残高実績を登録するとグラフが表示されます。</p>';
-    }
+/**
+ * 賃貸と購入の比較表をレンダリングする。
+ * @param {Array} comparison - compareHousingOptions の結果
+ * @param {string} currentChoice - 現在の予測に使っている住まい
+ * @returns {string} HTML文字列
+ */
+const renderHousingComparison = (comparison, currentChoice) => {
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万`;
+    const [rent, buy] = comparison;
+    const diff = buy.finalNetWorth - rent.finalNetWorth;
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">住まいの比較 (賃貸 vs 購入)</h2>
+        <div class="card overflow-x-auto">
+            <table class="w-full text-xs text-right">
+                <thead class="text-gray-400">
+                    <tr>
+                        <th class="text-left py-1"></th>
+                        <th>住居費の総額</th>
+                        <th>期間末の金融資産</th>
+                        <th>持ち家の評価額</th>
+                        <th>ローン残高</th>
+                        <th>期間末の純資産</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.map(c => `
+                        <tr class="border-t border-gray-700 ${c.choice === currentChoice ? 'text-yellow-300 font-bold' : ''}">
+                            <td class="text-left py-1">${c.label}${c.crashMonth ? `<br><span class="text-red-400 font-normal">${c.crashMonth} 資産がマイナス</span>` : ''}</td>
+                            <td>${toMan(c.housingCost)}</td>
+                            <td>${toMan(c.finalTotal)}</td>
+                            <td>${toMan(c.propertyValue)}</td>
+                            <td>${toMan(c.loanBalance)}</td>
+                            <td>${toMan(c.finalNetWorth)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-sm mt-2 ${diff >= 0 ? 'text-green-400' : 'text-orange-300'}">期間末の純資産は${diff >= 0 ? '購入' : '賃貸'}が ${formatCurrency(Math.abs(Math.round(diff)))} 多くなります。</p>
+            <p class="text-xs text-gray-400 mt-1">※住居費はローン返済・頭金・諸費用・税・管理費を含み、売却代金を差し引いた額です。黄色が現在の予測に使っている住まいです。</p>
+        </div>
+    `;
+};
 
-    // Lucideアイコンを再描画
-    if (typeof lucide !== 'undefined' && lucide.createIcons) {
-        lucide.createIcons();
-    }
+/**
+ * 万一のリスク (死亡・就業不能) のストレスシナリオを計算し、現在の設定の予測と比較する。
+ * @param {Object} baseResult - 現在の設定のシミュレーション結果
+ * @returns {Object | null} 比較結果 (シナリオが無効なら null, 発生年月が予測期間より後なら outOfRange: true)
+ */
+const runRiskScenario = (baseResult) => {
+    const risk = appData.settings.riskScenario;
+    if (!risk || !risk.enabled) return null;
+    const member = appData.families.find(f => f.id === risk.memberId);
+    if (!member) return null;
+
+    const sim = runSimulation(null, null, null, null, { riskEvent: { ...risk } });
+    // 発生月 (開始前ならシミュレーションの初月) 以降の最低残高 (比べられるよう、現在の設定も同じ期間で求める)
+    const foundIdx = sim.labels.findIndex(ym => ym >= (risk.ym || ''));
+    // 予測期間より後の発生月は比べられない (予測期間を短くした場合など)
+    if (foundIdx === -1) return { memberName: member.name, typeLabel: RISK_EVENT_TYPES[risk.type] || RISK_EVENT_TYPES.death, eventYM: risk.ym, outOfRange: true };
+    const eventIdx = Math.max(1, foundIdx);
+    const riskMin = Math.min(...sim.data.slice(eventIdx));
+    return {
+        memberName: member.name,
+        typeLabel: RISK_EVENT_TYPES[risk.type] || RISK_EVENT_TYPES.death,
+        eventYM: sim.labels[eventIdx],
+        result: sim,
+        baseFinal: baseResult.data[baseResult.data.length - 1],
+        riskFinal: sim.data[sim.data.length - 1],
+        baseMin: Math.min(...baseResult.data.slice(eventIdx)),
+        riskMin,
+        baseCrashMonth: baseResult.crashMonth,
+        // 残高がマイナスになる分を、発生時に一時金で備えておくべき額の目安とする (運用益は考慮しない)
+        requiredCoverage: Math.max(0, -riskMin),
+    };
 };
 
 /**
- * 最新の口座残高をレンダリングする。
- * @param {Object} latestBalance - 最新の月次残高データ
+ * 万一のリスクの比較をレンダリングする。
+ * @param {Object} analysis - runRiskScenario の結果
  * @returns {string} HTML文字列
  */
-const renderAccountBalances = (latestBalance) => {
-    if (!latestBalance) {
-        return '<p class="text-gray-400">残高実績がありません。</p>';
+const renderRiskAnalysis = (analysis) => {
+    if (analysis.outOfRange) {
+        return `
+        <h2 class="text-xl font-bold mt-6 mb-3">万一のリスク分析 (${analysis.memberName}の${analysis.typeLabel})</h2>
+        <div class="card"><p class="text-sm text-orange-400">発生年月 (${analysis.eventYM}) が予測期間より後のため比べられません。設定で発生年月か予測期間を見直してください。</p></div>`;
     }
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万`;
+    const sim = analysis.result;
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">万一のリスク分析 (${analysis.memberName}の${analysis.typeLabel}・${analysis.eventYM})</h2>
+        <div class="card overflow-x-auto">
+            <table class="w-full text-xs text-right">
+                <thead class="text-gray-400">
+                    <tr>
+                        <th class="text-left py-1"></th>
+                        <th>期間末の資産</th>
+                        <th>最低残高 (発生後)</th>
+                        <th>破産月</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr class="border-t border-gray-700">
+                        <td class="text-left py-1">現在の設定</td>
+                        <td>${toMan(analysis.baseFinal)}</td>
+                        <td>${toMan(analysis.baseMin)}</td>
+                        <td>${analysis.baseCrashMonth || '-'}</td>
+                    </tr>
+                    <tr class="border-t border-gray-700 text-red-300">
+                        <td class="text-left py-1">万一の場合</td>
+                        <td>${toMan(analysis.riskFinal)}</td>
+                        <td>${toMan(analysis.riskMin)}</td>
+                        <td>${sim.crashMonth || '-'}</td>
+                    </tr>
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-300 mt-2">保険金 (累計): <span class="text-green-300">${formatCurrency(sim.insurance.payout)}</span> / 保険料 (累計): ${formatCurrency(sim.insurance.premium)}</p>
+            <p class="text-sm mt-1 ${analysis.requiredCoverage > 0 ? 'text-red-400 font-semibold' : 'text-green-400'}">
+                必要保障額の目安: ${analysis.requiredCoverage > 0 ? `あと ${formatCurrency(analysis.requiredCoverage)}` : '現在の備えで不足しません'}
+            </p>
+            <p class="text-xs text-gray-400 mt-1">※遺族年金・障害年金、団体信用生命保険による住宅ローンの完済、登録した保険を反映しています。必要保障額は資産がマイナスになる分の目安です。</p>
+        </div>
+    `;
+};
 
-    if (appData.accounts.length === 0) {
-        return '<p class="text-gray-400">口座情報が登録されていません。</p>';
+/**
+ * 取り崩し戦略の比較表をレンダリングする。
+ * @param {Array} comparison - compareWithdrawalStrategies の結果
+ * @param {string} currentStrategy - 設定中の取り崩し戦略
+ * @returns {string} HTML文字列
+ */
+const renderWithdrawalComparison = (comparison, currentStrategy) => {
+    const startInfo = comparison[0]?.summary;
+    if (!startInfo || startInfo.startYear === null) {
+        return `
+        <h2 class="text-xl font-bold mt-6 mb-3">老後の取り崩し戦略の比較</h2>
+        <div class="card"><p class="text-sm text-gray-400">予測期間中に資産の取り崩しが始まらないため、比べられません。</p></div>`;
     }
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万`;
+    return `
+        <h2 class="text-xl font-bold mt-6 mb-3">老後の取り崩し戦略の比較 (${startInfo.startYear}年〜・世帯主${startInfo.startAge}歳)</h2>
+        <div class="card overflow-x-auto">
+            <table class="w-full text-xs text-right">
+                <thead class="text-gray-400">
+                    <tr>
+                        <th class="text-left py-1">戦略</th>
+                        <th>初年度の取り崩し</th>
+                        <th>年間取り崩し (最小〜最大)</th>
+                        <th>年間支出 (平均 / 最小)</th>
+                        <th>期間末の資産</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${comparison.map(c => `
+                        <tr class="border-t border-gray-700 ${c.strategy === currentStrategy ? 'text-yellow-300 font-bold' : ''}">
+                            <td class="text-left py-1">${c.label}${c.summary.cuts + c.summary.raises > 0 ? `<br><span class="text-gray-400 font-normal">減額${c.summary.cuts}回 / 増額${c.summary.raises}回</span>` : ''}</td>
+                            <td>${toMan(c.summary.firstYearWithdrawal)}</td>
+                            <td>${toMan(c.summary.minAnnualWithdrawal)}〜${toMan(c.summary.maxAnnualWithdrawal)}</td>
+                            <td>${toMan(c.summary.avgAnnualSpending)} / ${toMan(c.summary.minAnnualSpending)}</td>
+                            <td class="${c.crashMonth ? 'text-red-400' : ''}">${c.crashMonth ? `${c.crashMonth} 枯渇` : toMan(c.finalTotal)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-xs text-gray-400 mt-2">※開始年と最終年を除く年ごとの集計です。黄色が現在の設定で、上の長期予測のグラフにはこの戦略の資産推移を表示しています。</p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                <div style="height: 240px;"><canvas id="withdrawalBalanceChart"></canvas></div>
+                <div style="height: 240px;"><canvas id="withdrawalSpendingChart"></canvas></div>
+            </div>
+        </div>
+    `;
+};
 
-    let html = '<ul class="space-y-2">';
-    appData.accounts.forEach(account => {
-        const balance = latestBalance.accounts[account.id] || 0;
-        html += `
-            <li class="flex justify-between items-center py-1 border-b border-gray-700 last:border-b-0">
-                <span class="text-gray-300">${account.name}</span>
-                <span class="font-semibold ${balance < 0 ? 'text-red-400' : 'text-green-400'}">${formatCurrency(balance)}</span>
-            </li>
-        `;
+/**
+ * 取り崩し戦略ごとの総資産の推移と年間支出の推移を、取り崩し開始年から並べて描画する。
+ * @param {Array | null} comparison - compareWithdrawalStrategies の結果
+ */
+const drawWithdrawalComparisonCharts = (comparison) => {
+    withdrawalCharts.forEach(chart => chart.destroy());
+    withdrawalCharts = [];
+    const startYear = comparison && comparison[0]?.summary.startYear;
+    const balanceCanvas = document.getElementById('withdrawalBalanceChart');
+    const spendingCanvas = document.getElementById('withdrawalSpendingChart');
+    if (!startYear || !balanceCanvas || !spendingCanvas) return;
+
+    const colors = ['#60a5fa', '#f472b6', '#facc15', '#34d399', '#a78bfa', '#f97316'];
+    const startIdx = Math.max(0, comparison[0].labels.findIndex(l => parseInt(l) >= startYear));
+    const labels = comparison[0].labels.slice(startIdx);
+    const years = comparison[0].summary.years.map(y => y.year);
+    const toMan = (value) => `${Math.round(value / 10000).toLocaleString()}万`;
+    const chartOptions = (title) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            title: { display: true, text: title, color: '#fff' },
+            legend: { labels: { color: '#e5e7eb', font: { size: 10 } } },
+            tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}` } },
+        },
+        scales: {
+            x: { ticks: { color: '#9ca3af', maxTicksLimit: 10 }, grid: { color: '#374151' } },
+            y: { ticks: { color: '#9ca3af', callback: toMan }, grid: { color: '#374151' } },
+        },
     });
-    html += '</ul>';
-    return html;
+
+    withdrawalCharts.push(new Chart(balanceCanvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: comparison.map((c, idx) => ({
+                label: c.label,
+                data: c.balances.slice(startIdx),
+                borderColor: colors[idx % colors.length],
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false,
+            })),
+        },
+        options: chartOptions('総資産の推移'),
+    }));
+    withdrawalCharts.push(new Chart(spendingCanvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: years,
+            datasets: comparison.map((c, idx) => {
+                const byYear = new Map(c.summary.years.map(y => [y.year, y.spending]));
+                return {
+                    label: c.label,
+                    data: years.map(y => byYear.get(y) ?? null),
+                    borderColor: colors[idx % colors.length],
+                    borderWidth: 2,
+                    pointRadius: 1,
+                    fill: false,
+                };
+            }),
+        },
+        options: chartOptions('年間支出の推移 (開始年・最終年は月数が少ない)'),
+    }));
 };
 
 /**
@@ -927,7 +5087,7 @@ const renderAccountBalances = (latestBalance) => {
  */
 /**
  * Chart.jsを使用して予測グラフを描画する。
- * @param {Object} data - シミュレーション結果データ (data.labels, data.data, data.investmentData, data.scenarios)
+ * @param {Object} data - シミュレーション結果データ (data.labels, data.data, data.investmentData, data.scenarios, data.monteCarlo, data.riskScenario)
  * @param {Array} historyData - 過去の実績データの配列 [{month, total, accounts}, ...]
  * @param {number} startBalance - 最新の実績残高
  * @param {string} startMonth - 最新の実績月
@@ -973,10 +5133,18 @@ const drawChart = (data, historyData, startBalance, startMonth, crashMonth) => {
     // 収入・支出データマップ (シミュレーションのみ)
     const incomeMap = new Map();
     const expenseMap = new Map();
+    const loanBalanceMap = new Map();
+    const withdrawalMap = new Map();
+    const childBenefitMap = new Map();
+    const propertyMap = new Map();
     if (data.incomeData) {
         data.labels.forEach((label, idx) => {
             incomeMap.set(label, data.incomeData[idx]);
             expenseMap.set(label, data.expenseData[idx]);
+            if (data.loanBalanceData) loanBalanceMap.set(label, data.loanBalanceData[idx]);
+            if (data.withdrawalData) withdrawalMap.set(label, data.withdrawalData[idx]);
+            if (data.childBenefitData) childBenefitMap.set(label, data.childBenefitData[idx]);
+            if (data.propertyData) propertyMap.set(label, data.propertyData[idx]);
         });
     }
 
@@ -1052,36 +5220,149 @@ const drawChart = (data, historyData, startBalance, startMonth, crashMonth) => {
             data: simInvestPoints,
             borderColor: '#10b981', // Green
             borderWidth: 2,
-            borderDash: [4, 4], // 点線
+            borderDash: [4, 4], // 点線
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            order: 0 // 最前面
+        }
+    ];
+
+    // 現預金 (総資産のうち投資していない分) と生活防衛資金
+    if (data.cashData) {
+        const cashMap = new Map();
+        const cashFloorMap = new Map();
+        data.labels.forEach((label, idx) => {
+            cashMap.set(label, data.cashData[idx]);
+            cashFloorMap.set(label, data.cashFloorData[idx]);
+        });
+        datasets.push({
+            label: 'うち現預金',
+            data: allLabels.map(l => cashMap.has(l) ? cashMap.get(l) : null),
+            borderColor: '#22d3ee', // Cyan
+            borderWidth: 2,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            order: 0
+        });
+        if (data.cashFloorData.some(v => v > 0)) {
+            datasets.push({
+                label: '生活防衛資金',
+                data: allLabels.map(l => cashFloorMap.has(l) ? cashFloorMap.get(l) : null),
+                borderColor: '#9ca3af', // Gray
+                borderWidth: 1,
+                borderDash: [2, 2],
+                pointRadius: 0,
+                tension: 0,
+                fill: false,
+                order: 3
+            });
+        }
+    }
+
+    // シナリオデータの追加描画
+    if (data.scenarios && data.scenarios.length > 0) {
+        data.scenarios.forEach((sc, idx) => {
+            // シナリオデータのマッピング
+            const scMap = new Map();
+            // シナリオデータは simulationLabels と対応している
+            data.labels.forEach((l, i) => scMap.set(l, sc.data[i]));
+
+            const scPoints = allLabels.map(l => scMap.has(l) ? scMap.get(l) : null);
+
+            const colors = ['#f472b6', '#a78bfa', '#facc15']; // Pink, Purple, Yellow
+            datasets.push({
+                label: `Plan: ${sc.name}`,
+                data: scPoints,
+                borderColor: colors[idx % colors.length],
+                borderWidth: 2,
+                borderDash: [5, 5],
+                pointRadius: 0,
+                tension: 0.2,
+                fill: false,
+                order: 3
+            });
+        });
+    }
+
+    // 万一のリスク (死亡・就業不能) のストレスシナリオ
+    if (data.riskScenario) {
+        const riskMap = new Map();
+        data.riskScenario.labels.forEach((label, idx) => riskMap.set(label, data.riskScenario.data[idx]));
+        datasets.push({
+            label: '万一の場合',
+            data: allLabels.map(l => riskMap.has(l) ? riskMap.get(l) : null),
+            borderColor: '#ef4444', // Red
+            borderWidth: 2,
+            borderDash: [6, 3],
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            order: 3
+        });
+    }
+
+    // 純資産 (持ち家を加え、ローン残高を差し引いた額) - 残高のあるローンか持ち家がある場合のみ表示
+    const hasProperty = data.propertyData && data.propertyData.some(v => v > 0);
+    if (data.netWorthData && (data.loanBalanceData.some(v => v > 0) || hasProperty)) {
+        const netWorthMap = new Map();
+        data.labels.forEach((label, idx) => netWorthMap.set(label, data.netWorthData[idx]));
+        datasets.push({
+            label: hasProperty ? '純資産 (持ち家を含む・ローン残高控除後)' : '純資産 (ローン残高控除後)',
+            data: allLabels.map(l => netWorthMap.has(l) ? netWorthMap.get(l) : null),
+            borderColor: '#f97316', // Orange
+            borderWidth: 2,
+            borderDash: [2, 4],
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            order: 3
+        });
+    }
+
+    // モンテカルロのパーセンタイル帯 (10-90%を塗りつぶし、中央値を線で表示)
+    if (data.monteCarlo) {
+        const mc = data.monteCarlo;
+        const toPoints = (values) => {
+            const map = new Map();
+            mc.labels.forEach((label, idx) => map.set(label, values[idx]));
+            return allLabels.map(l => map.has(l) ? map.get(l) : null);
+        };
+
+        datasets.push({
+            label: '上位10%',
+            data: toPoints(mc.p90),
+            borderColor: 'rgba(250, 204, 21, 0.4)',
+            backgroundColor: 'transparent',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.2,
+            fill: false,
+            order: 4
+        });
+        datasets.push({
+            label: '下位10%',
+            data: toPoints(mc.p10),
+            borderColor: 'rgba(250, 204, 21, 0.4)',
+            backgroundColor: 'rgba(250, 204, 21, 0.15)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.2,
+            fill: '-1', // 直前の上位10%との間を塗りつぶす
+            order: 4
+        });
+        datasets.push({
+            label: '中央値',
+            data: toPoints(mc.p50),
+            borderColor: '#facc15', // Yellow
+            borderWidth: 2,
+            borderDash: [6, 3],
             pointRadius: 0,
             tension: 0.2,
             fill: false,
-            order: 0 // 最前面
-        }
-    ];
-
-    // シナリオデータの追加描画
-    if (data.scenarios && data.scenarios.length > 0) {
-        data.scenarios.forEach((sc, idx) => {
-            // シナリオデータのマッピング
-            const scMap = new Map();
-            // シナリオデータは simulationLabels と対応している
-            data.labels.forEach((l, i) => scMap.set(l, sc.data[i]));
-
-            const scPoints = allLabels.map(l => scMap.has(l) ? scMap.get(l) : null);
-
-            const colors = ['#f472b6', '#a78bfa', '#facc15']; // Pink, Purple, Yellow
-            datasets.push({
-                label: `Plan: ${sc.name}`,
-                data: scPoints,
-                borderColor: colors[idx % colors.length],
-                borderWidth: 2,
-                borderDash: [5, 5],
-                pointRadius: 0,
-                tension: 0.2,
-                fill: false,
-                order: 3
-            });
+            order: 3
         });
     }
 
@@ -1142,8 +5423,24 @@ const drawChart = (data, historyData, startBalance, startMonth, crashMonth) => {
                             if (inc !== null && inc !== undefined) {
                                 lines.push(''); // spacer
                                 lines.push(`収入計: ${formatCurrency(inc)}`);
+                                const childBenefit = childBenefitMap.get(allLabels[index]);
+                                if (childBenefit > 0) {
+                                    lines.push(`  うち児童手当・就学支援: ${formatCurrency(childBenefit)}`);
+                                }
                                 lines.push(`支出計: ${formatCurrency(exp)}`);
                             }
+                            const withdrawal = withdrawalMap.get(allLabels[index]);
+                            if (withdrawal > 0) {
+                                lines.push(`投資の取り崩し: ${formatCurrency(withdrawal)}`);
+                            }
+                            const loanBalance = loanBalanceMap.get(allLabels[index]);
+                            if (loanBalance > 0) {
+                                lines.push(`ローン残高: ${formatCurrency(loanBalance)}`);
+                            }
+                            const propertyValue = propertyMap.get(allLabels[index]);
+                            if (propertyValue > 0) {
+                                lines.push(`持ち家の評価額: ${formatCurrency(propertyValue)}`);
+                            }
                             return lines;
                         }
                     },
@@ -1302,13 +5599,21 @@ const renderFamilyAccountTab = () => {
                 <label for="account-name" class="block text-sm font-medium mb-1 text-gray-300">口座名</label>
                 <input type="text" id="account-name" placeholder="例: メイン銀行" required
                     class="w-full p-2 rounded-lg focus:ring-blue-500 focus:border-blue-500">
+                <label for="account-type" class="block text-sm font-medium mb-1 text-gray-300">種類</label>
+                <select id="account-type" class="w-full p-2 rounded-lg">
+                    ${Object.entries(ACCOUNT_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                </select>
+                <p class="text-xs text-gray-400">投資・年金口座の残高は運用資産としてシミュレーションに反映されます。負債は残債を正の数で入力してください。</p>
                 <button type="submit" class="w-full py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold transition duration-150">口座を追加</button>
             </form>
             <ul class="mt-4 space-y-2 border-t border-gray-700 pt-4">
                 <p class="text-sm text-gray-400 mb-2">${appData.accounts.length}件の口座</p>
                 ${appData.accounts.map(acc => `
-                    <li class="flex justify-between items-center bg-gray-700 p-2 rounded-lg">
-                        <span>${acc.name}</span>
+                    <li class="flex justify-between items-center gap-2 bg-gray-700 p-2 rounded-lg">
+                        <span class="flex-1">${acc.name}</span>
+                        <select onchange="handleAccountTypeChange('${acc.id}', this.value)" class="p-1 rounded text-xs">
+                            ${Object.entries(ACCOUNT_TYPES).map(([value, label]) => `<option value="${value}" ${getAccountType(acc) === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
                         <button onclick="deleteItem('accounts', '${acc.id}')" class="text-red-400 hover:text-red-500 p-1">
                             <i data-lucide="x" class="w-5 h-5"></i>
                         </button>
@@ -1323,33 +5628,51 @@ const renderFamilyAccountTab = () => {
                 <label for="family-name" class="block text-sm font-medium mb-1 text-gray-300">氏名</label>
                 <input type="text" id="family-name" placeholder="氏名" required
                     class="w-full p-2 rounded-lg focus:ring-blue-500 focus:border-blue-500">
-                <div class="grid grid-cols-2 gap-3">
+                <select id="family-kind" class="w-full p-2 rounded-lg" onchange="toggleFamilyKind(this.value)">
+                    <option value="current">現在の家族</option>
+                    <option value="planned_birth">出生予定の子供</option>
+                    <option value="joining">将来同居する家族 (親の呼び寄せなど)</option>
+                </select>
+                <div id="family-relation-area">
+                    <label for="family-relation" class="block text-sm font-medium mb-1 text-gray-300">続柄 (世帯主から見て)</label>
+                    <select id="family-relation" class="w-full p-2 rounded-lg">
+                        ${Object.entries(FAMILY_RELATIONS).map(([value, label]) => `<option value="${value}" ${value === 'child' ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <p class="text-xs text-gray-400 mt-1">※最初に登録した家族が世帯主です。配偶者控除や遺族年金は世帯主と配偶者の間で判定します。</p>
+                </div>
+                <div id="family-birth-area" class="hidden">
+                    <label for="family-birth-ym" class="block text-sm font-medium mb-1 text-gray-300">出生予定 (年月)</label>
+                    <input type="month" id="family-birth-ym" class="w-full p-2 rounded-lg">
+                </div>
+                <div id="family-age-area" class="grid grid-cols-2 gap-3">
                      <div>
                         <label for="family-age" class="block text-sm font-medium mb-1 text-gray-300">現在の年齢</label>
-                        <input type="number" id="family-age" placeholder="年齢" min="0" required
+                        <input type="number" id="family-age" placeholder="年齢" min="0"
                             class="w-full p-2 rounded-lg focus:ring-blue-500 focus:border-blue-500">
                     </div>
                     <div>
                         <label for="family-birth-month" class="block text-sm font-medium mb-1 text-gray-300">誕生日月</label>
-                        <select id="family-birth-month" required
+                        <select id="family-birth-month"
                             class="w-full p-2 rounded-lg focus:ring-blue-500 focus:border-blue-500">
                             <option value="">誕生日月を選択</option>
                             ${Array.from({ length: 12 }, (_, i) => i + 1).map(m => `<option value="${m}">${m}月</option>`).join('')}
                         </select>
                     </div>
                 </div>
+                <div id="family-join-area" class="hidden">
+                    <label for="family-join-ym" class="block text-sm font-medium mb-1 text-gray-300">同居開始 (年月)</label>
+                    <input type="month" id="family-join-ym" class="w-full p-2 rounded-lg">
+                </div>
+                <div>
+                    <label for="family-monthly-cost" class="block text-sm font-medium mb-1 text-gray-300">世帯にいる間の追加生活費 (月額・任意)</label>
+                    <input type="number" id="family-monthly-cost" placeholder="例: 50000" min="0" step="5000" class="w-full p-2 rounded-lg">
+                    <p class="text-xs text-gray-400 mt-1">※途中から加わる家族は加わった月から加算し、今いる家族は世帯を離れた月から差し引きます。</p>
+                </div>
                 <button type="submit" class="w-full py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold transition duration-150">家族を追加</button>
             </form>
             <ul class="mt-4 space-y-2 border-t border-gray-700 pt-4">
                 <p class="text-sm text-gray-400 mb-2">${appData.families.length}件の家族</p>
-                ${appData.families.map(fam => `
-                    <li class="flex justify-between items-center bg-gray-700 p-2 rounded-lg">
-                        <span>${fam.name} (${fam.age}歳, ${fam.birthMonth}月生)</span>
-                        <button onclick="deleteItem('families', '${fam.id}')" class="text-red-400 hover:text-red-500 p-1">
-                            <i data-lucide="x" class="w-5 h-5"></i>
-                        </button>
-                    </li>
-                `).join('')}
+                ${appData.families.map(fam => renderFamilyItem(fam)).join('')}
             </ul>
         </div>
         <div class="h-24"></div>
@@ -1357,6 +5680,53 @@ const renderFamilyAccountTab = () => {
     return html;
 };
 
+const FAMILY_RELATIONS = {
+    spouse: '配偶者',
+    child: '子',
+    other: 'その他 (親・祖父母など)',
+};
+
+const LEAVE_REASONS = {
+    independence: '独立・結婚',
+    moving_out: '別居・施設入所',
+    death: '死亡',
+};
+
+/**
+ * 家族1人分の表示 (出生予定・同居開始・世帯を離れる予定) をレンダリングする。
+ * @param {Object} fam - 家族
+ * @returns {string} HTML文字列
+ */
+const renderFamilyItem = (fam) => {
+    const todayYM = formatDateToYM(new Date());
+    const notes = [];
+    if (fam.joinYM && fam.joinYM > todayYM) notes.push(fam.birthYear ? `${fam.joinYM} 出生予定` : `${fam.joinYM} から同居`);
+    if (fam.leaveYM) notes.push(`${fam.leaveYM} ${LEAVE_REASONS[fam.leaveReason] || '世帯を離れる'}`);
+    if (fam.monthlyCost) notes.push(`追加生活費 ${formatCurrency(fam.monthlyCost)}/月`);
+    const ageText = fam.birthYear && fam.joinYM > todayYM ? '未出生' : `${fam.age}歳`;
+    const isHead = appData.families[0] && appData.families[0].id === fam.id;
+    return `
+                    <li class="bg-gray-700 p-2 rounded-lg space-y-2">
+                        <div class="flex justify-between items-center">
+                            <span class="flex-1">${fam.name} (${ageText}, ${fam.birthMonth}月生${fam.birthMonth <= 3 ? '・早生まれ' : ''})${notes.length > 0 ? `<br><span class="text-xs text-gray-400">${notes.join(' / ')}</span>` : ''}</span>
+                            ${isHead ? '<span class="text-xs text-gray-400 p-1">世帯主</span>' : `
+                            <select onchange="handleFamilyRelationChange('${fam.id}', this.value)" class="p-1 rounded text-xs">
+                                ${Object.entries(FAMILY_RELATIONS).map(([value, label]) => `<option value="${value}" ${(fam.relation || 'other') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>`}
+                            <button onclick="deleteItem('families', '${fam.id}')" class="text-red-400 hover:text-red-500 p-1">
+                                <i data-lucide="x" class="w-5 h-5"></i>
+                            </button>
+                        </div>
+                        <div class="grid grid-cols-3 gap-1">
+                            <input type="month" id="leave-ym-${fam.id}" value="${fam.leaveYM || ''}" class="p-1 rounded text-xs">
+                            <select id="leave-reason-${fam.id}" class="p-1 rounded text-xs">
+                                ${Object.entries(LEAVE_REASONS).map(([value, label]) => `<option value="${value}" ${fam.leaveReason === value ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                            <button type="button" onclick="handleSetFamilyLeave('${fam.id}')" class="bg-gray-600 hover:bg-gray-500 rounded text-xs">世帯を離れる時期を設定</button>
+                        </div>
+                    </li>`;
+};
+
 const renderRecurringTab = () => {
     // 今日のYYYY-MMをデフォルト値として取得
     const todayYM = new Date().toISOString().slice(0, 7);
@@ -1368,33 +5738,94 @@ const renderRecurringTab = () => {
             <p class="text-sm text-gray-400 mb-3">住宅ローンや奨学金など、支払いに「終了」がある毎月の固定費を登録します。</p>
             <form id="add-loan-form" class="space-y-3">
                 <input type="text" id="loan-name" placeholder="名称 (例: 住宅ローン)" required class="w-full p-2 rounded-lg">
-                <input type="number" id="loan-amount" placeholder="月々の支払額 (円)" min="1" required class="w-full p-2 rounded-lg">
-                <div class="grid grid-cols-2 gap-3">
-                    <div>
-                        <label class="block text-xs text-gray-400">開始年月</label>
-                        <input type="month" id="loan-start" value="${todayYM}" required class="w-full p-2 rounded-lg">
-                    </div>
+                <select id="loan-kind" class="w-full p-2 rounded-lg" onchange="toggleLoanKind(this.value)">
+                    <option value="amortizing">借入額・金利から計算 (残高を管理)</option>
+                    <option value="fixed">月々の支払額を直接入力</option>
+                </select>
+
+                <div id="loan-fixed-area" class="space-y-3 hidden">
+                    <input type="number" id="loan-amount" placeholder="月々の支払額 (円)" min="1" class="w-full p-2 rounded-lg">
                     <div>
                         <label class="block text-xs text-gray-400">終了年月</label>
-                        <input type="month" id="loan-end" required class="w-full p-2 rounded-lg">
+                        <input type="month" id="loan-end" class="w-full p-2 rounded-lg">
+                    </div>
+                </div>
+
+                <div id="loan-amortizing-area" class="space-y-3">
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-xs text-gray-400">借入額 (円)</label>
+                            <input type="number" id="loan-principal" min="1" step="100000" class="w-full p-2 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400">返済期間 (年)</label>
+                            <input type="number" id="loan-term" value="35" min="1" max="50" class="w-full p-2 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400">金利 (年%)</label>
+                            <input type="number" id="loan-rate" value="0.5" step="0.01" min="0" class="w-full p-2 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400">金利タイプ</label>
+                            <select id="loan-rate-type" class="w-full p-2 rounded-lg">
+                                <option value="fixed">固定金利</option>
+                                <option value="variable">変動金利 (金利変更を登録可)</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400">返済方式</label>
+                            <select id="loan-method" class="w-full p-2 rounded-lg">
+                                ${Object.entries(LOAN_METHODS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <label class="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" id="loan-mortgage-deduction">
+                        住宅ローン控除を受ける (年末残高の${MORTGAGE_DEDUCTION_RATE * 100}%)
+                    </label>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-xs text-gray-400">控除の借入限度額 (円)</label>
+                            <input type="number" id="loan-deduction-limit" value="${MORTGAGE_DEDUCTION_DEFAULT_LIMIT}" step="1000000" class="w-full p-2 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-xs text-gray-400">控除期間 (年)</label>
+                            <input type="number" id="loan-deduction-years" value="${MORTGAGE_DEDUCTION_DEFAULT_YEARS}" min="1" max="13" class="w-full p-2 rounded-lg">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3 items-end">
+                        <label class="flex items-center gap-2 text-sm text-gray-300">
+                            <input type="checkbox" id="loan-danshin" checked>
+                            団体信用生命保険 (死亡で完済)
+                        </label>
+                        <div>
+                            <label class="block text-xs text-gray-400">団信の被保険者</label>
+                            <select id="loan-danshin-insured" class="w-full p-2 rounded-lg">
+                                ${appData.families.map(f => `<option value="${f.id}">${f.name}</option>`).join('')}
+                            </select>
+                        </div>
                     </div>
+                    <label class="flex items-center gap-2 text-sm text-gray-300">
+                        <input type="checkbox" id="loan-danshin-disability">
+                        就業不能特約 (就業不能でも完済)
+                    </label>
+                </div>
+
+                <div>
+                    <label class="block text-xs text-gray-400">返済開始年月</label>
+                    <input type="month" id="loan-start" value="${todayYM}" required class="w-full p-2 rounded-lg">
                 </div>
                 <button type="submit" class="w-full py-2 bg-red-600 hover:bg-red-700 rounded-lg font-semibold">ローンを追加</button>
             </form>
             <ul class="mt-4 space-y-2 border-t border-gray-700 pt-4">
-                ${appData.loans && appData.loans.length > 0 ? appData.loans.map(loan => `
-                    <li class="flex justify-between items-center bg-gray-700 p-2 rounded-lg text-sm">
-                        <span>${loan.name}: ${formatCurrency(loan.monthlyAmount)}/月<br><span class="text-xs text-gray-400">${loan.startYM} 〜 ${loan.endYM}</span></span>
-                        <button onclick="deleteItem('loans', '${loan.id}')" class="text-red-400 hover:text-red-500 p-1"><i data-lucide="x" class="w-5 h-5"></i></button>
-                    </li>
-                `).join('') : '<li class="text-gray-500 text-sm">登録されたローンはありません</li>'}
+                ${appData.loans && appData.loans.length > 0 ? appData.loans.map(loan => renderLoanItem(loan, todayYM)).join('') : '<li class="text-gray-500 text-sm">登録されたローンはありません</li>'}
             </ul>
         </div>
 
         <!-- 定期的な特別出費セクション -->
         <div class="card mb-6 border-l-4 border-yellow-500">
             <h3 class="text-xl font-bold mb-3 border-b border-gray-700 pb-2">数年に一度の大型出費</h3>
-            <p class="text-sm text-gray-400 mb-3">車検、更新料、旅行など数年ごとに発生する出費を登録します。</p>
+            <p class="text-sm text-gray-400 mb-3">車検、更新料、旅行など数年ごとに発生する出費を登録します。毎年決まった月に払うものは、支払い間隔を1年にして開始年月をその月にしてください (自動車税はシミュレーション設定の「自動車税・軽自動車税」で毎年${CAR_TAX_MONTH}月に計上します)。</p>
             <form id="add-recurring-form" class="space-y-3">
                 <label for="recurring-name" class="block text-sm font-medium mb-1 text-gray-300">支出名前</label>
                 <input type="text" id="recurring-name" placeholder="例: 年払い保険" required
@@ -1455,6 +5886,75 @@ const renderRecurringTab = () => {
     return html;
 };
 
+/**
+ * ローン1件分の表示 (残高・利息・繰上げ返済と金利変更の登録欄) をレンダリングする。
+ * @param {Object} loan - ローン
+ * @param {string} todayYM - 今月 (YYYY-MM)
+ * @returns {string} HTML文字列
+ */
+const renderLoanItem = (loan, todayYM) => {
+    const deleteButton = `<button onclick="deleteItem('loans', '${loan.id}')" class="text-red-400 hover:text-red-500 p-1"><i data-lucide="x" class="w-5 h-5"></i></button>`;
+    if (loan.kind !== 'amortizing') {
+        return `
+                    <li class="flex justify-between items-center bg-gray-700 p-2 rounded-lg text-sm">
+                        <span>${loan.name}: ${formatCurrency(loan.monthlyAmount)}/月<br><span class="text-xs text-gray-400">${loan.startYM} 〜 ${loan.endYM}</span></span>
+                        ${deleteButton}
+                    </li>`;
+    }
+
+    const summary = summarizeLoan(loan);
+    const payment = getLoanPaymentForMonth(loan, todayYM < loan.startYM ? loan.startYM : todayYM);
+    const balance = todayYM < loan.startYM ? loan.principal : getLoanBalanceForMonth(loan, todayYM);
+    const events = [
+        ...(loan.rateChanges || []).map(c => `${c.ym}: 金利 ${c.rate}% に変更`),
+        ...(loan.prepayments || []).map(pp => `${pp.ym}: 繰上げ返済 ${formatCurrency(pp.amount)} (${pp.mode === 'reduce' ? '返済額軽減' : '期間短縮'})`),
+    ];
+    return `
+                    <li class="bg-gray-700 p-2 rounded-lg text-sm space-y-2">
+                        <div class="flex justify-between items-center">
+                            <span>${loan.name}: 借入 ${formatCurrency(loan.principal)} / ${loan.annualRate}% (${loan.rateType === 'variable' ? '変動' : '固定'}) / ${loan.termYears}年 / ${LOAN_METHODS[loan.method] || ''}${loan.mortgageDeduction ? ' / 住宅ローン控除' : ''}${loan.danshin ? ` / 団信 (${appData.families.find(f => f.id === loan.danshinInsuredId)?.name || '世帯主'}${loan.danshinDisability ? '・就業不能特約' : ''})` : ''}</span>
+                            ${deleteButton}
+                        </div>
+                        <p class="text-xs text-gray-400">
+                            返済額: ${formatCurrency(Math.round(payment))}/月 ・ 残高: ${formatCurrency(Math.round(balance))} ・ 完済: ${summary.endYM}<br>
+                            利息総額: ${formatCurrency(Math.round(summary.totalInterest))}${summary.interestSaved > 0 ? ` ・ <span class="text-green-300">繰上げ返済による利息軽減: ${formatCurrency(Math.round(summary.interestSaved))}</span>` : ''}
+                        </p>
+                        ${events.length > 0 ? `<ul class="text-xs text-gray-300 list-disc ml-5">${events.map(e => `<li>${e}</li>`).join('')}</ul>` : ''}
+                        <div class="grid grid-cols-4 gap-1">
+                            <input type="month" id="prepay-ym-${loan.id}" value="${todayYM}" class="col-span-2 p-1 rounded text-xs">
+                            <input type="number" id="prepay-amount-${loan.id}" placeholder="繰上げ額" min="1" step="100000" class="col-span-2 p-1 rounded text-xs">
+                            <select id="prepay-mode-${loan.id}" class="col-span-2 p-1 rounded text-xs">
+                                <option value="shorten">期間短縮型</option>
+                                <option value="reduce">返済額軽減型</option>
+                            </select>
+                            <button type="button" onclick="handleAddPrepayment('${loan.id}')" class="col-span-2 bg-red-700 hover:bg-red-600 rounded text-xs">繰上げ返済を追加</button>
+                        </div>
+                        ${loan.rateType === 'variable' ? `
+                        <div class="grid grid-cols-4 gap-1">
+                            <input type="month" id="rate-change-ym-${loan.id}" value="${todayYM}" class="col-span-2 p-1 rounded text-xs">
+                            <input type="number" id="rate-change-rate-${loan.id}" placeholder="新金利 (%)" step="0.01" min="0" class="p-1 rounded text-xs">
+                            <button type="button" onclick="handleAddRateChange('${loan.id}')" class="bg-red-700 hover:bg-red-600 rounded text-xs">金利変更</button>
+                        </div>` : ''}
+                    </li>`;
+};
+
+/**
+ * 将来イベントの時期 (発生日・繰り返し) を説明する文字列を返す。
+ * @param {Object} event - 将来イベント
+ * @returns {string} 説明
+ */
+const describeFutureEventTiming = (event) => {
+    const repeat = event.repeatYears ? `から${event.repeatYears}年ごと` : '';
+    if (event.timing === 'date') {
+        return `${event.ym}${repeat}${repeat && event.untilYM ? ` (${event.untilYM}まで)` : ''}`;
+    }
+    const family = appData.families.find(f => f.id === event.familyId);
+    if (!family) return '対象家族が見つかりません';
+    const eventYear = getYearAtAge(family, event.targetAge, event.targetMonth);
+    const until = repeat && event.untilAge != null ? ` (${event.untilAge}歳まで)` : '';
+    return `${family.name}が${event.targetAge}歳になる ${eventYear}年${event.targetMonth}月${repeat}${until}`;
+};
+
 const renderFutureEventTab = () => {
     if (appData.families.length === 0) {
         return `
@@ -1471,49 +5971,94 @@ const renderFutureEventTab = () => {
             <h3 class="text-xl font-bold mb-3 border-b border-gray-700 pb-2">将来イベント登録</h3>
             <form id="add-future-event-form" class="space-y-3">
                 <label for="event-name" class="block text-sm font-medium mb-1 text-gray-300">イベント名</label>
-                <input type="text" id="event-name" placeholder="例: 住宅購入頭金, 大学入学" required
-                    class="w-full p-2 rounded-lg">
-                
-                <label for="event-amount" class="block text-sm font-medium mb-1 text-gray-300">金額 (JPY)</label>
-                <input type="number" id="event-amount" placeholder="金額" min="1" required
+                <input type="text" id="event-name" placeholder="例: 家族旅行, 大学入学, 相続, 車の売却" required
                     class="w-full p-2 rounded-lg">
                 
-                <label for="event-family-id" class="block text-sm font-medium mb-1 text-gray-300">対象家族</label>
-                <select id="event-family-id" required
-                    class="w-full p-2 rounded-lg">
-                    <option value="">対象家族を選択</option>
-                    ${appData.families.map(fam => `<option value="${fam.id}">${fam.name} (現${fam.age}歳)</option>`).join('')}
-                </select>
                 <div class="grid grid-cols-2 gap-3">
                     <div>
-                        <label for="event-target-age" class="block text-sm font-medium mb-1 text-gray-300">目標年齢</label>
-                        <input type="number" id="event-target-age" placeholder="目標年齢" min="1" required
-                            class="w-full p-2 rounded-lg">
+                        <label for="event-kind" class="block text-sm font-medium mb-1 text-gray-300">種類</label>
+                        <select id="event-kind" class="w-full p-2 rounded-lg">
+                            <option value="expense">支出</option>
+                            <option value="income">収入 (相続・贈与・満期保険金・売却など)</option>
+                        </select>
                     </div>
                     <div>
-                        <label for="event-target-month" class="block text-sm font-medium mb-1 text-gray-300">発生月</label>
-                        <select id="event-target-month" required
+                        <label for="event-amount" class="block text-sm font-medium mb-1 text-gray-300">金額 (JPY)</label>
+                        <input type="number" id="event-amount" placeholder="金額" min="1" required
                             class="w-full p-2 rounded-lg">
-                            <option value="">発生月を選択</option>
-                            ${Array.from({ length: 12 }, (_, i) => i + 1).map(m => `<option value="${m}">${m}月</option>`).join('')}
+                    </div>
+                </div>
+
+                <label for="event-timing" class="block text-sm font-medium mb-1 text-gray-300">時期の指定</label>
+                <select id="event-timing" class="w-full p-2 rounded-lg" onchange="toggleEventTiming(this.value)">
+                    <option value="age">家族の年齢で指定</option>
+                    <option value="date">年月で指定</option>
+                </select>
+
+                <div id="event-age-area" class="space-y-3">
+                    <label for="event-family-id" class="block text-sm font-medium mb-1 text-gray-300">対象家族</label>
+                    <select id="event-family-id"
+                        class="w-full p-2 rounded-lg">
+                        <option value="">対象家族を選択</option>
+                        ${appData.families.map(fam => `<option value="${fam.id}">${fam.name} (現${fam.age}歳)</option>`).join('')}
+                    </select>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div>
+                            <label for="event-target-age" class="block text-sm font-medium mb-1 text-gray-300">目標年齢</label>
+                            <input type="number" id="event-target-age" placeholder="目標年齢" min="0"
+                                class="w-full p-2 rounded-lg">
+                        </div>
+                        <div>
+                            <label for="event-target-month" class="block text-sm font-medium mb-1 text-gray-300">発生月</label>
+                            <select id="event-target-month"
+                                class="w-full p-2 rounded-lg">
+                                <option value="">発生月を選択</option>
+                                ${Array.from({ length: 12 }, (_, i) => i + 1).map(m => `<option value="${m}">${m}月</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="event-until-age" class="block text-sm font-medium mb-1 text-gray-300">繰り返しの終了年齢</label>
+                            <input type="number" id="event-until-age" placeholder="例: 18" min="0"
+                                class="w-full p-2 rounded-lg">
+                        </div>
+                    </div>
+                </div>
+
+                <div id="event-date-area" class="grid grid-cols-2 gap-3 hidden">
+                    <div>
+                        <label for="event-ym" class="block text-sm font-medium mb-1 text-gray-300">発生年月</label>
+                        <input type="month" id="event-ym" class="w-full p-2 rounded-lg">
+                    </div>
+                    <div>
+                        <label for="event-until-ym" class="block text-sm font-medium mb-1 text-gray-300">繰り返しの終了年月</label>
+                        <input type="month" id="event-until-ym" class="w-full p-2 rounded-lg">
+                    </div>
+                </div>
+
+                <div class="grid grid-cols-2 gap-3 items-end">
+                    <div>
+                        <label for="event-repeat-years" class="block text-sm font-medium mb-1 text-gray-300">繰り返し</label>
+                        <select id="event-repeat-years" class="w-full p-2 rounded-lg">
+                            <option value="0">1回のみ</option>
+                            ${RECURRING_INTERVALS.map(y => `<option value="${y}">${y}年ごと</option>`).join('')}
                         </select>
                     </div>
+                    <label class="flex items-center text-sm text-gray-300 pb-2">
+                        <input type="checkbox" id="event-inflate" class="mr-2">
+                        インフレに合わせて金額を増やす
+                    </label>
                 </div>
                 <button type="submit" class="w-full py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold">イベントを追加</button>
             </form>
             <ul class="mt-4 space-y-2 border-t border-gray-700 pt-4">
                 <p class="text-sm text-gray-400 mb-2">${appData.futureEvents.length}件の将来イベント</p>
                 ${appData.futureEvents.map(event => {
-        const famName = appData.families.find(f => f.id === event.familyId)?.name || '不明';
-        const now = new Date();
-        const currentYear = now.getFullYear();
-        const family = appData.families.find(f => f.id === event.familyId);
-        const eventYear = family ? (currentYear - family.age) + event.targetAge : 'N/A';
+        const isIncome = event.kind === 'income';
         return `
                         <li class="flex justify-between items-center bg-gray-700 p-2 rounded-lg text-sm">
                             <span>
-                                ${event.name} (${formatCurrency(event.amount)})<br>
-                                <span class="text-gray-400">${famName}が${event.targetAge}歳になる ${eventYear}年${event.targetMonth}月</span>
+                                ${event.name} (<span class="${isIncome ? 'text-green-300' : ''}">${isIncome ? '+' : ''}${formatCurrency(event.amount)}</span>)${event.inflate ? ' <span class="text-xs text-gray-400">インフレ連動</span>' : ''}<br>
+                                <span class="text-gray-400">${describeFutureEventTiming(event)}</span>
                             </span>
                             <button onclick="deleteItem('futureEvents', '${event.id}')" class="text-red-400 hover:text-red-500 p-1">
                                 <i data-lucide="x" class="w-5 h-5"></i>
@@ -1530,6 +6075,7 @@ const renderFutureEventTab = () => {
 
 const renderSimConfigTab = () => {
     const s = appData.settings;
+    const cashReserve = s.cashReserve || { floorType: 'none' };
     let html = `
        <div class="card space-y-6">
            <h3 class="text-xl font-bold mb-3 border-b border-gray-700 pb-2">シミュレーション詳細設定</h3>
@@ -1541,14 +6087,21 @@ const renderSimConfigTab = () => {
                    <p class="text-xs text-gray-400">18歳以上の家族について、収入と退職プランを設定します。</p>
                    <div class="space-y-4" id="family-income-config-area">
                        ${appData.families.filter(f => f.age >= 18).map(f => {
-        const inc = (s.familyIncomes && s.familyIncomes[f.id]) || { monthly: 0, bonus: 0, retirementYM: '', severance: 0, pension: 0 };
+        const inc = (s.familyIncomes && s.familyIncomes[f.id]) || { monthly: 0, bonus: 0, retirementAge: 60, severance: 0 };
         return `
                            <div class="bg-gray-700 p-4 rounded-lg border border-gray-600" data-family-id="${f.id}">
                                <div class="font-bold text-lg mb-2 text-purple-300 w-full border-b border-gray-600 pb-1 mb-3">${f.name} (${f.age}歳)</div>
                                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
                                    <!-- 現役収入 -->
                                    <div>
-                                       <label class="block text-xs text-gray-400">手取り月収 (円)</label>
+                                       <label class="block text-xs text-gray-400">収入の入力方式</label>
+                                       <select class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-income-type">
+                                           <option value="net" ${inc.incomeType !== 'gross' ? 'selected' : ''}>手取り額で入力</option>
+                                           <option value="gross" ${inc.incomeType === 'gross' ? 'selected' : ''}>額面で入力 (税・社保を自動計算)</option>
+                                       </select>
+                                   </div>
+                                   <div>
+                                       <label class="block text-xs text-gray-400">月収 (円)</label>
                                        <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-income" value="${inc.monthly || 0}" step="10000">
                                    </div>
                                    <div>
@@ -1556,9 +6109,23 @@ const renderSimConfigTab = () => {
                                        <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-bonus" value="${inc.bonus || 0}" step="10000">
                                    </div>
                                    <div>
-                                       <label class="block text-xs text-gray-400">定期昇給 (月額/年)</label>
+                                       <label class="block text-xs text-gray-400">賞与の支給月 (カンマ区切り)</label>
+                                       <input type="text" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-bonus-months" value="${(inc.bonusMonths || DEFAULT_BONUS_MONTHS).join(',')}" placeholder="空欄なら毎月に均等">
+                                   </div>
+                                   <div>
+                                       <label class="block text-xs text-gray-400">昇給の方式</label>
+                                       <select class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-salary-growth-type">
+                                           ${Object.entries(SALARY_GROWTH_TYPES).map(([key, label]) => `<option value="${key}" ${(inc.salaryGrowthType || 'amount') === key ? 'selected' : ''}>${label}</option>`).join('')}
+                                       </select>
+                                   </div>
+                                   <div>
+                                       <label class="block text-xs text-gray-400">定期昇給 (月額/年) ※定額</label>
                                        <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-salary-increase" value="${inc.salaryIncrease || 0}" step="1000">
                                    </div>
+                                   <div>
+                                       <label class="block text-xs text-gray-400">昇給率 (%/年) ※定率</label>
+                                       <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-salary-growth-rate" value="${inc.salaryGrowthRate ?? 1.5}" step="0.1">
+                                   </div>
 
                                    <!-- 退職設定 -->
                                    <div class="md:col-span-2 lg:col-span-1 border-t border-gray-600 pt-2 lg:border-t-0 lg:pt-0">
@@ -1570,10 +6137,66 @@ const renderSimConfigTab = () => {
                                         <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-severance" value="${inc.severance || 0}" step="100000">
                                    </div>
                                    <div class="md:col-span-1 border-t border-gray-600 pt-2 lg:border-t-0 lg:pt-0">
-                                        <label class="block text-xs text-gray-400 text-green-300">退職後の年金 (月額)</label>
-                                        <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension" value="${inc.pension || 0}" step="10000">
+                                        <label class="block text-xs text-gray-400 text-yellow-200">退職時の勤続年数 (退職所得控除)</label>
+                                        <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-service-years" value="${inc.serviceYears || ''}" placeholder="未入力: 22歳から" min="0" max="60">
+                                   </div>
+                               </div>
+
+                               <!-- 公的年金 -->
+                               <div class="mt-3 pt-2 border-t border-gray-600">
+                                   <p class="text-xs text-green-300 mb-2">公的年金 (加入記録から見込額を推計, ねんきん定期便などの金額を手入力することもできます)</p>
+                                   <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                                       <div>
+                                           <label class="block text-xs text-gray-400">加入区分</label>
+                                           <select class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-type">
+                                               <option value="employee" ${getPensionType(inc) === 'employee' ? 'selected' : ''}>会社員・公務員 (厚生年金)</option>
+                                               <option value="national" ${getPensionType(inc) === 'national' ? 'selected' : ''}>自営業・専業主婦など (国民年金のみ)</option>
+                                               <option value="manual" ${getPensionType(inc) === 'manual' ? 'selected' : ''}>年金額を手入力</option>
+                                           </select>
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">手入力の年金額 (月額・額面, 手入力のとき)</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-manual" value="${getManualPensionMonthly(inc) || ''}" step="10000" min="0">
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">受給開始年齢 (60〜75歳, 手入力の年金は60歳前からでも可)</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-start" value="${inc.pensionStartAge || PENSION_STANDARD_START_AGE}" min="${getPensionType(inc) === 'manual' ? 0 : PENSION_MIN_START_AGE}" max="${PENSION_MAX_START_AGE}">
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">国民年金の納付年数 (見込み, 最大40)</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-kokumin" value="${inc.pensionKokuminYears ?? BASIC_PENSION_FULL_YEARS}" min="0" max="${BASIC_PENSION_FULL_YEARS}">
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">これまでの厚生年金加入年数</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-past-years" value="${inc.pensionPastKouseiYears || 0}" min="0" max="60">
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">加入期間中の平均年収 (額面・賞与込)</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-pension-past-salary" value="${inc.pensionPastAvgSalary || 0}" step="100000">
+                                       </div>
+                                       <div>
+                                           <label class="block text-xs text-gray-400">想定寿命 (遺族年金の試算用)</label>
+                                           <input type="number" class="w-full p-2 rounded bg-gray-800 border border-gray-600 mt-1 f-death-age" value="${inc.deathAge || ''}" placeholder="未入力: 期間中は存命" min="1" max="120">
+                                       </div>
                                    </div>
+                                   ${(() => {
+            const est = estimatePublicPension(inc, f.age);
+            const adjPercent = Math.round((est.adjustmentRate - 1) * 1000) / 10;
+            if (getPensionType(inc) === 'manual') {
+                return `
+                                   <p class="text-xs text-gray-300 mt-2">
+                                       手入力の年金額 (現在価値): <span class="font-bold text-green-300">月額 ${formatCurrency(Math.round(est.annual / 12))}</span> (受給開始年齢から受け取ります)
+                                   </p>`;
+            }
+            return `
+                                   <p class="text-xs text-gray-300 mt-2">
+                                       見込額 (現在価値): <span class="font-bold text-green-300">月額 ${formatCurrency(Math.round(est.annual / 12))}</span>
+                                       (基礎 ${formatCurrency(Math.round(est.basic))} + 厚生 ${formatCurrency(Math.round(est.kousei))} /年, 繰上げ・繰下げ ${adjPercent >= 0 ? '+' : ''}${adjPercent}%)
+                                   </p>`;
+        })()}
                                </div>
+                               ${renderIncomePhases(f.id, inc.phases || [])}
+                               ${renderTaxBreakdown(getCurrentTaxBreakdown(f.id))}
                            </div>
                            `;
     }).join('')}
@@ -1586,9 +6209,9 @@ const renderSimConfigTab = () => {
                    <h4 class="font-bold text-gray-200 border-l-4 border-blue-500 pl-2">2. 期間・経済設定</h4>
                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
                        <div class="md:col-span-2">
-                           <label class="block text-sm font-medium text-gray-300">現在の月間生活費 (基本支出)</label>
+                           <label class="block text-sm font-medium text-gray-300">現在の月間生活費 (基本支出${s.housing && s.housing.choice !== 'none' ? '・家賃を除く' : ''})</label>
                            <input type="number" id="conf-living" value="${s.currentLivingCost || 250000}" step="10000" class="w-full p-2 rounded-lg mt-1">
-                           <p class="text-xs text-gray-400 mt-1">※住宅ローン、教育費、大型出費を<b>除いた</b>、日々の生活費を入力してください。</p>
+                           <p class="text-xs text-gray-400 mt-1">※住宅ローン、教育費、大型出費を<b>除いた</b>、日々の生活費を入力してください。下の「住まい」で賃貸か購入を選んだ場合は、家賃・管理費などの住居費も<b>除いて</b>ください (住まいの設定で別に計算します)。</p>
                        </div>
                        <div>
                            <label class="block text-sm font-medium text-gray-300">予測期間 (年)</label>
@@ -1598,6 +6221,16 @@ const renderSimConfigTab = () => {
                            <label class="block text-sm font-medium text-gray-300">想定インフレ率 (年%)</label>
                            <input type="number" id="conf-inflation" value="${s.inflationRate}" step="0.1" class="w-full p-2 rounded-lg mt-1">
                        </div>
+                       ${Object.entries(INFLATION_CATEGORIES).map(([key, label]) => `
+                       <div>
+                           <label class="block text-sm font-medium text-gray-300">${label}の上昇率 (年%)</label>
+                           <input type="number" id="conf-inflation-${key}" value="${s[`${key}InflationRate`] ?? ''}" step="0.1" placeholder="空欄ならインフレ率と同じ" class="w-full p-2 rounded-lg mt-1">
+                       </div>`).join('')}
+                       <div>
+                           <label class="block text-sm font-medium text-gray-300">年金のスライド調整率 (年%)</label>
+                           <input type="number" id="conf-pension-slide" value="${s.pensionSlideRate ?? 0.4}" step="0.1" min="0" class="w-full p-2 rounded-lg mt-1">
+                           <p class="text-xs text-gray-400 mt-1">※マクロ経済スライド。年金の伸びはインフレ率からこの分を差し引きます (名目額は下げません)。</p>
+                       </div>
 
                    </div>
                </div>
@@ -1617,6 +6250,102 @@ const renderSimConfigTab = () => {
                            <label class="block text-sm font-medium text-gray-300">想定利回り (年%)</label>
                            <input type="number" id="conf-invest-yield" value="${s.investmentYield}" step="0.1" class="w-full p-2 rounded-lg mt-1">
                        </div>
+                       <div>
+                           <label class="block text-sm font-medium text-gray-300">うち iDeCo 掛金 (月額)</label>
+                           <input type="number" id="conf-ideco-monthly" value="${s.idecoMonthly || 0}" step="1000" min="0" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                       <div>
+                           <label class="block text-sm font-medium text-gray-300">取り崩しの順序</label>
+                           <select id="conf-withdrawal-order" class="w-full p-2 rounded-lg mt-1">
+                               ${Object.entries(WITHDRAWAL_ORDERS).map(([value, label]) => `<option value="${value}" ${s.withdrawalOrder === value ? 'selected' : ''}>${label}</option>`).join('')}
+                           </select>
+                       </div>
+                   </div>
+                   <div class="bg-gray-700 p-3 rounded-lg border border-gray-600 space-y-3">
+                       <div class="grid grid-cols-2 gap-3">
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">生活防衛資金 (現預金の下限)</label>
+                               <select id="conf-cash-floor-type" class="w-full p-2 rounded-lg mt-1">
+                                   ${Object.entries(CASH_FLOOR_TYPES).map(([value, label]) => `<option value="${value}" ${(cashReserve.floorType || 'none') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                               </select>
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">支出の月数 / 金額 (円)</label>
+                               <div class="flex gap-2 mt-1">
+                                   <input type="number" id="conf-cash-floor-months" value="${cashReserve.floorMonths ?? 6}" min="0" step="1" class="w-1/3 p-2 rounded-lg">
+                                   <input type="number" id="conf-cash-floor-amount" value="${cashReserve.floorAmount ?? 3000000}" min="0" step="100000" class="w-2/3 p-2 rounded-lg">
+                               </div>
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">現預金の上限 (円)</label>
+                               <input type="number" id="conf-cash-ceiling" value="${cashReserve.ceiling || ''}" min="0" step="100000" placeholder="上限なし" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                       </div>
+                       <p class="text-xs text-gray-400">※積立後の現預金が生活防衛資金 (直近12か月の平均支出の月数分、または指定額。将来イベントや住宅購入の頭金などの一時的な支出は平均に含めません) を下回る分は積み立てず、下回っている間は積立を止めて先に現預金を貯めます。現預金が上限を超えた分は、毎月追加で投資に回します。</p>
+                   </div>
+                   <div class="bg-gray-700 p-3 rounded-lg border border-gray-600 space-y-3">
+                       <div class="grid grid-cols-2 gap-3">
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">老後の取り崩し戦略</label>
+                               <select id="conf-withdrawal-strategy" class="w-full p-2 rounded-lg mt-1">
+                                   ${Object.entries(WITHDRAWAL_STRATEGIES).map(([value, label]) => `<option value="${value}" ${(s.withdrawalStrategy || 'deficit') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                               </select>
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">取り崩し開始年齢 (世帯主)</label>
+                               <input type="number" id="conf-withdrawal-start-age" value="${s.withdrawalStartAge || ''}" placeholder="退職年齢" min="40" max="100" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">取り崩し率 (年%・定率/ガードレール)</label>
+                               <input type="number" id="conf-withdrawal-rate" value="${s.withdrawalRate ?? 4}" step="0.1" min="0" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">年間取り崩し額 (定額・現在価値)</label>
+                               <input type="number" id="conf-withdrawal-amount" value="${s.withdrawalAmount ?? 2400000}" step="100000" min="0" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">現金で確保する年数 (バケット)</label>
+                               <input type="number" id="conf-bucket-years" value="${s.bucketYears ?? 3}" step="0.5" min="0" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="block text-sm font-medium text-gray-300">ガードレール許容幅 / 支出調整 (%)</label>
+                               <div class="flex gap-2 mt-1">
+                                   <input type="number" id="conf-guardrail-band" value="${s.guardrailBand ?? 20}" min="0" max="100" class="w-1/2 p-2 rounded-lg">
+                                   <input type="number" id="conf-guardrail-adjustment" value="${s.guardrailAdjustment ?? 10}" min="0" max="100" class="w-1/2 p-2 rounded-lg">
+                               </div>
+                           </div>
+                       </div>
+                       <p class="text-xs text-gray-400">※取り崩し中は積立を停止します。計画した取り崩しで現金が足りない月は、不足分を追加で取り崩します。ガードレールでは取り崩し率が当初から許容幅を超えて上下したとき、取り崩し額と生活費を調整率だけ増減します。</p>
+                   </div>
+
+                   <p class="text-xs text-gray-400">※積立額は iDeCo → NISA (年360万円・生涯1,800万円) → 課税口座 の順に振り分けます。iDeCo は${IDECO_UNLOCK_AGE}歳まで引き出せず、課税口座の売却益には${(CAPITAL_GAINS_TAX_RATE * 100).toFixed(3)}%課税されます。</p>
+
+                   <div class="bg-gray-700 p-3 rounded-lg border border-gray-600 space-y-3">
+                       <label class="flex items-center gap-2 text-sm font-medium text-gray-300">
+                           <input type="checkbox" id="conf-mc-enabled" ${s.monteCarloEnabled ? 'checked' : ''}>
+                           モンテカルロ・シミュレーション (リターンの変動を考慮)
+                       </label>
+                       <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                           <div>
+                               <label class="block text-xs text-gray-400">試行回数</label>
+                               <input type="number" id="conf-mc-trials" value="${getMonteCarloTrials(s)}" min="${MIN_MONTE_CARLO_TRIALS}" max="${MAX_MONTE_CARLO_TRIALS}" step="100" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="block text-xs text-gray-400">リターンの変動率 (年率標準偏差%)</label>
+                               <input type="number" id="conf-mc-volatility" value="${s.investmentVolatility ?? 15}" step="0.5" min="0" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                           <div>
+                               <label class="flex items-center gap-2 text-xs text-gray-400 mt-1">
+                                   <input type="checkbox" id="conf-mc-random-inflation" ${s.monteCarloRandomInflation ? 'checked' : ''}>
+                                   インフレ率もランダムに変動させる
+                               </label>
+                           </div>
+                           <div>
+                               <label class="block text-xs text-gray-400">インフレ率の変動幅 (年率標準偏差%)</label>
+                               <input type="number" id="conf-mc-inflation-volatility" value="${s.inflationVolatility ?? 1}" step="0.1" min="0" class="w-full p-2 rounded-lg mt-1">
+                           </div>
+                       </div>
+                       <p class="text-xs text-gray-400">※平均リターンは上記の想定利回りを使用します。ダッシュボードに10〜90%の予測帯と破産確率を表示します。</p>
                    </div>
                </div>
 
@@ -1624,19 +6353,17 @@ const renderSimConfigTab = () => {
                <div class="space-y-3">
                    <h4 class="font-bold text-gray-200 border-l-4 border-orange-500 pl-2">4. ライフプラン補正</h4>
                    
+                   ${renderEducationPlans(s)}
+
                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-                       <div>
-                           <label class="block text-sm font-medium text-gray-300">教育費プラン</label>
-                           <select id="conf-edu-mode" class="w-full p-2 rounded-lg mt-1">
-                               <option value="public" ${s.educationMode === 'public' ? 'selected' : ''}>オール公立 (標準)</option>
-                               <option value="public_private_univ" ${s.educationMode === 'public_private_univ' ? 'selected' : ''}>高校まで公立・大学私立</option>
-                               <option value="private" ${s.educationMode === 'private' ? 'selected' : ''}>オール私立 (高コスト)</option>
-                           </select>
-                       </div>
                        <div>
                            <label class="block text-sm font-medium text-gray-300">免許返納年齢 (車両費停止)</label>
                            <input type="number" id="conf-license-age" value="${s.licenseReturnAge}" class="w-full p-2 rounded-lg mt-1">
                        </div>
+                       <div>
+                           <label class="block text-sm font-medium text-gray-300">自動車税・軽自動車税 (円/年, 毎年${CAR_TAX_MONTH}月に支払い)</label>
+                           <input type="number" id="conf-car-tax" value="${s.carTaxAnnual || 0}" step="500" min="0" class="w-full p-2 rounded-lg mt-1">
+                       </div>
                    </div>
 
                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -1684,6 +6411,15 @@ const renderSimConfigTab = () => {
                    </div>
                </div>
 
+               <!-- 6. 万一の備え -->
+               ${renderRiskSettings(s)}
+
+               <!-- 7. 住まい -->
+               ${renderHousingSettings(s)}
+
+               <!-- 8. 医療・介護 -->
+               ${renderHealthcareSettings(s)}
+
                <button type="submit" class="w-full py-3 bg-blue-600 hover:bg-blue-700 rounded-lg font-bold transition duration-150">設定を保存して再計算</button>
            </form>
        </div>
@@ -1692,6 +6428,277 @@ const renderSimConfigTab = () => {
     return html;
 };
 
+/**
+ * 介護度の選択肢をレンダリングする。
+ * @param {string} selected - 選択中の介護度
+ * @returns {string} HTML文字列 (option 要素)
+ */
+const renderCareLevelOptions = (selected) => Object.entries(LONG_TERM_CARE_LEVELS)
+    .map(([key, level]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${level.label}</option>`).join('');
+
+/**
+ * 医療・介護 (大人ごとの医療費・介護、離れて暮らす親の支援) の設定をレンダリングする。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderHealthcareSettings = (s) => {
+    const hc = s.healthcare || { enabled: false, members: {} };
+    const adults = appData.families.filter(f => f.age >= MEDICAL_ADULT_AGE || (s.familyIncomes || {})[f.id]);
+    const parents = appData.parents || [];
+    return `
+               <div class="space-y-3">
+                   <h4 class="font-bold text-gray-200 border-l-4 border-pink-400 pl-2">8. 医療・介護</h4>
+                   <label class="flex items-center text-sm text-gray-300">
+                       <input type="checkbox" id="conf-healthcare-enabled" ${hc.enabled ? 'checked' : ''} class="mr-2">
+                       年齢による医療費・介護費を見込む
+                   </label>
+                   <p class="text-xs text-gray-400">医療費は年齢階級別の平均と自己負担割合 (70歳から2割・75歳から1割) から、高額療養費の上限 (月${formatCurrency(HIGH_COST_MEDICAL_CAP.under70)}、70歳以上${formatCurrency(HIGH_COST_MEDICAL_CAP.over70)}) までで計算します。現在の医療費は生活費に含まれているものとして差し引きます。</p>
+                   <div class="space-y-2">
+                       ${adults.map(f => {
+                           const profile = getHealthcareProfile(hc, f.id);
+                           return `
+                       <div class="grid grid-cols-2 md:grid-cols-5 gap-2 items-end bg-gray-700 p-2 rounded" data-hc-member-id="${f.id}">
+                           <p class="text-sm font-bold text-pink-300 col-span-2 md:col-span-1">${f.name}</p>
+                           <div>
+                               <label class="block text-xs text-gray-400">医療費の水準 (%)</label>
+                               <input type="number" value="${profile.medicalLevel}" min="0" step="10" class="w-full p-1 rounded hc-medical-level">
+                           </div>
+                           <div>
+                               <label class="block text-xs text-gray-400">介護の開始年齢 (空欄でなし)</label>
+                               <input type="number" value="${profile.careStartAge ?? ''}" min="40" class="w-full p-1 rounded hc-care-start">
+                           </div>
+                           <div>
+                               <label class="block text-xs text-gray-400">介護度</label>
+                               <select class="w-full p-1 rounded hc-care-level" onchange="applyCareLevelCost(this)">${renderCareLevelOptions(profile.careLevel)}</select>
+                           </div>
+                           <div>
+                               <label class="block text-xs text-gray-400">介護費 (円/月)</label>
+                               <input type="number" value="${profile.careMonthly}" min="0" step="5000" class="w-full p-1 rounded hc-care-monthly">
+                           </div>
+                       </div>`;
+                       }).join('')}
+                   </div>
+
+                   <div class="space-y-2">
+                       <p class="text-sm font-medium text-gray-300">離れて暮らす親の支援 <span class="text-xs text-gray-400">(上のチェックに関係なく反映します)</span></p>
+                       ${parents.length > 0 ? parents.map(p => `
+                           <div class="flex justify-between items-center bg-gray-700 p-2 rounded border border-gray-600 text-sm">
+                               <span>
+                                   <span class="font-bold text-pink-300">${p.name} (${p.age}歳)</span>
+                                   <span class="text-xs text-gray-400 ml-2">仕送り ${formatCurrency(p.monthlySupport)}/月${p.careStartAge ? ` / ${p.careStartAge}歳から${LONG_TERM_CARE_LEVELS[p.careLevel]?.label || '介護'} ${formatCurrency(p.careMonthly)}/月の${p.shareRate}%を負担` : ''} / ${p.endAge}歳まで</span>
+                               </span>
+                               <button type="button" onclick="deleteItem('parents', '${p.id}')" class="text-red-400 hover:text-red-500"><i data-lucide="x" class="w-4 h-4"></i></button>
+                           </div>
+                       `).join('') : '<p class="text-xs text-gray-500">登録された親はいません</p>'}
+                       <div class="grid grid-cols-2 md:grid-cols-4 gap-2 items-end" data-parent-form>
+                           <input type="text" id="parent-name" placeholder="名前 (例: 母)" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="parent-age" placeholder="現在の年齢" min="40" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="parent-support" placeholder="仕送り (円/月)" min="0" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="parent-end-age" placeholder="想定寿命" value="90" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="parent-care-start" placeholder="介護の開始年齢" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <select id="parent-care-level" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm" onchange="applyCareLevelCost(this)">${renderCareLevelOptions('care2')}</select>
+                           <input type="number" id="parent-care-monthly" value="${LONG_TERM_CARE_LEVELS.care2.monthly}" placeholder="介護費 (円/月)" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm hc-care-monthly">
+                           <input type="number" id="parent-share" placeholder="介護費の負担割合 (%)" value="50" min="0" max="100" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <button type="button" onclick="handleAddParent()" class="bg-pink-600 hover:bg-pink-700 text-white p-2 rounded-lg font-bold text-sm col-span-2 md:col-span-4">親を追加</button>
+                       </div>
+                   </div>
+               </div>
+    `;
+};
+
+/**
+ * 住まい (賃貸と購入の比較) の設定をレンダリングする。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderHousingSettings = (s) => {
+    const h = s.housing || {};
+    const rent = h.rent || {};
+    const buy = h.buy || {};
+    const downsize = h.downsize || {};
+    const field = (id, label, value, attrs = '') => `
+                       <div>
+                           <label class="block text-xs text-gray-400">${label}</label>
+                           <input type="number" id="${id}" value="${value ?? ''}" ${attrs} class="w-full p-2 rounded-lg mt-1">
+                       </div>`;
+    return `
+               <div class="space-y-3">
+                   <h4 class="font-bold text-gray-200 border-l-4 border-teal-500 pl-2">7. 住まい (賃貸と購入の比較)</h4>
+                   <p class="text-xs text-gray-400">賃貸と購入の両方を計算し、ダッシュボードで純資産を比較します。購入の住宅ローンは自動で追加されるため、ローン設定に同じローンを登録しないでください。予測に使う住まいを選ぶと家賃・住居費はここで計算するため、現在の月間生活費には含めないでください。</p>
+                   <div>
+                       <label class="block text-sm font-medium text-gray-300">予測に使う住まい</label>
+                       <select id="conf-housing-choice" class="w-full p-2 rounded-lg mt-1">
+                           ${Object.entries(HOUSING_CHOICES).map(([key, label]) => `<option value="${key}" ${(h.choice || 'none') === key ? 'selected' : ''}>${label}</option>`).join('')}
+                       </select>
+                   </div>
+                   <p class="text-sm font-medium text-gray-300">賃貸</p>
+                   <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                       ${field('conf-rent-monthly', '家賃 (円/月)', rent.monthlyRent, 'step="1000" min="0"')}
+                       ${field('conf-rent-increase', '家賃の上昇率 (年%)', rent.increaseRate, 'step="0.1"')}
+                       ${field('conf-rent-renewal-years', '更新の間隔 (年)', rent.renewalYears, 'min="1"')}
+                       ${field('conf-rent-renewal-months', '更新料 (家賃の何か月分)', rent.renewalMonths, 'step="0.5" min="0"')}
+                   </div>
+                   <p class="text-sm font-medium text-gray-300">購入 (購入までは賃貸の家賃を払います)</p>
+                   <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                       <div>
+                           <label class="block text-xs text-gray-400">購入年月</label>
+                           <input type="month" id="conf-buy-ym" value="${buy.purchaseYM || ''}" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                       ${field('conf-buy-price', '物件価格 (円)', buy.price, 'step="1000000" min="0"')}
+                       ${field('conf-buy-down', '頭金 (円)', buy.downPayment, 'step="100000" min="0"')}
+                       ${field('conf-buy-closing', '諸費用 (物件価格の%)', buy.closingCostRate, 'step="0.5" min="0"')}
+                       ${field('conf-buy-rate', 'ローン金利 (年%)', buy.loanRate, 'step="0.01" min="0"')}
+                       ${field('conf-buy-term', 'ローン期間 (年)', buy.loanTermYears, 'min="1" max="50"')}
+                       <div>
+                           <label class="block text-xs text-gray-400">返済方式</label>
+                           <select id="conf-buy-method" class="w-full p-2 rounded-lg mt-1">
+                               ${Object.entries(LOAN_METHODS).map(([value, label]) => `<option value="${value}" ${buy.loanMethod === value ? 'selected' : ''}>${label}</option>`).join('')}
+                           </select>
+                       </div>
+                       ${field('conf-buy-value-change', '評価額の変化率 (年%)', buy.valueChangeRate, 'step="0.1"')}
+                       ${field('conf-buy-property-tax', '固定資産税・都市計画税 (円/年)', buy.propertyTaxAnnual, 'step="10000" min="0"')}
+                       <div>
+                           <label class="block text-xs text-gray-400">固定資産税の納期 (月, カンマ区切り)</label>
+                           <input type="text" id="conf-buy-property-tax-months" value="${(buy.propertyTaxMonths || PROPERTY_TAX_MONTHS).join(',')}" placeholder="空欄なら毎月に均等" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                       ${field('conf-buy-maintenance', '管理費 (円/月)', buy.maintenanceMonthly, 'step="1000" min="0"')}
+                       ${field('conf-buy-repair', '修繕積立金 (円/月)', buy.repairReserveMonthly, 'step="1000" min="0"')}
+                       ${field('conf-buy-repair-increase', '修繕積立金の上昇率 (年%)', buy.repairReserveIncreaseRate, 'step="0.1"')}
+                   </div>
+                   <div class="flex flex-wrap gap-4 text-sm text-gray-300">
+                       <label class="flex items-center"><input type="checkbox" id="conf-buy-deduction" ${buy.mortgageDeduction ? 'checked' : ''} class="mr-2">住宅ローン控除を受ける</label>
+                       <label class="flex items-center"><input type="checkbox" id="conf-buy-danshin" ${buy.danshin !== false ? 'checked' : ''} class="mr-2">団体信用生命保険 (世帯主)</label>
+                   </div>
+                   <p class="text-sm font-medium text-gray-300">住み替え・売却 (任意)</p>
+                   <div class="grid grid-cols-2 md:grid-cols-3 gap-4">
+                       <div>
+                           <label class="block text-xs text-gray-400">住み替え年月 (持ち家は売却)</label>
+                           <input type="month" id="conf-downsize-ym" value="${downsize.ym || ''}" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                       ${field('conf-downsize-rent', '住み替え後の家賃 (円/月)', downsize.rent, 'step="1000" min="0"')}
+                       ${field('conf-sale-cost', '売却時の手数料など (%)', h.saleCostRate, 'step="0.5" min="0"')}
+                   </div>
+               </div>
+    `;
+};
+
+/**
+ * 万一の備え (死亡・就業不能のストレスシナリオと保険) の設定をレンダリングする。
+ * @param {Object} s - シミュレーション設定
+ * @returns {string} HTML文字列
+ */
+const renderRiskSettings = (s) => {
+    const risk = s.riskScenario || {};
+    const familyOptions = (selectedId) => appData.families.map(f => `<option value="${f.id}" ${f.id === selectedId ? 'selected' : ''}>${f.name}</option>`).join('');
+    const policies = appData.insurancePolicies || [];
+    return `
+               <div class="space-y-3">
+                   <h4 class="font-bold text-gray-200 border-l-4 border-red-500 pl-2">6. 万一の備え</h4>
+                   <p class="text-xs text-gray-400">家族の死亡・就業不能が起きた場合の資産推移をダッシュボードで比較します。遺族年金・障害年金、団体信用生命保険 (ローン設定) と下記の保険を反映します。</p>
+                   <label class="flex items-center text-sm text-gray-300">
+                       <input type="checkbox" id="conf-risk-enabled" ${risk.enabled ? 'checked' : ''} class="mr-2">
+                       ストレスシナリオを表示する
+                   </label>
+                   <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                       <div>
+                           <label class="block text-xs text-gray-400">対象の家族</label>
+                           <select id="conf-risk-member" class="w-full p-2 rounded-lg mt-1">${familyOptions(risk.memberId || appData.families[0]?.id)}</select>
+                       </div>
+                       <div>
+                           <label class="block text-xs text-gray-400">起きること</label>
+                           <select id="conf-risk-type" class="w-full p-2 rounded-lg mt-1">
+                               ${Object.entries(RISK_EVENT_TYPES).map(([key, label]) => `<option value="${key}" ${risk.type === key ? 'selected' : ''}>${label}</option>`).join('')}
+                           </select>
+                       </div>
+                       <div>
+                           <label class="block text-xs text-gray-400">発生年月 (空欄なら来月)</label>
+                           <input type="month" id="conf-risk-ym" value="${risk.ym || ''}" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                       <div>
+                           <label class="block text-xs text-gray-400">以後の生活費の増減 (%)</label>
+                           <input type="number" id="conf-risk-living" value="${risk.livingCostChange ?? -30}" min="-100" class="w-full p-2 rounded-lg mt-1">
+                       </div>
+                   </div>
+
+                   <div class="space-y-2">
+                       <p class="text-sm font-medium text-gray-300">加入中の保険</p>
+                       ${policies.length > 0 ? policies.map(p => `
+                           <div class="flex justify-between items-center bg-gray-700 p-2 rounded border border-gray-600 text-sm">
+                               <span>
+                                   <span class="font-bold text-red-300">${p.name}</span>
+                                   <span class="text-xs text-gray-400 ml-2">${INSURANCE_TYPES[p.type]} / 被保険者: ${appData.families.find(f => f.id === p.insuredId)?.name || '不明'} / ${p.type === 'income' ? `月額 ${formatCurrency(p.monthlyBenefit)}` : formatCurrency(p.amount)} / 保険料 ${formatCurrency(p.premiumMonthly)}/月 / ${p.endAge}歳まで</span>
+                               </span>
+                               <button type="button" onclick="deleteItem('insurancePolicies', '${p.id}')" class="text-red-400 hover:text-red-500"><i data-lucide="x" class="w-4 h-4"></i></button>
+                           </div>
+                       `).join('') : '<p class="text-xs text-gray-500">登録された保険はありません</p>'}
+                       <div class="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+                           <input type="text" id="insurance-name" placeholder="保険名" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <select id="insurance-insured" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">${familyOptions(appData.families[0]?.id)}</select>
+                           <select id="insurance-type" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                               ${Object.entries(INSURANCE_TYPES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                           </select>
+                           <input type="number" id="insurance-amount" placeholder="保険金 (円、収入保障は月額)" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="insurance-premium" placeholder="保険料 (円/月)" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <input type="number" id="insurance-end-age" placeholder="保障終了年齢" value="65" class="p-2 rounded-lg bg-gray-800 border border-gray-600 text-sm">
+                           <button type="button" onclick="handleAddInsurance()" class="bg-red-600 hover:bg-red-700 text-white p-2 rounded-lg font-bold text-sm">保険を追加</button>
+                       </div>
+                   </div>
+               </div>
+    `;
+};
+
+/**
+ * 税・社会保険料の内訳をレンダリングする。
+ * @param {Object | null} breakdown - calculateTaxBreakdown の結果
+ * @returns {string} HTML文字列
+ */
+const renderTaxBreakdown = (breakdown) => {
+    if (!breakdown) return '';
+    const si = breakdown.socialInsurance;
+    const rows = [
+        ['額面年収', breakdown.gross],
+        ['所得税 (復興税込)', -breakdown.incomeTax],
+        ['住民税 (翌年度課税)', -breakdown.residentTax],
+        ['健康保険', -si.health],
+        ['介護保険', -si.care],
+        ['厚生年金', -si.pension],
+        ['雇用保険', -si.employment],
+    ];
+    return `
+        <div class="mt-3 pt-2 border-t border-gray-600 text-xs">
+            <p class="text-gray-400 mb-1">現在の税・社会保険料の内訳 (年額, 保存済みの設定で計算)</p>
+            <div class="grid grid-cols-2 gap-x-4 gap-y-1">
+                ${rows.map(([label, val]) => `
+                    <span class="text-gray-400">${label}</span>
+                    <span class="text-right ${val < 0 ? 'text-red-300' : ''}">${formatCurrency(Math.round(val))}</span>
+                `).join('')}
+                <span class="font-bold text-green-300">手取り年収 (月平均)</span>
+                <span class="text-right font-bold text-green-300">${formatCurrency(Math.round(breakdown.net))} (${formatCurrency(Math.round(breakdown.net / 12))})</span>
+            </div>
+        </div>
+    `;
+};
+
+// ヘルパー関数: 家族の登録区分 (現在 / 出生予定 / 将来同居) に応じた入力欄の表示切り替え
+window.toggleFamilyKind = (value) => {
+    document.getElementById('family-birth-area')?.classList.toggle('hidden', value !== 'planned_birth');
+    document.getElementById('family-age-area')?.classList.toggle('hidden', value === 'planned_birth');
+    document.getElementById('family-join-area')?.classList.toggle('hidden', value !== 'joining');
+    document.getElementById('family-relation-area')?.classList.toggle('hidden', value === 'planned_birth');
+};
+
+// ヘルパー関数: 将来イベントの時期 (家族の年齢 / 年月) の入力欄の表示切り替え
+window.toggleEventTiming = (value) => {
+    document.getElementById('event-age-area')?.classList.toggle('hidden', value !== 'age');
+    document.getElementById('event-date-area')?.classList.toggle('hidden', value !== 'date');
+};
+
+// ヘルパー関数: ローンの入力欄 (月額固定 / 借入額・金利) の表示切り替え
+window.toggleLoanKind = (value) => {
+    document.getElementById('loan-fixed-area')?.classList.toggle('hidden', value !== 'fixed');
+    document.getElementById('loan-amortizing-area')?.classList.toggle('hidden', value === 'fixed');
+};
+
 // ヘルパー関数: 仕送り入力欄の表示切り替え
 window.toggleUnivAllowance = (value) => {
     const area = document.getElementById('univ-allowance-area');
@@ -1726,7 +6733,7 @@ const renderBalanceInput = (container) => {
 
         return `
             <div class="mb-3">
-                <label for="balance-${acc.id}" class="block text-sm font-medium mb-1">${acc.name} の残高 (JPY)</label>
+                <label for="balance-${acc.id}" class="block text-sm font-medium mb-1">${acc.name} の${getAccountType(acc) === 'liability' ? '残債' : '残高'} (JPY)<span class="text-xs text-gray-400 ml-2">${ACCOUNT_TYPES[getAccountType(acc)]}</span></label>
                 <input type="number" id="balance-${acc.id}" data-id="${acc.id}" placeholder="金額を入力" value="${initialValue}" required
                     class="w-full p-2 rounded-lg balance-input">
             </div>
@@ -1848,7 +6855,7 @@ const updateBalanceTotal = (initialTotal = null) => {
 
         const accountId = input.dataset.id;
         accountBalances[accountId] = amount;
-        total += amount;
+        total += getSignedBalance(accountId, amount);
     });
     // } // initialTotal のブロックは削除
 
@@ -1914,29 +6921,184 @@ const renderDataManagementTab = (container) => {
 const handleAddAccount = (e) => {
     e.preventDefault();
     const name = document.getElementById('account-name').value.trim();
+    const type = document.getElementById('account-type').value;
     if (name) {
-        appData.accounts.push({ id: generateId(), name });
+        appData.accounts.push({ id: generateId(), name, type });
         saveData();
         setSettingsTab('family-account');
         showMessage("登録完了", `${name} 口座が追加されました。`);
     }
 };
 
+/**
+ * 口座の種類を変更する。過去の残高は記録したときの種類のまま扱い、変更は以降に記録する残高から反映する。
+ * @param {string} accountId - 口座ID
+ * @param {string} type - ACCOUNT_TYPES のキー
+ */
+const handleAccountTypeChange = (accountId, type) => {
+    const account = appData.accounts.find(acc => acc.id === accountId);
+    if (!account || !ACCOUNT_TYPES[type]) return;
+    // 種類を記録していない古い残高には、変更前の種類を残しておく
+    const previousType = getAccountType(account);
+    appData.monthlyBalances.forEach(item => {
+        if (item.accounts[accountId] === undefined || (item.types && item.types[accountId])) return;
+        item.types = { ...item.types, [accountId]: previousType };
+    });
+    account.type = type;
+    saveData();
+    setSettingsTab('family-account');
+};
+
+/**
+ * 配偶者は1人だけにする (指定した家族以外で続柄が配偶者の家族は「その他」に戻す)。
+ * @param {string} spouseId - 配偶者にする家族ID
+ */
+const keepSingleSpouse = (spouseId) => {
+    appData.families.forEach((fam, idx) => {
+        if (idx > 0 && fam.id !== spouseId && fam.relation === 'spouse') fam.relation = 'other';
+    });
+};
+
+/**
+ * 家族の続柄を変更する。
+ * @param {string} familyId - 家族ID
+ * @param {string} relation - FAMILY_RELATIONS のキー
+ */
+const handleFamilyRelationChange = (familyId, relation) => {
+    const fam = appData.families.find(f => f.id === familyId);
+    if (!fam || !FAMILY_RELATIONS[relation]) return;
+    fam.relation = relation;
+    if (relation === 'spouse') keepSingleSpouse(familyId);
+    saveData();
+    setSettingsTab('family-account');
+};
+
 /**
  * 家族情報を登録する。
  */
 const handleAddFamily = (e) => {
     e.preventDefault();
     const name = document.getElementById('family-name').value.trim();
-    const age = parseInt(document.getElementById('family-age').value);
-    const birthMonth = parseInt(document.getElementById('family-birth-month').value);
+    const kind = document.getElementById('family-kind').value;
+    const monthlyCost = parseInt(document.getElementById('family-monthly-cost').value) || 0;
+    const extra = monthlyCost > 0 ? { monthlyCost } : {};
+
+    if (kind === 'planned_birth') {
+        // 出生予定: 生年月を直接持ち、出生月から世帯に加わる
+        const birthYM = document.getElementById('family-birth-ym').value;
+        if (!name || !birthYM) {
+            showMessage("エラー", "氏名と出生予定の年月を入力してください。");
+            return;
+        }
+        const [birthYear, birthMonth] = birthYM.split('-').map(Number);
+        const now = new Date();
+        const age = getAgeAt({ year: birthYear, month: birthMonth }, now.getFullYear(), now.getMonth() + 1);
+        appData.families.push({ id: generateId(), name, age, birthMonth, birthYear, joinYM: birthYM, relation: 'child', ...extra });
+    } else {
+        const age = parseInt(document.getElementById('family-age').value);
+        const birthMonth = parseInt(document.getElementById('family-birth-month').value);
+        const joinYM = kind === 'joining' ? document.getElementById('family-join-ym').value : '';
+        if (!name || isNaN(age) || isNaN(birthMonth) || (kind === 'joining' && !joinYM)) {
+            showMessage("エラー", kind === 'joining' ? "氏名・年齢・誕生日月・同居開始の年月を入力してください。" : "氏名・年齢・誕生日月を入力してください。");
+            return;
+        }
+        const relation = document.getElementById('family-relation').value;
+        appData.families.push({ id: generateId(), name, age, birthMonth, relation, ...(joinYM ? { joinYM } : {}), ...extra });
+        if (relation === 'spouse') keepSingleSpouse(appData.families[appData.families.length - 1].id);
+    }
+    saveData();
+    setSettingsTab('family-account');
+    showMessage("登録完了", `${name} 様の家族情報が追加されました。`);
+};
 
-    if (name && !isNaN(age) && !isNaN(birthMonth)) {
-        appData.families.push({ id: generateId(), name, age, birthMonth });
-        saveData();
-        setSettingsTab('family-account');
-        showMessage("登録完了", `${name} 様の家族情報が追加されました。`);
+/**
+ * 家族の収入フェーズを追加する。
+ * @param {string} familyId - 家族ID
+ */
+const handleAddIncomePhase = (familyId) => {
+    const type = document.getElementById(`phase-type-${familyId}`).value;
+    const startYM = document.getElementById(`phase-start-${familyId}`).value;
+    const endYM = document.getElementById(`phase-end-${familyId}`).value;
+    const monthly = parseInt(document.getElementById(`phase-monthly-${familyId}`).value);
+    const bonus = parseInt(document.getElementById(`phase-bonus-${familyId}`).value) || 0;
+
+    if (!startYM || (type !== 'job_change' && !endYM)) {
+        showMessage("エラー", "開始と終了の年月を入力してください (転職は開始のみ)。");
+        return;
+    }
+    if (endYM && endYM < startYM) {
+        showMessage("エラー", "終了の年月は開始より後にしてください。");
+        return;
+    }
+    const needsSalary = ['part_time', 'job_change', 'reemployment'].includes(type);
+    if (needsSalary && isNaN(monthly)) {
+        showMessage("エラー", "この期間の月収を入力してください。");
+        return;
+    }
+    // 設定タブを再描画する前に、フォームで編集中の退職年齢などを保存しておく
+    if (!persistSimConfigForm()) return;
+
+    if (!appData.settings.familyIncomes) appData.settings.familyIncomes = {};
+    const inc = appData.settings.familyIncomes[familyId] || (appData.settings.familyIncomes[familyId] = { monthly: 0, bonus: 0 });
+    // 再雇用は退職後の期間にだけ反映されるので、退職年齢より前に始まる期間は受け付けない
+    const fam = appData.families.find(f => f.id === familyId);
+    if (type === 'reemployment' && fam) {
+        const [startYear, startMonth] = startYM.split('-').map(Number);
+        const startAge = getAgeAt(getBirthYearMonth(fam), startYear, startMonth);
+        const retirementAge = inc.retirementAge || 60;
+        if (startAge < retirementAge) {
+            showMessage("エラー", `再雇用は退職年齢 (${retirementAge}歳) 以降に始まる期間で入力してください (${startYM} は ${startAge}歳)。`);
+            return;
+        }
+    }
+    inc.phases = [...(inc.phases || []), {
+        id: generateId(),
+        type,
+        startYM,
+        endYM: type === 'job_change' ? null : endYM,
+        monthly: needsSalary ? monthly : 0,
+        bonus: needsSalary ? bonus : 0,
+    }];
+    saveData();
+    setSettingsTab('sim-config');
+    showMessage("登録完了", `${INCOME_PHASE_TYPES[type]} を追加しました。`);
+};
+
+/**
+ * 家族の収入フェーズを削除する。
+ * @param {string} familyId - 家族ID
+ * @param {string} phaseId - 収入フェーズID
+ */
+const handleDeleteIncomePhase = (familyId, phaseId) => {
+    if (!persistSimConfigForm()) return;
+    const inc = (appData.settings.familyIncomes || {})[familyId];
+    if (!inc) return;
+    inc.phases = (inc.phases || []).filter(p => p.id !== phaseId);
+    saveData();
+    setSettingsTab('sim-config');
+};
+
+/**
+ * 家族が世帯を離れる時期 (独立・別居・死亡) を設定する。年月が空なら予定を取り消す。
+ * @param {string} familyId - 家族ID
+ */
+const handleSetFamilyLeave = (familyId) => {
+    const fam = appData.families.find(f => f.id === familyId);
+    if (!fam) return;
+    const leaveYM = document.getElementById(`leave-ym-${familyId}`).value;
+    if (!leaveYM) {
+        delete fam.leaveYM;
+        delete fam.leaveReason;
+    } else {
+        if (fam.joinYM && leaveYM <= fam.joinYM) {
+            showMessage("エラー", "世帯を離れる時期は、世帯に加わる時期より後にしてください。");
+            return;
+        }
+        fam.leaveYM = leaveYM;
+        fam.leaveReason = document.getElementById(`leave-reason-${familyId}`).value;
     }
+    saveData();
+    setSettingsTab('family-account');
 };
 
 /**
@@ -1963,19 +7125,87 @@ const handleAddRecurring = (e) => {
 const handleAddLoan = (e) => {
     e.preventDefault();
     const name = document.getElementById('loan-name').value.trim();
-    const amount = parseInt(document.getElementById('loan-amount').value);
+    const kind = document.getElementById('loan-kind').value;
     const startYM = document.getElementById('loan-start').value;
-    const endYM = document.getElementById('loan-end').value;
 
-    if (name && !isNaN(amount) && startYM && endYM) {
-        if (!appData.loans) appData.loans = [];
+    if (!appData.loans) appData.loans = [];
+
+    if (kind === 'fixed') {
+        const amount = parseInt(document.getElementById('loan-amount').value);
+        const endYM = document.getElementById('loan-end').value;
+        if (!name || isNaN(amount) || !startYM || !endYM) {
+            showMessage("エラー", "すべての項目を入力してください。");
+            return;
+        }
         appData.loans.push({ id: generateId(), name, monthlyAmount: amount, startYM, endYM });
-        saveData();
-        setSettingsTab('recurring');
-        showMessage("登録完了", `${name} が追加されました。`);
     } else {
-        showMessage("エラー", "すべての項目を入力してください。");
+        const principal = parseInt(document.getElementById('loan-principal').value);
+        const termYears = parseInt(document.getElementById('loan-term').value);
+        const annualRate = parseFloat(document.getElementById('loan-rate').value);
+        if (!name || isNaN(principal) || principal <= 0 || isNaN(termYears) || termYears <= 0 || isNaN(annualRate) || !startYM) {
+            showMessage("エラー", "借入額・返済期間・金利・開始年月を入力してください。");
+            return;
+        }
+        appData.loans.push({
+            id: generateId(),
+            name,
+            kind: 'amortizing',
+            principal,
+            annualRate,
+            rateType: document.getElementById('loan-rate-type').value,
+            termYears,
+            method: document.getElementById('loan-method').value,
+            startYM,
+            rateChanges: [],
+            prepayments: [],
+            mortgageDeduction: document.getElementById('loan-mortgage-deduction').checked,
+            deductionLimit: parseInt(document.getElementById('loan-deduction-limit').value) || MORTGAGE_DEDUCTION_DEFAULT_LIMIT,
+            deductionYears: parseInt(document.getElementById('loan-deduction-years').value) || MORTGAGE_DEDUCTION_DEFAULT_YEARS,
+            danshin: document.getElementById('loan-danshin').checked,
+            danshinInsuredId: document.getElementById('loan-danshin-insured').value || null,
+            danshinDisability: document.getElementById('loan-danshin-disability').checked,
+        });
+    }
+    saveData();
+    setSettingsTab('recurring');
+    showMessage("登録完了", `${name} が追加されました。`);
+};
+
+/**
+ * ローンに繰上げ返済を登録する。
+ * @param {string} loanId - ローンID
+ */
+const handleAddPrepayment = (loanId) => {
+    const loan = (appData.loans || []).find(l => l.id === loanId);
+    const ym = document.getElementById(`prepay-ym-${loanId}`).value;
+    const amount = parseInt(document.getElementById(`prepay-amount-${loanId}`).value);
+    const mode = document.getElementById(`prepay-mode-${loanId}`).value;
+    if (!loan || !ym || isNaN(amount) || amount <= 0) {
+        showMessage("エラー", "繰上げ返済の年月と金額を入力してください。");
+        return;
+    }
+    loan.prepayments = [...(loan.prepayments || []), { ym, amount, mode }].sort((a, b) => a.ym.localeCompare(b.ym));
+    saveData();
+    setSettingsTab('recurring');
+    showMessage("登録完了", `${ym} に ${formatCurrency(amount)} の繰上げ返済を登録しました。`);
+};
+
+/**
+ * 変動金利ローンに金利変更を登録する。
+ * @param {string} loanId - ローンID
+ */
+const handleAddRateChange = (loanId) => {
+    const loan = (appData.loans || []).find(l => l.id === loanId);
+    const ym = document.getElementById(`rate-change-ym-${loanId}`).value;
+    const rate = parseFloat(document.getElementById(`rate-change-rate-${loanId}`).value);
+    if (!loan || !ym || isNaN(rate) || rate < 0) {
+        showMessage("エラー", "金利変更の年月と新しい金利を入力してください。");
+        return;
     }
+    loan.rateChanges = [...(loan.rateChanges || []).filter(c => c.ym !== ym), { ym, rate }].sort((a, b) => a.ym.localeCompare(b.ym));
+    saveData();
+    setSettingsTab('recurring');
+    showMessage("登録完了", `${ym} から金利 ${rate}% に変更します。`);
 };
 
 /**
@@ -1985,82 +7215,288 @@ const handleAddFutureEvent = (e) => {
     e.preventDefault();
     const name = document.getElementById('event-name').value.trim();
     const amount = parseInt(document.getElementById('event-amount').value);
-    const familyId = document.getElementById('event-family-id').value;
-    const targetAge = parseInt(document.getElementById('event-target-age').value);
-    const targetMonth = parseInt(document.getElementById('event-target-month').value);
+    const kind = document.getElementById('event-kind').value;
+    const timing = document.getElementById('event-timing').value;
+    const repeatYears = parseInt(document.getElementById('event-repeat-years').value) || 0;
+    const inflate = document.getElementById('event-inflate').checked;
 
-    if (name && !isNaN(amount) && familyId && !isNaN(targetAge) && !isNaN(targetMonth)) {
-        appData.futureEvents.push({ id: generateId(), name, amount, familyId, targetAge, targetMonth });
-        saveData();
-        setSettingsTab('future-event');
-        showMessage("登録完了", `${name} イベントが追加されました。`);
+    if (!name || isNaN(amount) || amount <= 0) {
+        showMessage("エラー", "イベント名と金額を入力してください。");
+        return;
+    }
+
+    const event = { id: generateId(), name, amount, kind, timing, repeatYears, inflate };
+    if (timing === 'date') {
+        const ym = document.getElementById('event-ym').value;
+        const untilYM = document.getElementById('event-until-ym').value || null;
+        if (!ym) {
+            showMessage("エラー", "発生年月を入力してください。");
+            return;
+        }
+        if (untilYM && untilYM < ym) {
+            showMessage("エラー", "繰り返しの終了年月は発生年月より後にしてください。");
+            return;
+        }
+        Object.assign(event, { ym, untilYM: repeatYears ? untilYM : null });
+    } else {
+        const familyId = document.getElementById('event-family-id').value;
+        const targetAge = parseInt(document.getElementById('event-target-age').value);
+        const targetMonth = parseInt(document.getElementById('event-target-month').value);
+        const untilAge = parseInt(document.getElementById('event-until-age').value);
+        if (!familyId || isNaN(targetAge) || isNaN(targetMonth)) {
+            showMessage("エラー", "対象家族・目標年齢・発生月を入力してください。");
+            return;
+        }
+        if (!isNaN(untilAge) && untilAge < targetAge) {
+            showMessage("エラー", "繰り返しの終了年齢は目標年齢以上にしてください。");
+            return;
+        }
+        Object.assign(event, { familyId, targetAge, targetMonth, untilAge: repeatYears && !isNaN(untilAge) ? untilAge : null });
     }
+
+    appData.futureEvents.push(event);
+    saveData();
+    setSettingsTab('future-event');
+    showMessage("登録完了", `${name} イベントが追加されました。`);
 };
 
 /**
- * シミュレーション設定を更新する。
+ * シミュレーション設定フォームの入力値から設定を作る (appData は変えない)。
+ * @returns {Object | null} 設定 (入力エラーならメッセージを表示して null)
  */
-const handleSimConfigUpdate = (e) => {
-    e.preventDefault();
-
+const readSimConfigForm = () => {
     // 値の取得と型変換
     const years = parseInt(document.getElementById('conf-years').value) || 30;
     // 古いIncome/Bonus入力は廃止。
     const living = parseInt(document.getElementById('conf-living').value) || 250000;
     const inflation = parseFloat(document.getElementById('conf-inflation').value) || 0;
+    // 費目別の上昇率 (空欄なら一般のインフレ率に連動)
+    const categoryInflation = {};
+    Object.keys(INFLATION_CATEGORIES).forEach(key => {
+        const rate = parseFloat(document.getElementById(`conf-inflation-${key}`).value);
+        categoryInflation[`${key}InflationRate`] = isNaN(rate) ? null : rate;
+    });
+    const pensionSlideRate = Math.max(0, parseFloat(document.getElementById('conf-pension-slide').value) || 0);
     // const salaryIncElem = document.getElementById('conf-salary-increase-amount'); // 廃止
     // const salaryIncAmount = salaryIncElem ? (parseInt(salaryIncElem.value) || 0) : 0; // 廃止
     const investMonthly = parseInt(document.getElementById('conf-invest-monthly').value) || 0;
     const investYield = parseFloat(document.getElementById('conf-invest-yield').value) || 0;
-    const eduMode = document.getElementById('conf-edu-mode').value;
+    const educationPlans = { ...(appData.settings.educationPlans || {}) };
+    document.querySelectorAll('#sim-config-form [data-edu-plan-id]').forEach(div => {
+        const plan = {};
+        div.querySelectorAll('[data-edu-field]').forEach(input => {
+            plan[input.dataset.eduField] = input.value;
+        });
+        plan.roninYears = Math.min(2, Math.max(0, parseInt(plan.roninYears) || 0));
+        plan.cram = Array.from(div.querySelectorAll('[data-edu-cram]:checked')).map(input => input.dataset.eduCram);
+        educationPlans[div.dataset.eduPlanId] = plan;
+    });
     const licenseAge = parseInt(document.getElementById('conf-license-age').value) || 75;
+    const carTaxAnnual = Math.max(0, parseInt(document.getElementById('conf-car-tax').value) || 0);
     const childIndepAge = parseInt(document.getElementById('conf-child-age').value) || 23;
     const costRed = parseFloat(document.getElementById('conf-reduction').value) || 0;
     const univHousing = document.getElementById('conf-univ-housing').value;
     const univAllow = parseInt(document.getElementById('conf-univ-allowance').value) || 0;
+    const idecoMonthly = parseInt(document.getElementById('conf-ideco-monthly').value) || 0;
+    const withdrawalOrder = document.getElementById('conf-withdrawal-order').value;
+    const withdrawalStrategy = document.getElementById('conf-withdrawal-strategy').value;
+    const withdrawalStartAge = parseInt(document.getElementById('conf-withdrawal-start-age').value) || null;
+    const withdrawalRate = parseFloat(document.getElementById('conf-withdrawal-rate').value) || 0;
+    const withdrawalAmount = parseInt(document.getElementById('conf-withdrawal-amount').value) || 0;
+    const bucketYears = parseFloat(document.getElementById('conf-bucket-years').value) || 0;
+    const guardrailBand = parseFloat(document.getElementById('conf-guardrail-band').value) || 0;
+    const guardrailAdjustment = parseFloat(document.getElementById('conf-guardrail-adjustment').value) || 0;
+    const cashReserve = {
+        floorType: document.getElementById('conf-cash-floor-type').value,
+        floorMonths: Math.max(0, parseFloat(document.getElementById('conf-cash-floor-months').value) || 0),
+        floorAmount: Math.max(0, parseInt(document.getElementById('conf-cash-floor-amount').value) || 0),
+        ceiling: Math.max(0, parseInt(document.getElementById('conf-cash-ceiling').value) || 0),
+    };
+    const mcEnabled = document.getElementById('conf-mc-enabled').checked;
+    const mcTrials = getMonteCarloTrials({ monteCarloTrials: parseInt(document.getElementById('conf-mc-trials').value) });
+    const mcVolatility = parseFloat(document.getElementById('conf-mc-volatility').value) || 0;
+    const mcRandomInflation = document.getElementById('conf-mc-random-inflation').checked;
+    const mcInflationVolatility = parseFloat(document.getElementById('conf-mc-inflation-volatility').value) || 0;
+    const healthcareMembers = {};
+    document.querySelectorAll('#sim-config-form [data-hc-member-id]').forEach(div => {
+        const careStartAge = parseInt(div.querySelector('.hc-care-start').value);
+        healthcareMembers[div.getAttribute('data-hc-member-id')] = {
+            medicalLevel: Math.max(0, parseFloat(div.querySelector('.hc-medical-level').value) || 0),
+            careStartAge: isNaN(careStartAge) ? null : careStartAge,
+            careLevel: div.querySelector('.hc-care-level').value,
+            careMonthly: parseInt(div.querySelector('.hc-care-monthly').value) || 0,
+        };
+    });
+    const healthcare = {
+        enabled: document.getElementById('conf-healthcare-enabled').checked,
+        members: healthcareMembers,
+    };
+    const numberOf = (id) => parseFloat(document.getElementById(id).value) || 0;
+    const housing = {
+        choice: document.getElementById('conf-housing-choice').value,
+        rent: {
+            monthlyRent: numberOf('conf-rent-monthly'),
+            increaseRate: numberOf('conf-rent-increase'),
+            renewalYears: numberOf('conf-rent-renewal-years') || 2,
+            renewalMonths: numberOf('conf-rent-renewal-months'),
+        },
+        buy: {
+            purchaseYM: document.getElementById('conf-buy-ym').value || null,
+            price: numberOf('conf-buy-price'),
+            downPayment: numberOf('conf-buy-down'),
+            closingCostRate: numberOf('conf-buy-closing'),
+            loanRate: numberOf('conf-buy-rate'),
+            loanTermYears: numberOf('conf-buy-term') || 35,
+            loanMethod: document.getElementById('conf-buy-method').value,
+            mortgageDeduction: document.getElementById('conf-buy-deduction').checked,
+            danshin: document.getElementById('conf-buy-danshin').checked,
+            propertyTaxAnnual: numberOf('conf-buy-property-tax'),
+            propertyTaxMonths: parseMonthList(document.getElementById('conf-buy-property-tax-months').value),
+            maintenanceMonthly: numberOf('conf-buy-maintenance'),
+            repairReserveMonthly: numberOf('conf-buy-repair'),
+            repairReserveIncreaseRate: numberOf('conf-buy-repair-increase'),
+            valueChangeRate: numberOf('conf-buy-value-change'),
+        },
+        downsize: {
+            ym: document.getElementById('conf-downsize-ym').value || null,
+            rent: numberOf('conf-downsize-rent'),
+        },
+        saleCostRate: numberOf('conf-sale-cost'),
+    };
+    if (housing.choice === 'buy' && !housing.buy.purchaseYM) {
+        showMessage("入力エラー", "購入を選んだ場合は購入年月を入力してください。");
+        return null;
+    }
+    if (housing.buy.downPayment > housing.buy.price) {
+        showMessage("入力エラー", "頭金は物件価格以下にしてください。");
+        return null;
+    }
+    const riskScenario = {
+        enabled: document.getElementById('conf-risk-enabled').checked,
+        memberId: document.getElementById('conf-risk-member').value || null,
+        type: document.getElementById('conf-risk-type').value,
+        ym: document.getElementById('conf-risk-ym').value || null,
+        livingCostChange: Math.max(-100, parseFloat(document.getElementById('conf-risk-living').value) || 0),
+    };
+    // 発生年月は予測期間 (最新の残高の月から予測年数) の中に限る
+    const latestBalanceMonth = appData.monthlyBalances.map(b => b.month).sort().pop();
+    if (riskScenario.enabled && riskScenario.ym && latestBalanceMonth) {
+        const horizon = parseYearMonth(latestBalanceMonth);
+        horizon.setMonth(horizon.getMonth() + years * 12);
+        if (riskScenario.ym > formatDateToYM(horizon)) {
+            showMessage("入力エラー", `万一のリスクの発生年月は予測期間内 (${formatDateToYM(horizon)} まで) にしてください。`);
+            return null;
+        }
+    }
 
     // 家族別収入設定の取得
     const familyIncomes = {};
     const familyDivs = document.querySelectorAll('#sim-config-form [data-family-id]');
     familyDivs.forEach(div => {
         const id = div.getAttribute('data-family-id');
+        const pensionType = div.querySelector('.f-pension-type').value;
+        // 手入力の年金 (旧データの年金額を含む) は退職後すぐに受け取ることもあるので、60歳未満も受け付ける
+        const pensionStartAge = parseInt(div.querySelector('.f-pension-start').value) || PENSION_STANDARD_START_AGE;
+        // 国民年金の納付年数は0年もありうるので、空欄のときだけ満額の年数にする
+        const kokuminYears = parseInt(div.querySelector('.f-pension-kokumin').value);
         familyIncomes[id] = {
+            incomeType: div.querySelector('.f-income-type').value,
             monthly: parseInt(div.querySelector('.f-income').value) || 0,
             bonus: parseInt(div.querySelector('.f-bonus').value) || 0,
+            bonusMonths: parseMonthList(div.querySelector('.f-bonus-months').value),
+            salaryGrowthType: div.querySelector('.f-salary-growth-type').value,
             salaryIncrease: parseInt(div.querySelector('.f-salary-increase').value) || 0,
+            salaryGrowthRate: parseFloat(div.querySelector('.f-salary-growth-rate').value) || 0,
             retirementAge: parseInt(div.querySelector('.f-retire-age').value) || 60,
             severance: parseInt(div.querySelector('.f-severance').value) || 0,
-            pension: parseInt(div.querySelector('.f-pension').value) || 0,
+            serviceYears: parseInt(div.querySelector('.f-service-years').value) || null,
+            pensionType,
+            pensionManualMonthly: Math.max(0, parseInt(div.querySelector('.f-pension-manual').value) || 0),
+            pensionStartAge: Math.min(PENSION_MAX_START_AGE, Math.max(pensionType === 'manual' ? 0 : PENSION_MIN_START_AGE, pensionStartAge)),
+            pensionKokuminYears: Math.min(BASIC_PENSION_FULL_YEARS, Math.max(0, Number.isNaN(kokuminYears) ? BASIC_PENSION_FULL_YEARS : kokuminYears)),
+            pensionPastKouseiYears: parseFloat(div.querySelector('.f-pension-past-years').value) || 0,
+            pensionPastAvgSalary: parseInt(div.querySelector('.f-pension-past-salary').value) || 0,
+            deathAge: parseInt(div.querySelector('.f-death-age').value) || null,
+            phases: ((appData.settings.familyIncomes || {})[id] || {}).phases || [],
         };
     });
 
     // バリデーション
     if (years > 0 && years <= 50) {
-        appData.settings = {
+        return {
             ...appData.settings,
             predictionYears: years,
             familyIncomes: familyIncomes, // 保存
             currentLivingCost: living,
             inflationRate: inflation,
+            ...categoryInflation,
+            pensionSlideRate,
 
             investmentMonthly: investMonthly,
             investmentYield: investYield,
-            educationMode: eduMode,
+            idecoMonthly: Math.min(idecoMonthly, investMonthly),
+            withdrawalOrder: withdrawalOrder,
+            withdrawalStrategy,
+            withdrawalStartAge,
+            withdrawalRate,
+            withdrawalAmount,
+            bucketYears,
+            guardrailBand,
+            guardrailAdjustment,
+            cashReserve,
+            educationPlans,
             childIndependenceAge: childIndepAge,
             costReductionRate: costRed,
             licenseReturnAge: licenseAge,
+            carTaxAnnual,
             univHousingType: univHousing,
-            univAllowance: univAllow
+            univAllowance: univAllow,
+            monteCarloEnabled: mcEnabled,
+            monteCarloTrials: mcTrials,
+            investmentVolatility: mcVolatility,
+            monteCarloRandomInflation: mcRandomInflation,
+            inflationVolatility: mcInflationVolatility,
+            riskScenario,
+            housing,
+            healthcare,
         };
-        saveData();
-        // 描画更新: フォームの値がリセットされないように、本当は再取得して描画すべきだが
-        // ここでは単純に保存メッセージを出して、シミュレーション結果（Dashboard）を見るように促すほうがいい
-        // しかし仕様上 setSettingsTab を呼んでいる
-        setSettingsTab('sim-config');
-        showMessage("設定更新", `シミュレーション設定を更新しました。\n家族ごとの収入プランが反映されます。`);
-    } else {
-        showMessage("入力エラー", `予測期間は1〜50年の間で入力してください。`);
     }
+    showMessage("入力エラー", `予測期間は1〜50年の間で入力してください。`);
+    return null;
+};
+
+/**
+ * シミュレーション設定フォームの入力値を appData.settings に反映する (保存はしない)。
+ * @returns {boolean} 入力エラーがなければ true (エラーならメッセージを表示して false)
+ */
+const applySimConfigForm = () => {
+    const settings = readSimConfigForm();
+    if (!settings) return false;
+    appData.settings = settings;
+    return true;
+};
+
+/**
+ * シミュレーション設定フォームの表示中なら、入力途中の値を保存する。
+ * 一覧への追加・削除で設定タブを再描画する前に呼び、未保存の入力が消えないようにする。
+ * @returns {boolean} 保存できた (またはフォームを表示していない) なら true
+ */
+const persistSimConfigForm = () => {
+    if (!document.getElementById('sim-config-form')) return true;
+    if (!applySimConfigForm()) return false;
+    saveData();
+    return true;
+};
+
+/**
+ * シミュレーション設定を更新する。
+ */
+const handleSimConfigUpdate = (e) => {
+    e.preventDefault();
+    if (!applySimConfigForm()) return;
+    saveData();
+    setSettingsTab('sim-config');
+    showMessage("設定更新", `シミュレーション設定を更新しました。\n家族ごとの収入プランが反映されます。`);
 };
 
 /**
@@ -2093,7 +7529,7 @@ const handleBalanceInput = (e) => {
 
         const accountId = input.dataset.id;
         accountBalances[accountId] = amount;
-        total += amount;
+        total += getSignedBalance(accountId, amount);
     });
 
     if (!allInputsValid) {
@@ -2103,7 +7539,8 @@ const handleBalanceInput = (e) => {
 
     // 既存の月があれば更新、なければ追加
     const existingIndex = appData.monthlyBalances.findIndex(item => item.month === month);
-    const newBalanceItem = { month, total, accounts: accountBalances };
+    const types = Object.fromEntries(appData.accounts.map(account => [account.id, getAccountType(account)]));
+    const newBalanceItem = { month, total, accounts: accountBalances, types };
 
     if (existingIndex !== -1) {
         appData.monthlyBalances[existingIndex] = newBalanceItem;
@@ -2115,6 +7552,10 @@ const handleBalanceInput = (e) => {
 
     // 月次残高は常にソートして保存する
     appData.monthlyBalances.sort((a, b) => a.month.localeCompare(b.month));
+    // 最新の月を新しく登録したら、その時点の予測を保存しておく (後で実績と比べるため)
+    if (existingIndex === -1 && appData.monthlyBalances[appData.monthlyBalances.length - 1].month === month) {
+        saveForecastSnapshot('auto');
+    }
     saveData();
     renderBalanceInput(document.getElementById('app-content'));
 };
@@ -2128,6 +7569,7 @@ const handleBalanceInput = (e) => {
 const deleteItem = async (collection, id, isMonth = false) => {
     const confirmed = await showMessage("削除の確認", "本当にこのデータを削除してもよろしいですか？", true);
     if (!confirmed) return;
+    if (!persistSimConfigForm()) return;
 
     if (isMonth) {
         appData[collection] = appData[collection].filter(item => item.month !== id);
@@ -2178,10 +7620,12 @@ const handleImportData = () => {
             const importedData = JSON.parse(event.target.result);
             // 必須キーの簡易チェック
             if (importedData.accounts && importedData.families) {
-                const confirmed = await showMessage("インポートの確認", "現在のデータは上書きされます。よろしいですか？", true);
+                const confirmed = await showMessage("インポートの確認", "現在のデータは上書きされます (上書き前のデータはブラウザにバックアップします)。よろしいですか？", true);
                 if (!confirmed) return;
 
-                appData = { ...appData, ...importedData };
+                const migrated = migrateAppData(importedData);
+                backupBeforeImport(appData);
+                appData = migrated;
                 saveData();
                 navigate('dashboard');
                 showMessage("インポート完了", "データが正常にインポートされました。");
@@ -2190,7 +7634,7 @@ const handleImportData = () => {
             }
         } catch (e) {
             console.error("インポートエラー:", e);
-            showMessage("インポート失敗", "ファイルの読み込みまたは解析に失敗しました。ファイル形式を確認してください。");
+            showMessage("インポート失敗", `ファイルの読み込みまたは解析に失敗しました。ファイル形式を確認してください。\n${e.message}`);
         }
     };
     reader.readAsText(file);
@@ -2205,9 +7649,7 @@ const handleClearData = async () => {
 
     localStorage.removeItem(APP_DATA_KEY);
     // 初期データに戻す
-    appData = {
-        accounts: [], families: [], recurringExpenses: [], futureEvents: [], monthlyBalances: [], settings: { predictionYears: 30 },
-    };
+    appData = createDefaultAppData();
     navigate('dashboard');
     showMessage("削除完了", "全てのデータが削除されました。");
 };
@@ -2220,43 +7662,206 @@ const handleClearData = async () => {
  * 投資額の推奨値を計算して入力欄にセットする
  */
 const suggestInvestment = () => {
-    // 安全な投資額を計算
-    // 簡易ロジック: (世帯月収 - 現在の生活費 - ローン等) * 0.5 ぐらいを提案
-    let totalMonthlyIncome = 0;
+    // 画面で編集中の設定で、目標年齢に目標の総資産へ届く最低の積立額を逆算する
+    const s = readSimConfigForm();
+    if (!s) return;
+    const result = solveMinInvestment(s);
+    if (result.value === null) {
+        showMessage("積立額の提案", result.unreachable || `積立額を増やしても、${s.goalTargetAge}歳で総資産${formatCurrency(s.goalTargetAmount)}には届きません。\n生活費や退職年齢を見直してください。`);
+        return;
+    }
+    document.getElementById('conf-invest-monthly').value = result.value;
+    showMessage("積立額の提案", `世帯主が${s.goalTargetAge}歳のときに総資産${formatCurrency(s.goalTargetAmount)}へ届き、途中で資産がマイナスにならない最低の積立額として ${formatCurrency(result.value)} を提案しました。\n(目標はダッシュボードの「目標から逆算」で変更できます)`);
+};
 
-    // 既存の入力値（画面上）から計算
-    // Family Incomes
-    const familyDivs = document.querySelectorAll('#sim-config-form [data-family-id]');
-    familyDivs.forEach(div => {
-        const m = parseInt(div.querySelector('.f-income').value) || 0;
-        const b = parseInt(div.querySelector('.f-bonus').value) || 0;
-        totalMonthlyIncome += m + (b / 12); // ボーナスも月割で加算
-    });
+/**
+ * 現在の予測を手動で保存する。
+ */
+const handleSaveForecastSnapshot = () => {
+    const snapshot = saveForecastSnapshot('manual');
+    if (!snapshot) return;
+    selectedForecastSnapshotId = snapshot.id;
+    saveData();
+    navigate('dashboard');
+    showMessage("保存完了", `${snapshot.baseMonth} 時点の予測を保存しました。`);
+};
 
-    // Living Cost
-    const living = parseInt(document.getElementById('conf-living').value) || 250000;
+/**
+ * 予測と実績の比較で表を表示する予測を切り替える。
+ * @param {string} id - 予測のID
+ */
+const selectForecastSnapshot = (id) => {
+    selectedForecastSnapshotId = id;
+    runDashboardAnalysis('forecast');
+    navigate('dashboard');
+};
 
-    // Current Loans (Registered)
-    let loanTotal = 0;
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = now.getMonth() + 1;
-    const currentYM = `${currentYear} -${String(currentMonth).padStart(2, '0')} `;
-
-    if (appData.loans) {
-        appData.loans.forEach(l => {
-            if (currentYM >= l.startYM && currentYM <= l.endYM) {
-                loanTotal += l.monthlyAmount;
-            }
-        });
+/**
+ * 保存した予測を削除する。
+ * @param {string} id - 予測のID
+ */
+const deleteForecastSnapshot = async (id) => {
+    const confirmed = await showMessage("削除の確認", "この予測を削除してもよろしいですか？", true);
+    if (!confirmed) return;
+    appData.forecastSnapshots = (appData.forecastSnapshots || []).filter(sn => sn.id !== id);
+    saveData();
+    navigate('dashboard');
+};
+
+/**
+ * 生活費の校正から月を除外する (除外済みなら戻す)。
+ * @param {string} month - YYYY-MM
+ */
+const toggleCalibrationMonth = (month) => {
+    const excluded = appData.settings.calibrationExcludedMonths || [];
+    appData.settings = {
+        ...appData.settings,
+        calibrationExcludedMonths: excluded.includes(month) ? excluded.filter(m => m !== month) : [...excluded, month],
+    };
+    saveData();
+    runDashboardAnalysis('calibration');
+    document.getElementById('calibration-panel').innerHTML = renderDashboardAnalysis('calibration', renderLivingCostCalibration);
+};
+
+/**
+ * 実績から推定した生活費を設定に反映する。
+ */
+const applyCalibratedLivingCost = () => {
+    const result = calibrateLivingCost(appData.settings.calibrationExcludedMonths || []);
+    if (!result || result.estimate === null) return;
+    const value = Math.max(0, Math.round(result.estimate / 1000) * 1000);
+    appData.settings = { ...appData.settings, currentLivingCost: value };
+    saveData();
+    runDashboardAnalysis('calibration');
+    navigate('dashboard');
+    showMessage("設定更新", `現在の生活費を ${formatCurrency(value)} に更新しました。`);
+};
+
+/**
+ * 目標の逆算を実行して結果を表示する。
+ */
+const handleGoalSeek = () => {
+    const amount = parseInt(document.getElementById('goal-target-amount').value);
+    const age = parseInt(document.getElementById('goal-target-age').value);
+    if (isNaN(amount) || amount < 0 || isNaN(age)) {
+        showMessage("入力エラー", "目標の総資産と年齢を入力してください。");
+        return;
+    }
+    appData.settings = { ...appData.settings, goalTargetAmount: amount, goalTargetAge: age };
+    saveData();
+    lastGoalSeekResults = runGoalSeek(appData.settings);
+    document.getElementById('goal-seek-result').innerHTML = renderGoalSeekResults(lastGoalSeekResults, appData.settings);
+};
+
+/**
+ * モンテカルロ分析を実行し、結果をダッシュボードに反映する。
+ */
+const handleMonteCarloSimulation = () => {
+    lastMonteCarlo = { key: getMonteCarloInputKey(), result: runMonteCarloSimulation() };
+    navigate('dashboard');
+};
+
+/**
+ * ダッシュボードの比較・分析を実行し、結果をダッシュボードに反映する。
+ * @param {string} type - DASHBOARD_ANALYSES のキー
+ */
+const handleDashboardAnalysis = (type) => {
+    runDashboardAnalysis(type);
+    navigate('dashboard');
+};
+
+/**
+ * 過去の相場での検証を実行して結果を表示する。
+ */
+const handleBacktest = () => {
+    const allocation = {};
+    Object.keys(BACKTEST_ASSETS).forEach(key => {
+        allocation[key] = parseFloat(document.getElementById(`backtest-${key}`).value) || 0;
+    });
+    if (Object.values(allocation).some(v => v < 0) || Object.values(allocation).reduce((a, b) => a + b, 0) <= 0) {
+        showMessage("入力エラー", "資産配分には0以上の値を入力し、合計が0より大きくなるようにしてください。");
+        return;
     }
+    appData.settings = { ...appData.settings, backtestAllocation: allocation };
+    saveData();
+    document.getElementById('backtest-result').innerHTML = renderBacktestResults(runBacktest(appData.settings));
+};
+
+/**
+ * 感度分析を実行して結果を表示する。
+ */
+const handleSensitivityAnalysis = () => {
+    lastSensitivityResult = runSensitivityAnalysis(appData.settings);
+    document.getElementById('sensitivity-chart-container').classList.remove('hidden');
+    document.getElementById('sensitivity-result').innerHTML = renderSensitivityTable(lastSensitivityResult);
+    drawSensitivityChart();
+};
 
-    const surplus = totalMonthlyIncome - living - loanTotal;
-    // 余剰金の50%を提案 (マイナスなら0)
-    const suggestion = Math.max(0, Math.floor((surplus * 0.5) / 1000) * 1000);
+/**
+ * 感度分析の結果をトルネードチャート (基準値からの上下の振れ幅の横棒) で描画する。
+ * 指標は純資産か、資産がマイナスになるまでの月数 (ならなければ予測期間の月数) を選べる。
+ */
+const drawSensitivityChart = () => {
+    const result = lastSensitivityResult;
+    if (!result) return;
+    const metric = document.getElementById('sensitivity-metric').value;
+    const valueOf = metric === 'crash' ? (m) => m.monthsToCrash : (m) => m.netWorth / 10000;
+    const rows = [...result.rows].sort((a, b) => (metric === 'crash' ? b.crashSwing - a.crashSwing : b.swing - a.swing));
+    const base = valueOf(result.base);
+    const unit = metric === 'crash' ? 'か月' : '万円';
+
+    if (sensitivityChart) sensitivityChart.destroy();
+    const ctx = document.getElementById('sensitivityChart').getContext('2d');
+    sensitivityChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rows.map(row => `${row.label} (${row.deltaText})`),
+            datasets: [
+                { label: '下げた場合', data: rows.map(row => [base, valueOf(row.low)]), backgroundColor: '#3b82f6', grouped: false },
+                { label: '上げた場合', data: rows.map(row => [base, valueOf(row.high)]), backgroundColor: '#f59e0b', grouped: false },
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { ticks: { color: '#9ca3af', callback: (value) => `${value.toLocaleString()}${unit}` }, grid: { color: '#374151' } },
+                y: { ticks: { color: '#d1d5db', font: { size: 10 } }, grid: { display: false } }
+            },
+            plugins: {
+                legend: { labels: { color: '#e5e7eb' } },
+                title: {
+                    display: true,
+                    text: metric === 'crash' ? '資産がマイナスになるまでの月数 (ならなければ予測期間)' : '予測期間末の純資産',
+                    color: '#fff'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const value = context.raw[1];
+                            const diff = value - base;
+                            return `${context.dataset.label}: ${Math.round(value).toLocaleString()}${unit} (${diff >= 0 ? '+' : ''}${Math.round(diff).toLocaleString()}${unit})`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+};
 
-    document.getElementById('conf-invest-monthly').value = suggestion;
-    showMessage("AI提案", `現在の月間収支(余剰: 約${formatCurrency(surplus)}) から、\n無理のない積立額として ${formatCurrency(suggestion)} を提案しました。`);
+/**
+ * 目標の逆算結果を設定に反映する。
+ * @param {string} key - runGoalSeek の結果のキー
+ */
+const applyGoalSeekResult = (key) => {
+    const result = lastGoalSeekResults && lastGoalSeekResults[key];
+    if (!result || !result.patch) return;
+    appData.settings = result.patch;
+    lastGoalSeekResults = null;
+    saveData();
+    navigate('dashboard');
+    showMessage("設定更新", "逆算結果を設定に反映しました。");
 };
 
 /**
@@ -2287,6 +7892,90 @@ const handleAddScenario = () => {
     showMessage("保存", `シナリオ「${name}」を保存しました。\nダッシュボードのグラフで比較できます。`);
 };
 
+/**
+ * 介護度を選んだときに、介護費の入力欄へ介護度の目安額を入れる。
+ * @param {HTMLSelectElement} select - 介護度の選択欄
+ */
+const applyCareLevelCost = (select) => {
+    const level = LONG_TERM_CARE_LEVELS[select.value];
+    const input = select.closest('[data-hc-member-id], [data-parent-form]').querySelector('.hc-care-monthly');
+    if (level && input) input.value = level.monthly;
+};
+
+/**
+ * 離れて暮らす親 (仕送り・介護費の負担) を追加する。
+ */
+const handleAddParent = () => {
+    const name = document.getElementById('parent-name').value.trim();
+    const age = parseInt(document.getElementById('parent-age').value);
+    const endAge = parseInt(document.getElementById('parent-end-age').value);
+    const careStartAge = parseInt(document.getElementById('parent-care-start').value);
+
+    if (!name || isNaN(age) || isNaN(endAge)) {
+        showMessage("エラー", "名前・現在の年齢・想定寿命を入力してください。");
+        return;
+    }
+    if (endAge <= age) {
+        showMessage("エラー", "想定寿命は現在の年齢より上にしてください。");
+        return;
+    }
+    if (!persistSimConfigForm()) return;
+
+    if (!appData.parents) appData.parents = [];
+    appData.parents.push({
+        id: generateId(),
+        name,
+        age,
+        birthMonth: new Date().getMonth() + 1,
+        monthlySupport: parseInt(document.getElementById('parent-support').value) || 0,
+        careStartAge: isNaN(careStartAge) ? null : careStartAge,
+        careLevel: document.getElementById('parent-care-level').value,
+        careMonthly: parseInt(document.getElementById('parent-care-monthly').value) || 0,
+        shareRate: Math.min(100, Math.max(0, parseFloat(document.getElementById('parent-share').value) || 0)),
+        endAge,
+    });
+    saveData();
+    setSettingsTab('sim-config');
+    showMessage("登録完了", `${name} の支援を追加しました。`);
+};
+
+/**
+ * 保険を追加する (万一の備え)。
+ */
+const handleAddInsurance = () => {
+    const name = document.getElementById('insurance-name').value.trim();
+    const insuredId = document.getElementById('insurance-insured').value;
+    const type = document.getElementById('insurance-type').value;
+    const amount = parseInt(document.getElementById('insurance-amount').value);
+    const premiumMonthly = parseInt(document.getElementById('insurance-premium').value) || 0;
+    const endAge = parseInt(document.getElementById('insurance-end-age').value);
+
+    if (!name || !insuredId) {
+        showMessage("エラー", "保険名と被保険者を入力してください。");
+        return;
+    }
+    if (isNaN(amount) || amount <= 0 || isNaN(endAge)) {
+        showMessage("エラー", "保険金と保障終了年齢を入力してください。");
+        return;
+    }
+    if (!persistSimConfigForm()) return;
+
+    if (!appData.insurancePolicies) appData.insurancePolicies = [];
+    appData.insurancePolicies.push({
+        id: generateId(),
+        name,
+        insuredId,
+        type,
+        amount: type === 'income' ? 0 : amount,
+        monthlyBenefit: type === 'income' ? amount : 0,
+        premiumMonthly,
+        endAge,
+    });
+    saveData();
+    setSettingsTab('sim-config');
+    showMessage("登録完了", `保険「${name}」を追加しました。`);
+};
+
 /**
  * 生涯支出内訳円グラフを描画
  */
@@ -2296,6 +7985,7 @@ const renderBreakdownChart = (containerId, breakdown) => {
     const data = [
         breakdown.living,
         breakdown.education,
+        breakdown.healthcare || 0,
         breakdown.loan,
         breakdown.recurring,
         breakdown.investment
@@ -2316,12 +8006,13 @@ const renderBreakdownChart = (containerId, breakdown) => {
     new Chart(newCtx, {
         type: 'doughnut',
         data: {
-            labels: ['基本生活費', '教育費', '住宅・ローン', 'その他定期支出', '資産運用(積立)'],
+            labels: ['基本生活費', '教育費', '医療・介護', '住宅・ローン', 'その他定期支出', '資産運用(積立)'],
             datasets: [{
                 data: data,
                 backgroundColor: [
                     '#ef4444', // Living (Red)
                     '#f59e0b', // Education (Orange)
+                    '#ec4899', // Healthcare (Pink)
                     '#3b82f6', // Loan (Blue)
                     '#10b981', // Recurring (Green)
                     '#8b5cf6'  // Invest (Purple)
@@ -2373,3 +8064,25 @@ window.deleteItem = deleteItem;
 window.handleExportData = handleExportData;
 window.handleImportData = handleImportData;
 window.handleClearData = handleClearData;
+window.handleAddPrepayment = handleAddPrepayment;
+window.handleAccountTypeChange = handleAccountTypeChange;
+window.handleFamilyRelationChange = handleFamilyRelationChange;
+window.handleSetFamilyLeave = handleSetFamilyLeave;
+window.handleAddIncomePhase = handleAddIncomePhase;
+window.handleDeleteIncomePhase = handleDeleteIncomePhase;
+window.handleAddRateChange = handleAddRateChange;
+window.handleAddInsurance = handleAddInsurance;
+window.handleAddParent = handleAddParent;
+window.applyCareLevelCost = applyCareLevelCost;
+window.handleGoalSeek = handleGoalSeek;
+window.applyGoalSeekResult = applyGoalSeekResult;
+window.handleSensitivityAnalysis = handleSensitivityAnalysis;
+window.drawSensitivityChart = drawSensitivityChart;
+window.handleBacktest = handleBacktest;
+window.handleMonteCarloSimulation = handleMonteCarloSimulation;
+window.handleDashboardAnalysis = handleDashboardAnalysis;
+window.toggleCalibrationMonth = toggleCalibrationMonth;
+window.applyCalibratedLivingCost = applyCalibratedLivingCost;
+window.handleSaveForecastSnapshot = handleSaveForecastSnapshot;
+window.selectForecastSnapshot = selectForecastSnapshot;
+window.deleteForecastSnapshot = deleteForecastSnapshot;